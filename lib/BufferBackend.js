@@ -0,0 +1,80 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const stream = require( 'stream' ) ;
+
+
+
+/*
+	Read-only storage backend of an archive living in memory (e.g. received over IPC, or embedded in another file).
+	Same interface than FileBackend.
+*/
+function BufferBackend( buffer ) {
+	this.buffer = buffer ;
+	this.readOnly = true ;
+}
+
+module.exports = BufferBackend ;
+
+
+
+BufferBackend.prototype.read = async function( buffer , offset , length , position ) {
+	return { bytesRead: this.readSync( buffer , offset , length , position ) , buffer } ;
+} ;
+
+
+
+BufferBackend.prototype.readSync = function( buffer , offset , length , position ) {
+	return this.buffer.copy( buffer , offset , position , Math.min( position + length , this.buffer.length ) ) ;
+} ;
+
+
+
+BufferBackend.prototype.write = function() { this.checkWritable() ; } ;
+BufferBackend.prototype.truncate = function() { this.checkWritable() ; } ;
+BufferBackend.prototype.createWriteStream = function() { this.checkWritable() ; } ;
+BufferBackend.prototype.getSize = async function() { return this.buffer.length ; } ;
+BufferBackend.prototype.close = async function() {} ;
+
+
+
+// start and end are both inclusive, like fs.createReadStream()
+BufferBackend.prototype.createReadStream = function( start , end ) {
+	var readStream = new stream.PassThrough() ;
+	readStream.end( this.buffer.slice( start , end + 1 ) ) ;
+	return readStream ;
+} ;
+
+
+
+BufferBackend.prototype.checkWritable = function() {
+	throw new Error( 'In-memory archives are read-only' ) ;
+} ;
+
@@ -0,0 +1,122 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const fs = require( 'fs' ) ;
+
+
+
+/*
+	Storage backend of an archive on the disk, wrapping a fs.promises FileHandle.
+	Backends share the same interface: .read(), .readSync(), .write(), .truncate(), .getSize(),
+	.createReadStream(), .createWriteStream() and .close(), using the same arguments than FileHandle and fs.
+	Read-only backends throw on writes.
+*/
+function FileBackend( handle , readOnly = false ) {
+	this.handle = handle ;
+	this.readOnly = readOnly ;
+}
+
+module.exports = FileBackend ;
+
+
+
+// flags: like fs.open(), 'r' for a read-only backend
+FileBackend.open = async function( filePath , flags ) {
+	return new FileBackend( await fs.promises.open( filePath , flags ) , flags === 'r' ) ;
+} ;
+
+
+
+FileBackend.prototype.read = function( buffer , offset , length , position ) {
+	return this.handle.read( buffer , offset , length , position ) ;
+} ;
+
+
+
+FileBackend.prototype.readSync = function( buffer , offset , length , position ) {
+	return fs.readSync( this.handle.fd , buffer , offset , length , position ) ;
+} ;
+
+
+
+FileBackend.prototype.write = function( buffer , offset , length , position ) {
+	this.checkWritable() ;
+	return this.handle.write( buffer , offset , length , position ) ;
+} ;
+
+
+
+FileBackend.prototype.truncate = function( size ) {
+	this.checkWritable() ;
+	return this.handle.truncate( size ) ;
+} ;
+
+
+
+FileBackend.prototype.getSize = async function() {
+	return ( await this.handle.stat() ).size ;
+} ;
+
+
+
+// start and end are both inclusive, like fs.createReadStream()
+FileBackend.prototype.createReadStream = function( start , end ) {
+	return fs.createReadStream( null , {
+		fd: this.handle.fd ,
+		autoClose: false ,
+		start ,
+		end
+	} ) ;
+} ;
+
+
+
+FileBackend.prototype.createWriteStream = function( start ) {
+	this.checkWritable() ;
+
+	return fs.createWriteStream( null , {
+		fd: this.handle.fd ,
+		autoClose: false ,
+		start
+	} ) ;
+} ;
+
+
+
+FileBackend.prototype.close = function() {
+	return this.handle.close() ;
+} ;
+
+
+
+FileBackend.prototype.checkWritable = function() {
+	if ( this.readOnly ) { throw new Error( 'The archive is opened read-only' ) ; }
+} ;
+
@@ -0,0 +1,227 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const http = require( 'http' ) ;
+const https = require( 'https' ) ;
+const stream = require( 'stream' ) ;
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024 ;
+const MAX_CHUNKS = 16 ;
+const DEFAULT_TIMEOUT = 30000 ;
+
+
+
+/*
+	Read-only storage backend of a remote archive, fetched with HTTP Range requests.
+	Same interface than FileBackend, except .readSync() (synchronous reads are not possible).
+
+	Small reads (metadata) are served from a cache of chunks, so parsing the metadata doesn't issue a request per record,
+	larger reads and streams (file data) are requested directly.
+
+	options:
+		headers: additional HTTP headers (e.g. Authorization)
+		chunkSize: size of the cached chunks
+		timeout: abort a request when the server sends nothing for this time, in ms (default: 30s, 0 to disable)
+*/
+function HttpBackend( url , options = {} ) {
+	this.url = url ;
+	this.headers = options.headers || {} ;
+	this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE ;
+	this.timeout = options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT ;
+	this.size = null ;	// Set by the Content-Range header of the first response
+	this.chunks = new Map() ;	// chunk index -> Promise of Buffer, the most recently used last
+	this.readOnly = true ;
+
+	this.protocol = url.startsWith( 'https:' ) ? https : http ;
+	this.agent = new this.protocol.Agent( { keepAlive: true } ) ;
+}
+
+module.exports = HttpBackend ;
+
+
+
+HttpBackend.isUrl = str => typeof str === 'string' && /^https?:\/\//.test( str ) ;
+
+
+
+// Internal: resolve to the response of the range request, start and end are both inclusive
+HttpBackend.prototype.request = function( start , end ) {
+	return new Promise( ( resolve , reject ) => {
+		var response_ = null ,
+			headers = Object.assign( {} , this.headers , { Range: 'bytes=' + start + '-' + end } ) ;
+
+		var request = this.protocol.get( this.url , { headers , agent: this.agent } , response => {
+			response_ = response ;
+
+			if ( response.statusCode !== 206 ) {
+				response.resume() ;
+
+				if ( response.statusCode === 200 ) {
+					reject( new Error( "The server doesn't support HTTP Range requests: " + this.url ) ) ;
+				}
+				else {
+					reject( new Error( 'HTTP error ' + response.statusCode + ' for: ' + this.url ) ) ;
+				}
+
+				return ;
+			}
+
+			if ( this.size === null ) {
+				let match = ( response.headers['content-range'] || '' ).match( /\/([0-9]+)$/ ) ;
+				if ( match ) { this.size = parseInt( match[ 1 ] , 10 ) ; }
+			}
+
+			resolve( response ) ;
+		} ) ;
+
+		request.on( 'error' , reject ) ;
+
+		if ( this.timeout ) {
+			// The timeout is reset on activity, it also covers the body once the response is received
+			request.setTimeout( this.timeout , () => {
+				var error = new Error( 'HTTP request timed out after ' + this.timeout + 'ms: ' + this.url ) ;
+				if ( response_ ) { response_.destroy( error ) ; }
+				request.destroy( error ) ;
+			} ) ;
+		}
+	} ) ;
+} ;
+
+
+
+// Internal
+HttpBackend.prototype.requestBuffer = async function( start , end ) {
+	var chunks = [] ,
+		response = await this.request( start , end ) ;
+
+	for await ( let chunk of response ) { chunks.push( chunk ) ; }
+	return Buffer.concat( chunks ) ;
+} ;
+
+
+
+// Internal
+HttpBackend.prototype.getChunk = function( chunkIndex ) {
+	var chunk = this.chunks.get( chunkIndex ) ;
+
+	if ( chunk ) {
+		// Move it to the end
+		this.chunks.delete( chunkIndex ) ;
+		this.chunks.set( chunkIndex , chunk ) ;
+		return chunk ;
+	}
+
+	chunk = this.requestBuffer( chunkIndex * this.chunkSize , ( chunkIndex + 1 ) * this.chunkSize - 1 ) ;
+	chunk.catch( () => this.chunks.delete( chunkIndex ) ) ;
+	this.chunks.set( chunkIndex , chunk ) ;
+
+	if ( this.chunks.size > MAX_CHUNKS ) { this.chunks.delete( this.chunks.keys().next().value ) ; }
+
+	return chunk ;
+} ;
+
+
+
+HttpBackend.prototype.read = async function( buffer , offset , length , position ) {
+	var chunkIndex , chunk , chunkStart , bytesRead = 0 ;
+
+	if ( this.size === null ) { await this.getSize() ; }
+	length = Math.max( 0 , Math.min( length , this.size - position ) ) ;
+	if ( ! length ) { return { bytesRead , buffer } ; }
+
+	if ( length >= this.chunkSize ) {
+		bytesRead = ( await this.requestBuffer( position , position + length - 1 ) ).copy( buffer , offset ) ;
+		return { bytesRead , buffer } ;
+	}
+
+	while ( bytesRead < length ) {
+		chunkIndex = Math.floor( ( position + bytesRead ) / this.chunkSize ) ;
+		chunk = await this.getChunk( chunkIndex ) ;
+		chunkStart = position + bytesRead - chunkIndex * this.chunkSize ;
+		if ( chunkStart >= chunk.length ) { break ; }
+		bytesRead += chunk.copy( buffer , offset + bytesRead , chunkStart , chunkStart + length - bytesRead ) ;
+	}
+
+	return { bytesRead , buffer } ;
+} ;
+
+
+
+HttpBackend.prototype.readSync = function() {
+	throw new Error( 'Synchronous reads are not possible on remote archives' ) ;
+} ;
+
+
+
+HttpBackend.prototype.write = function() { this.checkWritable() ; } ;
+HttpBackend.prototype.truncate = function() { this.checkWritable() ; } ;
+HttpBackend.prototype.createWriteStream = function() { this.checkWritable() ; } ;
+
+
+
+HttpBackend.prototype.getSize = async function() {
+	if ( this.size === null ) {
+		await this.getChunk( 0 ) ;
+		if ( this.size === null ) { throw new Error( 'No Content-Range header in the response of: ' + this.url ) ; }
+	}
+
+	return this.size ;
+} ;
+
+
+
+// start and end are both inclusive, like fs.createReadStream()
+HttpBackend.prototype.createReadStream = function( start , end ) {
+	var readStream = new stream.PassThrough() ;
+
+	this.request( start , end ).then(
+		response => {
+			response.on( 'error' , error => readStream.destroy( error ) ) ;
+			response.pipe( readStream ) ;
+		} ,
+		error => readStream.destroy( error )
+	) ;
+
+	return readStream ;
+} ;
+
+
+
+HttpBackend.prototype.close = async function() {
+	this.chunks.clear() ;
+	this.agent.destroy() ;
+} ;
+
+
+
+HttpBackend.prototype.checkWritable = function() {
+	throw new Error( 'Remote archives are read-only' ) ;
+} ;
+
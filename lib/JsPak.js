@@ -30,60 +30,81 @@
 
 /*
 	Support per file/data:
-		- gzip compression
+		- gzip or brotli compression, or chunked gzip (seekable)
+		- range reads (efficient for raw, encrypted-only and chunked gzip files)
 		- encryption (aes-256-ctr + per file random init vector)
 		- HMAC
+		- SHA-256 digest of the content (unkeyed, for integrity checks of unencrypted archives, and deduplication)
+		- asymmetric encryption for recipients (a random content key wrapped with each RSA or X25519 public key)
+		- symlinks and hardlinks
+		- deduplication: files with the same content share the same stored data
+		- ownership and extended attributes
 
 	Support for metadata:
-		- salt for user key
+		- salt and key derivation (scrypt or PBKDF2) for user key
 		- encryption of index keys (aes-256-ctr + per key random init vector)
 		- global HMAC for all metadata
+		- digital signature (Ed25519, Ed448 or ECDSA) of all metadata and stored data, verified with the public key only
 
 	Other features:
 		- Being able to hijack require(), so requiring JS inside the archive is possible, and get priority over local files
 		  starting at the directory where the archive lies (may be configurable).
 		- Support multiple files with a number scheme, the later superseding existing files (e.g. like Q3 pak0.pak, pak1.pak, ...),
 		  allowing distribution of extension pack/patch.
-
-	Maybe:
-		- Support Brotli compression? (15-20% less size than gzip for common web files: html, css, js, etc)
-		- Asymetric encryption?
-*/
-
-/*
-	TODO:
-		- delete/replace
-		- requiring JS inside a .jpk
-		- multiple files with override
-		- compression-level option
-		- auto-compression mode: compress only files that can be (exclude media files)
+		- Read-only mode, archives living entirely in memory (a Buffer), and remote archives read with HTTP Range requests.
+		- Diff of two archives, or of an archive and a directory (e.g. an extracted install and its pack).
 */
 
-
 const cryptoHelper = require( './cryptoHelper.js' ) ;
+const requireHook = require( './requireHook.js' ) ;
+const compressedFormats = require( './compressedFormats.js' ) ;
+const chunkedGzip = require( './chunkedGzip.js' ) ;
+const fileAttributes = require( './fileAttributes.js' ) ;
+const FileBackend = require( './FileBackend.js' ) ;
+const BufferBackend = require( './BufferBackend.js' ) ;
+const HttpBackend = require( './HttpBackend.js' ) ;
+const createKeyFilter = require( './keyFilter.js' ) ;
+const ignoreRules = require( './ignoreRules.js' ) ;
+const tar = require( './tar.js' ) ;
+const zip = require( './zip.js' ) ;
 
 const Promise = require( 'seventh' ) ;
 
 const path = require( 'path' ) ;
 const fs = require( 'fs' ) ;
+const stream = require( 'stream' ) ;
 const fsKit = require( 'fs-kit' ) ;
 const streamKit = require( 'stream-kit' ) ;
 const zlib = require( 'zlib' ) ;
 const gunzipBuffer = Promise.promisify( zlib.gunzip ) ;
+const brotliDecompressBuffer = Promise.promisify( zlib.brotliDecompress ) ;
 const EventEmitter = require( 'events' ) ;
 
 const log = require( 'logfella' ).global.use( 'JsPak' ) ;
 
-const package_ = require( '../package.json' ) ;
-const semver = require( 'semver' ) ;
-const MAJOR_VERSION = semver.major( package_.version ) ;
-const MINOR_VERSION = semver.minor( package_.version ) ;
+// Format version, stored in the majorVersion and minorVersion headers (up to v0.6, it was the version of the lib)
+const MAJOR_VERSION = 0 ;
+const MINOR_VERSION = 8 ;
 
 
 
+/*
+	filePath: the path of the archive, an http:// or https:// URL of a remote archive (read using Range requests),
+		or a Buffer containing the whole archive (remote and in-memory archives are always read-only)
+	options:
+		readOnly: open the archive read-only (it can't be created nor modified)
+		httpHeaders: additional HTTP headers for remote archives (e.g. Authorization)
+		httpTimeout: abort HTTP requests when the server sends nothing for this time, in ms (default: 30s, 0 to disable)
+		... (see below)
+*/
 function JsPak( filePath , options = {} ) {
-	this.filePath = filePath ;
-	this.file = null ;
+	this.filePath = Buffer.isBuffer( filePath ) || HttpBackend.isUrl( filePath ) ? null : filePath ;
+	this.buffer = Buffer.isBuffer( filePath ) ? filePath : null ;	// In-memory archive
+	this.url = HttpBackend.isUrl( filePath ) ? filePath : null ;	// Remote archive
+	this.httpHeaders = options.httpHeaders || null ;
+	this.httpTimeout = options.httpTimeout ;
+	this.readOnly = !! ( options.readOnly || this.buffer || this.url ) ;
+	this.file = null ;			// The storage backend (FileBackend, BufferBackend or HttpBackend)
 	this.isNew = null ;			// True if the archive was created, false if it existed
 	this.coreHeadersAdded = null ;	// Write essential header, like version
 	this.loaded = false ;		// True if the file header and index are loaded
@@ -91,14 +112,36 @@ function JsPak( filePath , options = {} ) {
 	this.headers = {} ;
 	this.indexMap = new Map() ;
 	this.directoryMap = new Map() ;
+	this.deletedKeys = new Set() ;			// Keys of files deleted by a tombstone
+	this.deletedDirectoryKeys = new Set() ;	// Keys of directories deleted by a tombstone
+	this.contentMap = new Map() ;	// Deduplication: content ID -> stored data { offset , size }, including data of deleted files
 
 	this.originalEncryptionKey = options.encryptionKey || '' ;
 	this.salt = null ; 	// salt is set by a header
 	this.encryptionKey = options.encryptionKey || '' ;	// After salting it
+	this.kdf = options.kdf || cryptoHelper.DEFAULT_KDF ;	// Key derivation function for new archives ('legacy' for the old one)
+	this.kdfCost = options.kdfCost || null ;
+	this.kdfParams = null ;		// KDF parameters, set by the security header, null for the legacy derivation
+
+	// Key scheme, 'hkdf': independent keys for the cipher and the HMAC are derived from the encryption key (default for new archives),
+	// 'single': the encryption key is used for both (legacy)
+	this.keyScheme = options.keyScheme || null ;
+	this.cipherKey = this.encryptionKey ;
+	this.macKey = this.encryptionKey ;
+
+	// Asymmetric encryption: public keys of recipients (new archive), private key to open an archive encrypted for recipients
+	this.recipients = options.recipients || null ;
+	this.identity = options.identity || null ;
+	this.contentKeys = null ;	// cipher and HMAC keys derived from the content key
 
 	this.shouldVerifyMetaHmac = options.verify || null ;		// HMAC for all blocks except content data (each files have its own hmac)
 	this.shouldVerifyFileHmac = options.verify || null ;		// HMAC for content data
+	this.shouldVerifyDigest = options.verify || options.verifyDigest || null ;		// SHA-256 digest of the content of each file (when available)
 	this.metaHmac = null ;
+	this.metaDigest = null ;	// SHA-256 of the same bytes than the meta HMAC plus the security header, used by signatures
+	this.metaDataRanges = null ;	// { offset , size } of the stored data of each file record (tombstones excepted), used by signatures
+	this.layout = LAYOUT.legacy ;	// record layout, set by the version headers
+	this.publicKey = options.publicKey || null ;	// if set, the signature is verified on load
 }
 
 JsPak.prototype = Object.create( EventEmitter.prototype ) ;
@@ -106,6 +149,9 @@ JsPak.prototype.constructor = JsPak ;
 
 module.exports = JsPak ;
 
+JsPak.Overlay = require( './Overlay.js' ) ;
+JsPak.diff = require( './diff.js' ) ;
+
 
 
 // Open the file
@@ -113,17 +159,21 @@ JsPak.prototype.open = async function( shouldBeNew = null ) {
 	if ( this.file ) { return ; }
 
 	try {
-		this.file = await fs.promises.open( this.filePath , 'r+' ) ;
+		if ( shouldBeNew === true && ! this.filePath ) { throw new Error( 'Expected an archive file, not a Buffer or an URL!' ) ; }
+
+		if ( this.buffer ) { this.file = new BufferBackend( this.buffer ) ; }
+		else if ( this.url ) { this.file = new HttpBackend( this.url , { headers: this.httpHeaders , timeout: this.httpTimeout } ) ; }
+		else { this.file = await FileBackend.open( this.filePath , this.readOnly ? 'r' : 'r+' ) ; }
+
 		if ( shouldBeNew === true ) { throw new Error( 'Expected ' + this.filePath + ' to not exist!' ) ; }
-		let stats = await this.file.stat() ;
-		this.eof = stats.size ;
+		this.eof = await this.file.getSize() ;
 		this.isNew = false ;
 	}
 	catch ( error ) {
 		if ( error.code === 'ENOENT' ) {
-			if ( shouldBeNew === false ) { throw new Error( 'Expected ' + this.filePath + ' to exist!' ) ; }
-			this.file = await fs.promises.open( this.filePath , 'w+' ) ;
-			this.file.write( 'JPK' ) ;
+			if ( shouldBeNew === false || this.readOnly ) { throw new Error( 'Expected ' + this.filePath + ' to exist!' ) ; }
+			this.file = await FileBackend.open( this.filePath , 'w+' ) ;
+			await this.file.write( Buffer.from( 'JPK' ) , 0 , 3 , 0 ) ;
 			this.loaded = true ;
 			this.eof = 3 ;
 			this.isNew = true ;
@@ -138,7 +188,7 @@ JsPak.prototype.open = async function( shouldBeNew = null ) {
 	}
 
 	var magicBuffer = Buffer.allocUnsafe( 3 ) ;
-	await this.file.read( magicBuffer , 0 , 3 ) ;
+	await this.file.read( magicBuffer , 0 , 3 , 0 ) ;
 	if ( magicBuffer.toString( 'utf8' ) !== 'JPK' ) {
 		throw new Error( "Not a JPK file (bad magic bytes)" ) ;
 	}
@@ -146,10 +196,27 @@ JsPak.prototype.open = async function( shouldBeNew = null ) {
 
 
 
+// Throw if the archive can't be modified
+JsPak.prototype.checkWritable = function() {
+	if ( this.readOnly ) { throw new Error( 'The archive is read-only' ) ; }
+} ;
+
+
+
+// Close the file
+JsPak.prototype.close = async function() {
+	if ( ! this.file ) { return ; }
+	await this.file.close() ;
+	this.file = null ;
+} ;
+
+
+
 JsPak.prototype.load = async function() {
 	if ( this.loaded ) { return ; }
 	await this.parseMeta( true , this.shouldVerifyMetaHmac ) ;
 	if ( this.shouldVerifyMetaHmac ) { await this.verifyMetaHmac() ; }
+	if ( this.publicKey ) { await this.verifySignature() ; }
 } ;
 
 
@@ -174,6 +241,7 @@ JsPak.prototype.verifyMetaHmac = async function() {
 
 
 JsPak.prototype.addMetaHmac = async function() {
+	this.checkWritable() ;
 	if ( ! this.loaded || ! this.metaHmac ) { await this.computeMetaHmac() ; }
 	if ( this.headers.metaHmac ) {
 		throw new Error( 'The meta HMAC header is already existing!' ) ;
@@ -183,15 +251,151 @@ JsPak.prototype.addMetaHmac = async function() {
 
 
 
+/*
+	Sign the archive with a private key (Ed25519, Ed448 or ECDSA), unlike the meta HMAC, it can be verified without any secret.
+	The signature covers the same bytes than the meta HMAC, plus the security header (KDF parameters, salt, key scheme)
+	and the SHA-256 of the stored data of each file record (tombstones excepted), as stored: no key is needed to compute it.
+*/
+JsPak.prototype.sign = async function( privateKey ) {
+	this.checkWritable() ;
+	if ( ! this.loaded ) { await this.load() ; }
+	if ( this.isNew && ! this.coreHeadersAdded ) { await this.addCoreHeaders() ; }
+
+	if ( this.headers.signature ) {
+		throw new Error( 'The signature header is already existing!' ) ;
+	}
+
+	await this.addHeader( 'signature' , cryptoHelper.sign( await this.computeSignedDigest() , privateKey ) , true ) ;
+} ;
+
+
+
+JsPak.prototype.verifySignature = async function( publicKey = this.publicKey ) {
+	if ( ! this.loaded ) { await this.load() ; }
+
+	if ( ! this.headers.signature ) {
+		throw new Error( 'No signature found in the package! The authenticity of the package cannot be proven!' ) ;
+	}
+
+	if ( this.headers.signature.keyId !== cryptoHelper.getKeyId( publicKey ) ) {
+		throw new Error( 'The package is not signed with this public key!' ) ;
+	}
+
+	if ( ! cryptoHelper.verifySignature( await this.computeSignedDigest() , this.headers.signature , publicKey ) ) {
+		throw new Error( 'Signature mismatch! The package has been tampered!' ) ;
+	}
+} ;
+
+
+
+/*
+	Verify every file, regardless of the 'verify' option: its data is decoded (HMAC, decryption, decompression, digest)
+	without being written anywhere.
+	Return an array of { key , status , error }, where status is:
+		'ok': its HMAC and/or its digest match
+		'failed': error is set
+		'unprotected': it was decoded, but there is no HMAC nor digest to check it against
+		'unchecked': it needs a key that is not loaded (encryption key or identity), without it only the digest
+			of an authenticated but not encrypted file can be checked
+*/
+JsPak.prototype.verifyFiles = async function() {
+	if ( ! this.loaded ) { await this.load() ; }
+
+	var index , inputStream ,
+		results = [] ,
+		shouldVerifyFileHmac = this.shouldVerifyFileHmac ,
+		shouldVerifyDigest = this.shouldVerifyDigest ;
+
+	this.shouldVerifyFileHmac = this.shouldVerifyDigest = true ;
+
+	try {
+		for ( index of this.indexMap.values() ) {
+			let hasKeys = ! ( index.encryption || index.hmac ) || this.hasEntryKeys( index ) ;
+
+			if ( ! hasKeys && ( index.encryption || ! index.sha256 ) ) {
+				results.push( { key: index.key , status: 'unchecked' } ) ;
+				this.emit( 'fileVerified' , results[ results.length - 1 ] ) ;
+				continue ;
+			}
+
+			this.shouldVerifyFileHmac = hasKeys ;
+
+			try {
+				inputStream = this.getStreamFromIndex( index ) ;
+				inputStream.resume() ;
+				await Promise.onceEventOrError( inputStream , 'end' ) ;
+				results.push( { key: index.key , status: index.hmac || index.sha256 ? 'ok' : 'unprotected' } ) ;
+			}
+			catch ( error ) {
+				results.push( { key: index.key , status: 'failed' , error } ) ;
+			}
+
+			this.emit( 'fileVerified' , results[ results.length - 1 ] ) ;
+		}
+	}
+	finally {
+		this.shouldVerifyFileHmac = shouldVerifyFileHmac ;
+		this.shouldVerifyDigest = shouldVerifyDigest ;
+	}
+
+	return results ;
+} ;
+
+
+
+// Internal: the digest of the meta digest and of the stored data of each file record, in the order of the records
+JsPak.prototype.computeSignedDigest = async function() {
+	var range , inputStream ,
+		hash = cryptoHelper.createHash() ;
+
+	await this.computeMetaHmac() ;
+	hash.update( this.metaDigest ) ;
+
+	for ( range of this.metaDataRanges ) {
+		let fileHash = cryptoHelper.createHash() ;
+
+		if ( range.size ) {
+			inputStream = this.file.createReadStream( range.offset , range.offset + range.size - 1 ) ;
+
+			inputStream.on( 'data' , chunk => fileHash.update( chunk ) ) ;
+			await Promise.onceEventOrError( inputStream , 'end' ) ;
+		}
+
+		hash.update( fileHash.digest() ) ;
+	}
+
+	return hash.digest() ;
+} ;
+
+
+
 // Internal function used by .load() and .computeMetaHmac()
 JsPak.prototype.parseMeta = async function( loadMeta_ , computeMetaHmac_ ) {
-	var headerBuffer , keyBuffer , valueBuffer , position , hmac ,
-		flags , type , header , index , directory , keySize , dataBlockSize ,
+	var headerBuffer , keyBuffer , valueBuffer , position , hmac , digest ,
+		flags , type , header , index , directory , keySize , dataBlockSize , layout ,
+		extensionSize , extensionSizeBuffer = Buffer.allocUnsafe( 2 ) ,
+		dataRanges = [] ,
 		iteration ;
 
+	// The meta digest (used by signatures) is computed over the same bytes than the meta HMAC,
+	// plus the security header which can't be in the HMAC since the HMAC key is derived from it
+	var updateMetaHash = ( ... buffers ) => {
+		if ( ! hmac ) {
+			//log.hdebug( "macKey: %z" , this.macKey ) ;
+			hmac = cryptoHelper.createHmac( this.macKey ) ;
+		}
+
+		if ( ! digest ) { digest = cryptoHelper.createHash() ; }
+
+		for ( let buffer of buffers ) {
+			hmac.update( buffer ) ;
+			digest.update( buffer ) ;
+		}
+	} ;
+
 	if ( ! this.file ) { await this.open() ; }
 
-	headerBuffer = Buffer.allocUnsafe( Math.max( HEADER_FIXED_SIZE , INDEX_FIXED_SIZE , DIRECTORY_FIXED_SIZE , DATABLOCK_FIXED_SIZE ) ) ;
+	headerBuffer = Buffer.allocUnsafe( Math.max( HEADER_FIXED_SIZE , LAYOUT.large.indexFixedSize , DIRECTORY_FIXED_SIZE , LAYOUT.large.dataBlockFixedSize ) ) ;
 	keyBuffer = Buffer.allocUnsafe( KEY_BUFFER_MAX_SIZE ) ;
 	valueBuffer = Buffer.allocUnsafe( VALUE_BUFFER_MAX_SIZE ) ;
 	position = 3 ;
@@ -229,61 +433,93 @@ JsPak.prototype.parseMeta = async function( loadMeta_ , computeMetaHmac_ ) {
 
 			// (e.g.: HMAC is obviously out of HMAC)
 			if ( computeMetaHmac_ && ! OUT_OF_HMAC.has( header.key ) ) {
-				if ( ! hmac ) {
-					//log.hdebug( "encryptionKey: %s" , this.encryptionKey ) ;
-					hmac = cryptoHelper.createHmac( this.encryptionKey ) ;
-				}
-
-				hmac.update( headerBuffer.slice( 0 , HEADER_FIXED_SIZE ) ) ;
-				hmac.update( keyBuffer.slice( 0 , keySize ) ) ;
-				hmac.update( valueBuffer.slice( 0 , header.valueSize ) ) ;
+				updateMetaHash(
+					headerBuffer.slice( 0 , HEADER_FIXED_SIZE ) ,
+					keyBuffer.slice( 0 , keySize ) ,
+					valueBuffer.slice( 0 , header.valueSize )
+				) ;
+			}
+			else if ( computeMetaHmac_ && header.key === 'security' ) {
+				if ( ! digest ) { digest = cryptoHelper.createHash() ; }
+				digest.update( headerBuffer.slice( 0 , HEADER_FIXED_SIZE ) ) ;
+				digest.update( keyBuffer.slice( 0 , keySize ) ) ;
+				digest.update( valueBuffer.slice( 0 , header.valueSize ) ) ;
 			}
 		}
 		else if ( type === FLAG_TYPE_INDEX ) {
 			//log.hdebug( "position: %i" , position ) ;
-			await this.file.read( headerBuffer , 1 , INDEX_FIXED_SIZE - 1 , position ) ;
-			position += INDEX_FIXED_SIZE - 1 ;
-			keySize = headerBuffer.readUInt16BE( 27 ) ;
+			layout = this.layout ;
+			await this.file.read( headerBuffer , 1 , layout.indexFixedSize - 1 , position ) ;
+			position += layout.indexFixedSize - 1 ;
+			keySize = headerBuffer.readUInt16BE( layout.keySize ) ;
 			await this.file.read( keyBuffer , 0 , keySize , position ) ;
 			position += keySize ;
+			extensionSize = layout.extension ? await this.readRecordExtension( extensionSizeBuffer , valueBuffer , position ) : 0 ;
+			if ( layout.extension ) { position += 2 + extensionSize ; }
 
 			if ( loadMeta_ ) {
 				index = {} ;
-				index.offset = headerBuffer.readUInt32BE( 1 ) ;
-				index.size = headerBuffer.readUInt32BE( 5 ) ;
-				index.mode = headerBuffer.readUInt16BE( 9 ) ;
-				index.mtime = new Date( headerBuffer.readDoubleBE( 11 ) ) ;
-				index.atime = new Date( headerBuffer.readDoubleBE( 19 ) ) ;
+				index.offset = layout.readSize( headerBuffer , layout.offset ) ;
+				index.size = layout.readSize( headerBuffer , layout.size ) ;
+				index.mode = headerBuffer.readUInt16BE( layout.mode ) ;
+				index.mtime = new Date( headerBuffer.readDoubleBE( layout.mtime ) ) ;
+				index.atime = new Date( headerBuffer.readDoubleBE( layout.atime ) ) ;
 				//index.keySize = keySize ;
-				index.gzip = !! ( flags & FLAG_GZIP ) ;
+				index.compression = ( flags & MASK_COMPRESSION ) ? COMPRESSION_BY_FLAGS[ flags & MASK_COMPRESSION ] : null ;
+				if ( index.compression === undefined ) { throw new Error( 'Unsupported compression (flags: ' + flags + ')' ) ; }
+				index.gzip = index.compression === 'gzip' ;
+				index.brotli = index.compression === 'brotli' ;
 				index.encryption = !! ( flags & FLAG_ENCRYPTION ) ;
+				index.asymmetric = !! ( flags & FLAG_ASYMMETRIC ) ;
 				index.hmac = !! ( flags & FLAG_HMAC ) ;
 
-				if ( index.encryption ) {
-					index.key = ( await cryptoHelper.decryptBuffer( keyBuffer.slice( 0 , keySize ) , this.encryptionKey ) ).toString() ;
+				if ( index.encryption && ! this.hasEntryKeys( index ) ) {
+					// Without the key (e.g. only verifying the signature), the key is kept encrypted (base64),
+					// tombstones of those files can't be matched
+					index.key = keyBuffer.toString( 'base64' , 0 , keySize ) ;
+					index.encryptedKey = true ;
+				}
+				else if ( index.encryption ) {
+					index.key = ( await cryptoHelper.decryptBuffer( keyBuffer.slice( 0 , keySize ) , this.getEntryKeys( index ).cipherKey ) ).toString() ;
 					//log.hdebug( "Key Encryption! bf: %s , aft: %s" , keyBuffer.toString( 'utf8' , 0 , keySize ) , index.key ) ;
 				}
 				else {
 					index.key = keyBuffer.toString( 'utf8' , 0 , keySize ) ;
 				}
 
-				this.indexMap.set( index.key , index ) ;
+				if ( extensionSize ) { await this.parseRecordExtension( index , valueBuffer.slice( 0 , extensionSize ) ) ; }
+
+				if ( flags & FLAG_DELETED ) {
+					this.indexMap.delete( index.key ) ;
+					this.deletedKeys.add( index.key ) ;
+				}
+				else {
+					this.indexMap.set( index.key , index ) ;
+					this.deletedKeys.delete( index.key ) ;
+					if ( index.sha256 ) { this.contentMap.set( getContentId( index ) , { offset: index.offset , size: index.size } ) ; }
+				}
 				//log.hdebug( "Index: %Y" , index ) ;
 			}
 
 			if ( computeMetaHmac_ ) {
-				if ( ! hmac ) { hmac = cryptoHelper.createHmac( this.encryptionKey ) ; }
-				hmac.update( headerBuffer.slice( 0 , INDEX_FIXED_SIZE ) ) ;
-				hmac.update( keyBuffer.slice( 0 , keySize ) ) ;
+				updateMetaHash( headerBuffer.slice( 0 , layout.indexFixedSize ) , keyBuffer.slice( 0 , keySize ) ) ;
+				if ( layout.extension ) { updateMetaHash( extensionSizeBuffer , valueBuffer.slice( 0 , extensionSize ) ) ; }
+
+				if ( ! ( flags & FLAG_DELETED ) ) {
+					dataRanges.push( { offset: layout.readSize( headerBuffer , layout.offset ) , size: layout.readSize( headerBuffer , layout.size ) } ) ;
+				}
 			}
 		}
 		else if ( type === FLAG_TYPE_DIRECTORY ) {
 			//log.hdebug( "position: %i" , position ) ;
+			layout = this.layout ;
 			await this.file.read( headerBuffer , 1 , DIRECTORY_FIXED_SIZE - 1 , position ) ;
 			position += DIRECTORY_FIXED_SIZE - 1 ;
 			keySize = headerBuffer.readUInt16BE( 19 ) ;
 			await this.file.read( keyBuffer , 0 , keySize , position ) ;
 			position += keySize ;
+			extensionSize = layout.extension ? await this.readRecordExtension( extensionSizeBuffer , valueBuffer , position ) : 0 ;
+			if ( layout.extension ) { position += 2 + extensionSize ; }
 
 			if ( loadMeta_ ) {
 				directory = {} ;
@@ -292,36 +528,49 @@ JsPak.prototype.parseMeta = async function( loadMeta_ , computeMetaHmac_ ) {
 				directory.atime = new Date( headerBuffer.readDoubleBE( 11 ) ) ;
 				//directory.keySize = headerBuffer.readUInt16BE( 19 ) ;
 				directory.encryption = !! ( flags & FLAG_ENCRYPTION ) ;
+				directory.asymmetric = !! ( flags & FLAG_ASYMMETRIC ) ;
 
-				if ( directory.encryption ) {
-					directory.key = ( await cryptoHelper.decryptBuffer( keyBuffer.slice( 0 , keySize ) , this.encryptionKey ) ).toString() ;
+				if ( directory.encryption && ! this.hasEntryKeys( directory ) ) {
+					directory.key = keyBuffer.toString( 'base64' , 0 , keySize ) ;
+					directory.encryptedKey = true ;
+				}
+				else if ( directory.encryption ) {
+					directory.key = ( await cryptoHelper.decryptBuffer( keyBuffer.slice( 0 , keySize ) , this.getEntryKeys( directory ).cipherKey ) ).toString() ;
 					//log.hdebug( "DirKey  Encryption! bf: %s , aft: %s\n\n" , keyBuffer.toString( 'utf8' , 0 , keySize ) , directory.key ) ;
 				}
 				else {
 					directory.key = keyBuffer.toString( 'utf8' , 0 , keySize ) ;
 				}
 
-				this.directoryMap.set( directory.key , directory ) ;
+				if ( extensionSize ) { await this.parseRecordExtension( directory , valueBuffer.slice( 0 , extensionSize ) ) ; }
+
+				if ( flags & FLAG_DELETED ) {
+					this.directoryMap.delete( directory.key ) ;
+					this.deletedDirectoryKeys.add( directory.key ) ;
+				}
+				else {
+					this.directoryMap.set( directory.key , directory ) ;
+					this.deletedDirectoryKeys.delete( directory.key ) ;
+				}
 				//log.hdebug( "Directory: %Y" , directory ) ;
 			}
 
 			if ( computeMetaHmac_ ) {
-				if ( ! hmac ) { hmac = cryptoHelper.createHmac( this.encryptionKey ) ; }
-				hmac.update( headerBuffer.slice( 0 , DIRECTORY_FIXED_SIZE ) ) ;
-				hmac.update( keyBuffer.slice( 0 , keySize ) ) ;
+				updateMetaHash( headerBuffer.slice( 0 , DIRECTORY_FIXED_SIZE ) , keyBuffer.slice( 0 , keySize ) ) ;
+				if ( layout.extension ) { updateMetaHash( extensionSizeBuffer , valueBuffer.slice( 0 , extensionSize ) ) ; }
 			}
 		}
 		else if ( type === FLAG_TYPE_DATABLOCK ) {
 			// This is a datablock: skip it!
-			await this.file.read( headerBuffer , 1 , DATABLOCK_FIXED_SIZE - 1 , position ) ;
-			position += DATABLOCK_FIXED_SIZE - 1 ;
-			dataBlockSize = headerBuffer.readUInt32BE( 1 ) ;
+			layout = this.layout ;
+			await this.file.read( headerBuffer , 1 , layout.dataBlockFixedSize - 1 , position ) ;
+			position += layout.dataBlockFixedSize - 1 ;
+			dataBlockSize = layout.readSize( headerBuffer , 1 ) ;
 			position += dataBlockSize ;
 			//log.hdebug( "Skipping Data Block of size: %iB" , dataBlockSize ) ;
 
 			if ( computeMetaHmac_ ) {
-				if ( ! hmac ) { hmac = cryptoHelper.createHmac( this.encryptionKey ) ; }
-				hmac.update( headerBuffer.slice( 0 , DATABLOCK_FIXED_SIZE ) ) ;
+				updateMetaHash( headerBuffer.slice( 0 , layout.dataBlockFixedSize ) ) ;
 			}
 		}
 
@@ -333,8 +582,10 @@ JsPak.prototype.parseMeta = async function( loadMeta_ , computeMetaHmac_ ) {
 	}
 
 	if ( computeMetaHmac_ ) {
-		if ( ! hmac ) { hmac = cryptoHelper.createHmac( this.encryptionKey ) ; }	// Seems useless, but we still need the HMAC for empty file
+		if ( ! hmac ) { updateMetaHash() ; }	// Seems useless, but we still need the HMAC for empty file
 		this.metaHmac = hmac.digest() ;
+		this.metaDigest = digest.digest() ;
+		this.metaDataRanges = dataRanges ;
 		//log.hdebug( "HMAC: %n" , this.metaHmac.toString( 'base64' ) ) ;
 		return this.metaHmac ;
 	}
@@ -344,25 +595,121 @@ JsPak.prototype.parseMeta = async function( loadMeta_ , computeMetaHmac_ ) {
 
 
 
+/*
+	Internal: read the extension of an index or directory record (since v0.8), after the key.
+	The 2 bytes of its size are read into sizeBuffer, the extension itself into buffer.
+	Return the size of the extension (without its 2 bytes size).
+*/
+JsPak.prototype.readRecordExtension = async function( sizeBuffer , buffer , position ) {
+	var size ;
+
+	await this.file.read( sizeBuffer , 0 , 2 , position ) ;
+	size = sizeBuffer.readUInt16BE( 0 ) ;
+	if ( size ) { await this.file.read( buffer , 0 , size , position + 2 ) ; }
+
+	return size ;
+} ;
+
+
+
+// Internal: decode the extension of an index or directory record into the entry
+JsPak.prototype.parseRecordExtension = async function( entry , buffer ) {
+	var key , object ;
+
+	if ( entry.encryption ) {
+		// Not decodable without the encryption key (e.g. only verifying the signature), like the key itself
+		if ( ! this.hasEntryKeys( entry ) ) { return ; }
+		buffer = await cryptoHelper.decryptBuffer( buffer , this.getEntryKeys( entry ).cipherKey ) ;
+	}
+
+	try {
+		object = JsPak.serialKvToObject( buffer.toString() ) ;
+	}
+	catch ( error ) {
+		throw new Error( "Can't decode the extension of '" + entry.key + "' (bad encryption key?)" ) ;
+	}
+
+	for ( key of Object.keys( object ) ) {
+		if ( key.startsWith( 'xattr.' ) ) {
+			if ( ! entry.xattrs ) { entry.xattrs = {} ; }
+			entry.xattrs[ key.slice( 6 ) ] = Buffer.from( object[ key ] , 'base64' ) ;
+		}
+		else if ( EXTENSION_FIELDS.has( key ) ) {
+			entry[ key ] = object[ key ] ;
+		}
+		// Unknown fields are ignored, they may come from a later version
+	}
+} ;
+
+
+
+// Internal: create the extension of an index or directory record, including its 2 bytes size
+JsPak.prototype.createRecordExtension = async function( entry ) {
+	var key , buffer , sizeBuffer ,
+		object = {} ;
+
+	for ( key of EXTENSION_FIELDS ) {
+		if ( entry[ key ] !== undefined ) { object[ key ] = entry[ key ] ; }
+	}
+
+	if ( entry.xattrs ) {
+		for ( key of Object.keys( entry.xattrs ) ) {
+			object[ 'xattr.' + key ] = Buffer.from( entry.xattrs[ key ] ).toString( 'base64' ) ;
+		}
+	}
+
+	buffer = Buffer.from( JsPak.objectToSerialKv( object ) ) ;
+
+	if ( buffer.length && entry.encryption ) {
+		buffer = await cryptoHelper.encryptBuffer( buffer , this.getEntryKeys( entry ).cipherKey ) ;
+	}
+
+	if ( buffer.length >= VALUE_BUFFER_MAX_SIZE ) { throw new Error( "Extension too large (too many extended attributes?) for: " + entry.key ) ; }
+
+	sizeBuffer = Buffer.allocUnsafe( 2 ) ;
+	sizeBuffer.writeUInt16BE( buffer.length , 0 ) ;
+
+	return Buffer.concat( [ sizeBuffer , buffer ] ) ;
+} ;
+
+
+
 JsPak.prototype.addCoreHeaders = async function() {
 	if ( ! this.isNew || this.coreHeadersAdded ) { return ; }
 	if ( ! this.loaded ) { await this.load() ; }
+
+	// No password: nothing to protect, the legacy derivation is used
+	if ( ! this.kdfParams && this.originalEncryptionKey && this.kdf !== 'legacy' ) {
+		this.kdfParams = cryptoHelper.createKdfParams( this.kdf , this.kdfCost ) ;
+	}
+
 	this.coreHeadersAdded = true ;
 
-	if ( ! this.salt ) { this.setSalt() ; }
+	if ( ! this.keyScheme ) { this.keyScheme = 'hkdf' ; }
 
-	var security = {
-		salt: this.salt
-	} ;
+	this.setSalt( this.salt ) ;
+
+	var security = Object.assign( { salt: this.salt } , this.kdfParams ) ;
+	if ( this.keyScheme !== 'single' ) { security.keyScheme = this.keyScheme ; }
 
 	await this.addHeader( 'security' , security , true ) ;
+
+	if ( this.recipients && this.recipients.length ) {
+		let contentKey = cryptoHelper.createContentKey() ;
+		await this.addHeader( 'recipients' , this.recipients.map( publicKey => cryptoHelper.wrapKey( contentKey , publicKey ) ) , true ) ;
+		this.contentKeys = cryptoHelper.splitKey( contentKey ) ;
+	}
+
 	await this.addHeader( 'majorVersion' , MAJOR_VERSION , true ) ;
 	await this.addHeader( 'minorVersion' , MINOR_VERSION , true ) ;
+	this.applyHeader( 'majorVersion' ) ;
+	this.applyHeader( 'minorVersion' ) ;
 } ;
 
 
 
 JsPak.prototype.addHeader = async function( key , value , internal = false ) {
+	this.checkWritable() ;
 	if ( ! this.loaded ) { await this.load() ; }
 	if ( ! internal && this.isNew && ! this.coreHeadersAdded ) { await this.addCoreHeaders() ; }
 
@@ -390,11 +737,45 @@ JsPak.prototype.addHeader = async function( key , value , internal = false ) {
 
 
 
+/*
+	Add files to the archive.
+	files: a file path, an object or an array of them, an object may have:
+		filePath: the path of a file or a directory (recursively added)
+		or key + buffer / stream / directory: true / symlink: target / hardlink: key of the linked file
+		and per-file overrides of options below, plus mode, mtime, atime
+		files can also be an async iterable (e.g. the entries of a tar), each one is added before the next one is read
+		files whose key is absolute or contains ../ or ~/ are skipped (with an error logged)
+	options:
+		prefix: prefix added to keys
+		dereference: follow symlinks and store hardlinked files as regular files, instead of storing links
+		preserveOwnership: store uid, gid, user and group names of files (also accepted on entries with a key)
+		xattrs: store extended attributes of files (needs the 'fs-xattr' package, also accepted on entries with a key)
+		compression: 'gzip', 'brotli', 'gzip-chunked' (seekable, see chunkedGzip.js) or 'none' (or the boolean shorthands gzip / brotli)
+		compressionLevel: the gzip level (0-9) or the brotli quality (0-11)
+		autoCompression: don't compress already compressed files (media, archives, ...),
+			and store the file raw when compression does not shrink it
+		encryption: encrypt the file (default to true when the archive has recipients)
+		hmac: add an HMAC to the file
+		deduplicate: if false, always store the data even if the same content with the same storage options is already
+			in the archive (default: true)
+		include: only add files matching those keys or glob patterns (see keyFilter.js), tested against keys without
+			options.prefix, directories are only added if they match or contain an added file
+		exclude: do not add files and directories matching those keys or glob patterns, excluded directories are not read
+		ignoreFile: the name of ignore files (gitignore syntax, see ignoreRules.js) honored in every added directory,
+			default to '.jpkignore', false to disable them
+		onlyChanged , checksum: see .update()
+	Return { keys , directoryKeys , unchangedKeys }: keys of added files and directories, and keys of files and directories
+	skipped by onlyChanged.
+*/
 JsPak.prototype.add = async function( files , options = {} ) {
+	this.checkWritable() ;
 	if ( ! this.loaded ) { await this.load() ; }
 	if ( this.isNew && ! this.coreHeadersAdded ) { await this.addCoreHeaders() ; }
 
-	if ( ! Array.isArray( files ) ) { files = [ files ] ; }
+	var asyncFiles = null ;
+
+	if ( files && typeof files[ Symbol.asyncIterator ] === 'function' ) { asyncFiles = files ; files = [] ; }
+	else if ( ! Array.isArray( files ) ) { files = [ files ] ; }
 
 	// Check options.prefix, it should not be absolute, and should not contains ../ ~/
 	if ( options.prefix ) {
@@ -403,17 +784,39 @@ JsPak.prototype.add = async function( files , options = {} ) {
 		}
 	}
 
-	var key , keys = [] , directoryKeys = [] , keySize , flags , gzip , encryption , hmac , mode , mtime , atime ,
-		file , filePath , fileName , prefix , stats , children ,
-		dataBlockOffset , dataBlockSize ,
-		directory , index , dataOffset = 0 , dataSize = 0 ,
-		directoryBuffer , indexBuffer , dataBlockHeaderBuffer , keyBuffer , currentKeyBuffer ,
-		inputFile , inputStream , outputStream , middleStreams ;
+	if ( ( options.preserveOwnership || options.xattrs ) && ! this.layout.extension ) {
+		throw new Error( 'Ownership and extended attributes need an archive of format v0.8 or above, compact it into a new archive to convert it' ) ;
+	}
 
-	dataBlockHeaderBuffer = Buffer.allocUnsafe( DATABLOCK_FIXED_SIZE ) ;
-	directoryBuffer = indexBuffer = Buffer.allocUnsafe( Math.max( INDEX_FIXED_SIZE , DIRECTORY_FIXED_SIZE ) ) ;
-	//directoryBuffer = indexBuffer = Buffer.allocUnsafe( Math.max( INDEX_MAX_SIZE , DIRECTORY_MAX_SIZE ) ) ;
-	keyBuffer = Buffer.allocUnsafe( KEY_BUFFER_MAX_SIZE ) ;
+	// Will throw on unknown compression
+	var defaultCompression = JsPak.getCompressionOption( options ) || null ;
+
+	var key , keys = [] , directoryKeys = [] , keySize , flags , compression , compressionLevel , autoCompression ,
+		encryption , asymmetric , hmac , mode , mtime , atime ,
+		file , filePath , fileName , prefix , stats , children , magicBuffer , written , shouldTruncate = false ,
+		inodeId , linked , inodes = new Map() , attributes , contentId , content ,
+		addedContentMap = new Map() , deduplicate = options.deduplicate !== false ,
+		filter = createKeyFilter( options.include , options.exclude ) ,
+		ignoreFileName = options.ignoreFile !== undefined ? options.ignoreFile : ignoreRules.FILE_NAME ,
+		relativeKey , isDirectory , selected , unchangedKeys = [] , childRuleSets , rules , ancestorKey , ancestorKeys , pendingDirectories = new Map() ,
+		dataBlockOffset , dataBlockSize , savedMaps ,
+		dataOffset = 0 , dataSize = 0 , dataBlockHeaderBuffer ,
+		inputFile , inputStream ;
+
+	// Check compression levels before writing anything (entries of async iterables are checked when they are read)
+	for ( file of files ) {
+		if ( ! file || typeof file !== 'object' ) { continue ; }
+		compression = JsPak.getCompressionOption( file ) ;
+		if ( compression === undefined ) { compression = defaultCompression ; }
+		JsPak.checkCompressionLevel( compression , file.compressionLevel !== undefined ? file.compressionLevel : options.compressionLevel ) ;
+	}
+
+	JsPak.checkCompressionLevel( defaultCompression , options.compressionLevel ) ;
+
+	dataBlockHeaderBuffer = Buffer.allocUnsafe( this.layout.dataBlockFixedSize ) ;
+
+	// Restored by checkLayoutLimit()
+	savedMaps = this.saveMaps() ;
 
 
 	// First write the data block flags and size
@@ -421,226 +824,916 @@ JsPak.prototype.add = async function( files , options = {} ) {
 	dataBlockSize = 0 ;
 	flags = FLAG_TYPE_DATABLOCK ;
 	dataBlockHeaderBuffer.writeUInt8( flags , 0 ) ;
-	dataBlockHeaderBuffer.writeUInt32BE( 0 , 1 ) ;	// reserve space for the datablock size
-	await this.file.write( dataBlockHeaderBuffer , 0 , DATABLOCK_FIXED_SIZE , this.eof ) ;
-	this.eof += DATABLOCK_FIXED_SIZE ;
+	this.layout.writeSize( dataBlockHeaderBuffer , 0 , 1 ) ;	// reserve space for the datablock size
+	await this.file.write( dataBlockHeaderBuffer , 0 , this.layout.dataBlockFixedSize , this.eof ) ;
+	this.eof += this.layout.dataBlockFixedSize ;
 
 
 	// Now write each file and collect informations
-	for ( file of files ) {
+	for await ( file of iterateFiles( files , asyncFiles ) ) {
 		if ( typeof file === 'string' ) { file = { filePath: file } ; }
 
 		inputFile = filePath = fileName = null ;
 		prefix = file.prefix || '' ;
-		gzip = file.gzip !== undefined ? file.gzip : !! options.gzip ;
-		encryption = file.encryption !== undefined ? file.encryption : !! options.encryption ;
+		compression = JsPak.getCompressionOption( file ) ;
+		if ( compression === undefined ) { compression = defaultCompression ; }
+		compressionLevel = file.compressionLevel !== undefined ? file.compressionLevel : options.compressionLevel ;
+		JsPak.checkCompressionLevel( compression , compressionLevel ) ;
+		autoCompression = file.autoCompression !== undefined ? file.autoCompression : !! options.autoCompression ;
+		encryption = file.encryption !== undefined ? file.encryption : options.encryption !== undefined ? !! options.encryption : !! this.contentKeys ;
 		hmac = file.hmac !== undefined ? file.hmac : !! options.hmac ;
+		asymmetric = encryption && !! this.contentKeys ;
+		if ( encryption && ( this.keyScheme === 'hkdf' || asymmetric ) ) { hmac = true ; }	// Encrypted files are always authenticated
 
 		if ( file.filePath ) {
 			// This is a file
 			filePath = file.filePath ;
 			fileName = path.basename( filePath ) ;
 			key = path.join( options.prefix || '' , prefix , fileName ) ;
+
+			// E.g. when adding '..'
+			if ( isBadKey( key ) ) {
+				log.error( "Ignoring bad key '%s', it should not be absolute or contain ../ or ~/" , key ) ;
+				continue ;
+			}
+
 			keySize = Buffer.byteLength( key ) ;
 			if ( keySize >= KEY_MAX_SIZE ) { throw new Error( 'Key too large: ' + key ) ; }
 
-			inputFile = await fs.promises.open( filePath , 'r' ) ;
-			stats = await inputFile.stat() ;
+			stats = options.dereference ? await fs.promises.stat( filePath ) : await fs.promises.lstat( filePath ) ;
+			isDirectory = stats.isDirectory() ;
+			relativeKey = path.join( prefix , fileName ) ;
+
+			if ( file.ignoreRuleSets && ignoreRules.isIgnored( file.ignoreRuleSets , filePath , isDirectory ) ) { continue ; }
+
+			// Directories not selected are still read, unless excluded, the files inside may be selected
+			selected = ! filter || filter( relativeKey ) ;
+			if ( ! selected && ( ! isDirectory || filter.isExcluded( relativeKey ) ) ) { continue ; }
+
+			if ( selected && pendingDirectories.size ) {
+				// Add the directories that were waiting for a selected descendant, outermost first
+				ancestorKeys = [] ;
+
+				for ( ancestorKey = path.dirname( key ) ; ancestorKey !== '.' ; ancestorKey = path.dirname( ancestorKey ) ) {
+					if ( pendingDirectories.has( ancestorKey ) ) { ancestorKeys.unshift( ancestorKey ) ; }
+				}
+
+				for ( ancestorKey of ancestorKeys ) {
+					this.directoryMap.set( ancestorKey , pendingDirectories.get( ancestorKey ) ) ;
+					this.deletedDirectoryKeys.delete( ancestorKey ) ;
+					directoryKeys.push( ancestorKey ) ;
+					pendingDirectories.delete( ancestorKey ) ;
+				}
+			}
 
 			mode = file.mode !== undefined ? file.mode : stats.mode ;
 			mtime = file.mtime !== undefined ? file.mtime : stats.mtime ;
 			atime = file.atime !== undefined ? file.atime : stats.atime ;
+			attributes = {} ;
+
+			if ( options.preserveOwnership ) {
+				attributes.uid = stats.uid ;
+				attributes.gid = stats.gid ;
+				attributes.uname = fileAttributes.getUserName( stats.uid ) ;
+				attributes.gname = fileAttributes.getGroupName( stats.gid ) ;
+			}
+
+			if ( options.xattrs && ! stats.isSymbolicLink() ) {
+				attributes.xattrs = await fileAttributes.getXattrs( filePath ) ;
+			}
+
+			if ( isDirectory ) {
+				childRuleSets = file.ignoreRuleSets || [] ;
+				rules = ignoreFileName ? await ignoreRules.load( filePath , ignoreFileName ) : null ;
+				if ( rules ) { childRuleSets = [ ... childRuleSets , { directoryPath: filePath , rules } ] ; }
 
-			if ( stats.isDirectory() ) {
 				children = await fs.promises.readdir( filePath ) ;
 				children.forEach( child => {
 					var childPath = path.join( filePath , child ) ;
 					//log.hdebug( "adding child: %s" , childPath ) ;
-					files.push( { filePath: childPath , prefix: path.join( prefix , fileName ) } ) ;
+					files.push( { filePath: childPath , prefix: relativeKey , ignoreRuleSets: childRuleSets } ) ;
+				} ) ;
+
+				if ( options.onlyChanged && this.directoryMap.has( key ) && await this.isUnchanged( this.directoryMap.get( key ) , filePath , stats , options.checksum ) ) {
+					unchangedKeys.push( key ) ;
+					continue ;
+				}
+
+				if ( ! selected ) {
+					pendingDirectories.set( key , {
+						key , keySize , mode , mtime , atime , encryption , asymmetric , ... attributes
+					} ) ;
+					continue ;
+				}
+
+				this.directoryMap.set( key , {
+					key , keySize , mode , mtime , atime , encryption , asymmetric , ... attributes
 				} ) ;
-				inputFile.close() ;
-				this.directoryMap.set( key , { key , keySize , mode , mtime , atime , encryption } ) ;	/* eslint-disable-line object-curly-newline */
+				this.deletedDirectoryKeys.delete( key ) ;
 				directoryKeys.push( key ) ;
 				continue ;
 			}
 
-			inputStream = fs.createReadStream( null , {
-				fd: inputFile.fd ,
-				autoClose: false
-			} ) ;
+			// Files with multiple hardlinks are tracked, the first one is stored, others are hardlinks to it
+			inodeId = ! options.dereference && stats.nlink > 1 ? stats.dev + ':' + stats.ino : null ;
+
+			if ( options.onlyChanged && this.indexMap.has( key ) && await this.isUnchanged( this.indexMap.get( key ) , filePath , stats , options.checksum ) ) {
+				// Other hardlinks of this file will link to its entry
+				if ( inodeId && ! inodes.has( inodeId ) ) { inodes.set( inodeId , key ) ; }
+				unchangedKeys.push( key ) ;
+				continue ;
+			}
+
+			if ( stats.isSymbolicLink() ) {
+				// The data is the target of the link
+				compression = null ;
+				inputStream = new streamKit.BufferToReadable( Buffer.from( await fs.promises.readlink( filePath ) ) ) ;
+			}
+			else if ( inodeId && inodes.has( inodeId ) ) {
+				linked = this.indexMap.get( inodes.get( inodeId ) ) ;
+			}
+			else {
+				if ( inodeId ) { inodes.set( inodeId , key ) ; }
+				inputFile = await fs.promises.open( filePath , 'r' ) ;
+			}
 		}
 		else {
 			key = path.join( options.prefix || '' , prefix , file.key ) ;
 			if ( ! key ) { throw new Error( 'Missing key' ) ; }
+
+			// Check for malicious input, e.g. the entries of an imported tar or zip
+			if ( isBadKey( key ) ) {
+				log.error( "Ignoring bad key '%s', it should not be absolute or contain ../ or ~/" , key ) ;
+				continue ;
+			}
+
 			keySize = Buffer.byteLength( key ) ;
 			if ( keySize >= KEY_MAX_SIZE ) { throw new Error( 'Key too large: ' + key ) ; }
 
-			mode = file.mode !== undefined ? file.mode : 0o644 ;
+			mode = file.mode !== undefined ? file.mode : file.symlink !== undefined ? S_IFLNK | 0o777 : 0o644 ;
 			mtime = file.mtime !== undefined ? file.mtime : new Date() ;
 			atime = file.atime !== undefined ? file.atime : new Date() ;
+			attributes = {} ;
+
+			// The hardlink field is set from the linked entry, file.hardlink is the user's path to it
+			for ( let attribute of [ ... EXTENSION_FIELDS , 'xattrs' ] ) {
+				if ( attribute !== 'hardlink' && file[ attribute ] !== undefined ) { attributes[ attribute ] = file[ attribute ] ; }
+			}
 
 			if ( file.stream ) {
 				inputStream = file.stream ;
+				if ( compression && autoCompression && compressedFormats.isCompressed( key ) ) { compression = null ; }
 			}
 			else if ( file.buffer ) {
 				inputStream = new streamKit.BufferToReadable( file.buffer ) ;
+				if ( compression && autoCompression && compressedFormats.isCompressed( key , file.buffer ) ) { compression = null ; }
+			}
+			else if ( file.symlink !== undefined ) {
+				compression = null ;
+				inputStream = new streamKit.BufferToReadable( Buffer.from( file.symlink ) ) ;
+			}
+			else if ( file.hardlink !== undefined ) {
+				linked = this.indexMap.get( path.join( options.prefix || '' , file.hardlink ) ) ;
+				if ( ! linked ) { throw new Error( "Hardlink '" + key + "' to a file not found: " + file.hardlink ) ; }
 			}
 			else if ( file.directory ) {
-				this.directoryMap.set( key , { key , keySize , mode , mtime , atime } ) ;	/* eslint-disable-line object-curly-newline */
+				this.directoryMap.set( key , {
+					key , keySize , mode , mtime , atime , ... attributes
+				} ) ;
+				this.deletedDirectoryKeys.delete( key ) ;
 				directoryKeys.push( key ) ;
 				continue ;
 			}
 			else {
-				log.error( "Bad entry: it should have either a 'filePath', a 'stream' or a 'buffer' property" ) ;
+				log.error( "Bad entry: it should have either a 'filePath', a 'stream' , a 'buffer' , a 'symlink' or a 'hardlink' property" ) ;
 				continue ;
 			}
 		}
 
+		if ( linked ) {
+			// A hardlink shares the data of the linked file, the original type is replaced by S_IFHARDLINK
+			this.indexMap.set( key , Object.assign( {} , linked , attributes , {
+				key ,
+				keySize ,
+				mode: ( mode & ~ S_IFMT ) | S_IFHARDLINK ,
+				mtime ,
+				atime ,
+				hardlink: linked.hardlink !== undefined ? linked.hardlink : linked.key
+			} ) ) ;
+			this.deletedKeys.delete( key ) ;
+			keys.push( key ) ;
+			linked = null ;
+			this.emit( 'fileAdded' , key ) ;
+			continue ;
+		}
+
+		if ( inputFile ) {
+			if ( compression && autoCompression ) {
+				magicBuffer = Buffer.alloc( compressedFormats.MAGIC_SIZE ) ;
+				await inputFile.read( magicBuffer , 0 , compressedFormats.MAGIC_SIZE , 0 ) ;
+				if ( compressedFormats.isCompressed( key , magicBuffer ) ) { compression = null ; }
+			}
+
+			inputStream = fs.createReadStream( null , {
+				fd: inputFile.fd ,
+				autoClose: false
+			} ) ;
+		}
+
 		keys.push( key ) ;
 		dataOffset = this.eof ;
 
-		outputStream = fs.createWriteStream( null , {
-			fd: this.file.fd ,
-			autoClose: false ,
-			start: this.eof
+		written = await this.writeData( inputStream , {
+			compression , compressionLevel , encryption , asymmetric , hmac
+		} ) ;
+
+		if ( compression && autoCompression && written.compressedSize >= written.inputSize && ( inputFile || file.buffer ) ) {
+			// Compression does not shrink it: rewrite it raw over the compressed data
+			this.eof = dataOffset ;
+			compression = null ;
+			shouldTruncate = true ;
+
+			inputStream = inputFile ?
+				fs.createReadStream( null , { fd: inputFile.fd , autoClose: false , start: 0 } ) :
+				new streamKit.BufferToReadable( file.buffer ) ;
+
+			written = await this.writeData( inputStream , { encryption , asymmetric , hmac } ) ;
+		}
+
+		contentId = getContentId( {
+			sha256: written.sha256 , compression , compressionLevel: compression ? compressionLevel : undefined , encryption , asymmetric , hmac
 		} ) ;
+		content = deduplicate && ( this.contentMap.get( contentId ) || addedContentMap.get( contentId ) ) ;
 
-		middleStreams = [] ;
-		if ( gzip ) { middleStreams.push( zlib.createGzip() ) ; }
-		if ( encryption ) { middleStreams.push( new cryptoHelper.CipherStream( this.encryptionKey ) ) ; }
-		if ( hmac ) { middleStreams.push( new cryptoHelper.AppendHmacStream( this.encryptionKey ) ) ; }
-		streamKit.pipe( inputStream , ... middleStreams , outputStream ) ;
+		if ( content ) {
+			// The same content is already stored: drop the data just written
+			this.eof = dataOffset ;
+			shouldTruncate = true ;
+			if ( inputFile ) { inputFile.close() ; }
 
-		await Promise.onceEventOrError( outputStream , 'finish' ) ;
+			this.indexMap.set( key , {
+				key , keySize , compression , gzip: compression === 'gzip' , brotli: compression === 'brotli' , encryption , asymmetric , hmac , mode , mtime , atime , offset: content.offset , size: content.size , sha256: written.sha256 , ... attributes
+			} ) ;
+			this.deletedKeys.delete( key ) ;
+			this.emit( 'fileAdded' , key ) ;
+			continue ;
+		}
 
-		this.eof = outputStream.pos ;
-		//dataSize = outputStream.bytesWritten ;	// unsafe / don't use
 		dataSize = this.eof - dataOffset ;
 		dataBlockSize += dataSize ;
-		//log.hdebug( "Written file %s (gzip: %n ; encryption: %n ; hmac: %n ; size: %i ; %i - %i )" , filePath || key , gzip , encryption , hmac , dataSize , dataOffset , this.eof ) ;
+		//log.hdebug( "Written file %s (compression: %n ; encryption: %n ; hmac: %n ; size: %i ; %i - %i )" , filePath || key , compression , encryption , hmac , dataSize , dataOffset , this.eof ) ;
 
 		// Don't forget to close the file, since autoClose is turned off!
-		if ( file.filePath ) { inputFile.close() ; }
+		if ( inputFile ) { inputFile.close() ; }
 
-		this.indexMap.set( key , { key , keySize , gzip , encryption , hmac , mode , mtime , atime , offset: dataOffset , size: dataSize } ) ; /* eslint-disable-line object-curly-newline */
+		// Will throw, after removing the whole datablock and restoring maps
+		await this.checkLayoutLimit( dataBlockOffset , savedMaps ) ;
+
+		this.indexMap.set( key , {
+			key , keySize , compression , gzip: compression === 'gzip' , brotli: compression === 'brotli' , encryption , asymmetric , hmac , mode , mtime , atime , offset: dataOffset , size: dataSize , sha256: written.sha256 , ... attributes
+		} ) ;
+		this.deletedKeys.delete( key ) ;
+		addedContentMap.set( contentId , { offset: dataOffset , size: dataSize } ) ;
 		this.emit( 'fileAdded' , key ) ;
 	}
 
+	// Only now, because checkLayoutLimit() may have removed the whole datablock
+	for ( [ contentId , content ] of addedContentMap ) { this.contentMap.set( contentId , content ) ; }
 
-	// Rewrite datablock size
-	dataBlockHeaderBuffer.writeUInt32BE( dataBlockSize , 1 ) ;	// reserve space for the datablock size
-	await this.file.write( dataBlockHeaderBuffer , 0 , DATABLOCK_FIXED_SIZE , dataBlockOffset ) ;
+
+	if ( dataBlockSize ) {
+		// Rewrite datablock size
+		this.layout.writeSize( dataBlockHeaderBuffer , dataBlockSize , 1 ) ;
+		await this.file.write( dataBlockHeaderBuffer , 0 , this.layout.dataBlockFixedSize , dataBlockOffset ) ;
+	}
+	else {
+		// No data was stored (only directories, links, deduplicated or unchanged files): drop the empty datablock
+		this.eof = dataBlockOffset ;
+		shouldTruncate = true ;
+	}
 
 
 	// Write directories
 	for ( key of directoryKeys ) {
-		directory = this.directoryMap.get( key ) ;
-		keyBuffer.write( directory.key ) ;
-		currentKeyBuffer = keyBuffer ;
-		//directorySize = DIRECTORY_FIXED_SIZE + directory.keySize ;
-		flags = FLAG_TYPE_DIRECTORY ;
-		if ( directory.encryption ) {
-			flags |= FLAG_ENCRYPTION ;
-			currentKeyBuffer = await cryptoHelper.encryptBuffer( keyBuffer.slice( 0 , directory.keySize ) , this.encryptionKey ) ;
-			directory.key = currentKeyBuffer.toString() ;
-			directory.keySize = currentKeyBuffer.length ;
-		}
-		directoryBuffer.writeUInt8( flags , 0 ) ;
-		directoryBuffer.writeUInt16BE( directory.mode , 1 ) ;
-		directoryBuffer.writeDoubleBE( + directory.mtime , 3 ) ;
-		directoryBuffer.writeDoubleBE( + directory.atime , 11 ) ;
-		directoryBuffer.writeUInt16BE( directory.keySize , 19 ) ;
-		//directoryBuffer.write( directory.key , 21 ) ;
-		//await this.file.write( directoryBuffer , 0 , directorySize , this.eof ) ;
-		await this.file.write( directoryBuffer , 0 , DIRECTORY_FIXED_SIZE , this.eof ) ;
-		this.eof += DIRECTORY_FIXED_SIZE ;
-		await this.file.write( currentKeyBuffer , 0 , directory.keySize , this.eof ) ;
-		this.eof += directory.keySize ;
-		//this.eof += directorySize ;
-		//log.hdebug( "Writing directory: %n" , directory ) ;
+		await this.writeDirectoryRecord( this.directoryMap.get( key ) ) ;
 		this.emit( 'directoryAdded' , key ) ;
 	}
 
 	// Write indexes
 	for ( key of keys ) {
-		index = this.indexMap.get( key ) ;
-		keyBuffer.write( index.key ) ;
-		currentKeyBuffer = keyBuffer ;
-		//indexSize = INDEX_FIXED_SIZE + index.keySize ;
-		flags = FLAG_TYPE_INDEX ;
-		if ( index.gzip ) { flags |= FLAG_GZIP ; }
-		if ( index.encryption ) {
-			flags |= FLAG_ENCRYPTION ;
-			currentKeyBuffer = await cryptoHelper.encryptBuffer( keyBuffer.slice( 0 , index.keySize ) , this.encryptionKey ) ;
-			index.key = currentKeyBuffer.toString() ;
-			index.keySize = currentKeyBuffer.length ;
-		}
-		if ( index.hmac ) { flags |= FLAG_HMAC ; }
-		indexBuffer.writeUInt8( flags , 0 ) ;
-		indexBuffer.writeUInt32BE( index.offset , 1 ) ;
-		indexBuffer.writeUInt32BE( index.size , 5 ) ;
-		indexBuffer.writeUInt16BE( index.mode , 9 ) ;
-		indexBuffer.writeDoubleBE( + index.mtime , 11 ) ;
-		indexBuffer.writeDoubleBE( + index.atime , 19 ) ;
-		indexBuffer.writeUInt16BE( index.keySize , 27 ) ;
-		//indexBuffer.write( index.key , 29 ) ;
-		//await this.file.write( indexBuffer , 0 , indexSize , this.eof ) ;
-		await this.file.write( indexBuffer , 0 , INDEX_FIXED_SIZE , this.eof ) ;
-		this.eof += INDEX_FIXED_SIZE ;
-		await this.file.write( currentKeyBuffer , 0 , index.keySize , this.eof ) ;
-		this.eof += index.keySize ;
-		//this.eof += indexSize ;
-		//log.hdebug( "Writing index: %n" , index ) ;
-	}
-} ;
-
-
-
-JsPak.prototype.extract = async function( targetDirectory ) {
-	if ( ! this.loaded ) { await this.load() ; }
+		await this.writeIndexRecord( this.indexMap.get( key ) ) ;
+	}
 
-	var index , directory , filePath , fileName , fileDir , dirPath , dirName , dirDir ,
-		outputStream , inputStream , sortedDirectories ,
-		checkedDir = new Set() ;
+	// Remove garbage of rewritten data that may remain after the last record
+	if ( shouldTruncate ) { await this.file.truncate( this.eof ) ; }
 
-	// Ensure target directory path
-	await fsKit.ensurePath( targetDirectory ) ;
+	return { keys , directoryKeys , unchangedKeys } ;
+} ;
 
-	// Creating files
-	for ( index of this.indexMap.values() ) {
-		filePath = path.join( targetDirectory , index.key ) ;
-		fileDir = path.dirname( filePath ) ;
 
-		if ( fileName === '.' || fileName === '..' || fileName === '~' ) {
-			log.error( "Ignoring bad key '%s', it should not be '.', '..' or '~'" , index.key ) ;
-			continue ;
-		}
 
-		if ( ! checkedDir.has( fileDir ) ) {
-			// Check for malicious input
-			if ( path.isAbsolute( fileDir ) || fileDir.includes( '../' ) || fileDir.includes( '~/' ) ) {
-				log.error( "Ignoring bad key '%s', it should not be absolute or contain ../ or ~/" , index.key ) ;
-				continue ;
-			}
+/*
+	Internal: throw if the end of the file is beyond what the record layout can address (4 GiB for archives prior to v0.7),
+	the current datablock is removed first and the maps saved before it was written are restored,
+	so neither the archive nor the instance are corrupted.
+*/
+JsPak.prototype.checkLayoutLimit = async function( dataBlockOffset , savedMaps ) {
+	if ( this.eof <= this.layout.maxSize ) { return ; }
 
-			// Ensure directory path
-			await fsKit.ensurePath( fileDir ) ;
+	this.eof = dataBlockOffset ;
+	await this.file.truncate( this.eof ) ;
+	this.restoreMaps( savedMaps ) ;
 
-			checkedDir.add( fileDir ) ;
-		}
+	throw new Error(
+		"The archive would exceed the " + this.layout.maxSizeLabel + " limit of its format (v" + ( this.headers.majorVersion || 0 ) + "." + ( this.headers.minorVersion || 0 )
+		+ "), compact it into a new archive to convert it to the current format"
+	) ;
+} ;
 
-		//log.hdebug( "Writing %s -- index: %n" , filePath , index ) ;
 
-		inputStream = this.getStreamFromIndex( index ) ;
-		//outputFile = await fs.promises.open( filePath , 'w' , index.mode ) ;
-		//outputStream = fs.createWriteStream( null , { fd: outputFile.fd } ) ;
-		outputStream = fs.createWriteStream( filePath , { mode: index.mode } ) ;
-		streamKit.pipe( inputStream , outputStream ) ;
 
-		await Promise.onceEventOrError( outputStream , 'finish' ) ;
+// Internal: copy the maps of files and directories and the sets of deleted keys
+JsPak.prototype.saveMaps = function() {
+	return {
+		indexMap: new Map( this.indexMap ) ,
+		directoryMap: new Map( this.directoryMap ) ,
+		deletedKeys: new Set( this.deletedKeys ) ,
+		deletedDirectoryKeys: new Set( this.deletedDirectoryKeys )
+	} ;
+} ;
+
+
+
+// Internal: restore maps saved by .saveMaps(), in place
+JsPak.prototype.restoreMaps = function( savedMaps ) {
+	var name , key , value ;
+
+	for ( name of [ 'indexMap' , 'directoryMap' ] ) {
+		this[ name ].clear() ;
+		for ( [ key , value ] of savedMaps[ name ] ) { this[ name ].set( key , value ) ; }
+	}
+
+	for ( name of [ 'deletedKeys' , 'deletedDirectoryKeys' ] ) {
+		this[ name ].clear() ;
+		for ( key of savedMaps[ name ] ) { this[ name ].add( key ) ; }
+	}
+} ;
+
+
+
+/*
+	Internal: write data at the end of the file, through compression, encryption and HMAC streams.
+	Return an object: { inputSize , compressedSize , sha256 }, inputSize and compressedSize are only available when compressing,
+	sha256 is the hex SHA-256 of the content.
+*/
+JsPak.prototype.writeData = async function( inputStream , options ) {
+	var outputStream , compressStream , middleStreams = [] ,
+		keys = this.getEntryKeys( options ) ,
+		hash = cryptoHelper.createHash() ,
+		hashStream = new stream.PassThrough() ,
+		written = { inputSize: 0 , compressedSize: 0 , sha256: null } ;
+
+	outputStream = this.file.createWriteStream( this.eof ) ;
+
+	hashStream.on( 'data' , chunk => hash.update( chunk ) ) ;
+	middleStreams.push( hashStream ) ;
+
+	if ( options.compression ) {
+		compressStream = COMPRESSION[ options.compression ].createCompressStream( options.compressionLevel ) ;
+		compressStream.on( 'data' , chunk => written.compressedSize += chunk.length ) ;
+		middleStreams.push( compressStream ) ;
+	}
+
+	if ( options.encryption ) { middleStreams.push( new cryptoHelper.CipherStream( keys.cipherKey ) ) ; }
+	if ( options.hmac ) { middleStreams.push( new cryptoHelper.AppendHmacStream( keys.macKey ) ) ; }
+	streamKit.pipe( inputStream , ... middleStreams , outputStream ) ;
+
+	await Promise.onceEventOrError( outputStream , 'finish' ) ;
+
+	//this.eof += outputStream.bytesWritten ;	// unsafe / don't use
+	this.eof = outputStream.pos ;
+	if ( compressStream ) { written.inputSize = compressStream.bytesWritten ; }
+	written.sha256 = hash.digest( 'hex' ) ;
+
+	return written ;
+} ;
+
+
+
+// Internal: iterate over files of .add(), the array grows with the content of directories, then over the async iterable
+async function * iterateFiles( files , asyncFiles ) {
+	var file , index = 0 ;
+
+	for ( ; index < files.length ; index ++ ) { yield files[ index ] ; }
+	if ( ! asyncFiles ) { return ; }
+
+	for await ( file of asyncFiles ) {
+		yield file ;
+		for ( ; index < files.length ; index ++ ) { yield files[ index ] ; }
+	}
+}
+
+
+
+// Add files, but first delete (tombstone) existing files and directories that will be replaced,
+// so a replaced directory does not keep files that are not in the new one.
+JsPak.prototype.replace = async function( files , options = {} ) {
+	if ( ! this.loaded ) { await this.load() ; }
+
+	if ( ! Array.isArray( files ) ) { files = [ files ] ; }
+
+	var file , key , keys = [] ;
+
+	for ( file of files ) {
+		if ( typeof file === 'string' ) { file = { filePath: file } ; }
+		key = path.join( options.prefix || '' , file.prefix || '' , file.filePath ? path.basename( file.filePath ) : file.key ) ;
+		if ( this.indexMap.has( key ) || this.directoryMap.has( key ) ) { keys.push( key ) ; }
+	}
+
+	if ( keys.length ) { await this.delete( keys ) ; }
+	return this.add( files , options ) ;
+} ;
+
+
+
+/*
+	Incremental update: only add files and directories that are new or modified since they were added.
+	options: the same than .add(), plus:
+		checksum: compare the SHA-256 content digest of files instead of their mtime (for entries of archives v0.8 or above),
+			so rebuilt files with the same content are not added again (but their new mtime is not stored either)
+		delete: delete files and directories below the updated paths that don't exist anymore (or are now excluded)
+	Return the same than .add(), plus deletedKeys.
+*/
+JsPak.prototype.update = async function( files , options = {} ) {
+	if ( ! this.loaded ) { await this.load() ; }
+
+	if ( ! Array.isArray( files ) ) { files = [ files ] ; }
+
+	var file , key , result , seenKeys ,
+		rootKeys = [] , deletedKeys = [] ;
+
+	// Before .add(), because it pushes the content of directories into the array
+	for ( file of files ) {
+		if ( typeof file === 'string' ) { file = { filePath: file } ; }
+		if ( file.filePath ) { rootKeys.push( path.join( options.prefix || '' , file.prefix || '' , path.basename( file.filePath ) ) ) ; }
+	}
+
+	result = await this.add( files , Object.assign( {} , options , { onlyChanged: true } ) ) ;
+
+	if ( options.delete ) {
+		seenKeys = new Set( [ ... result.keys , ... result.directoryKeys , ... result.unchangedKeys ] ) ;
+
+		for ( key of [ ... this.directoryMap.keys() , ... this.indexMap.keys() ] ) {
+			if ( ! seenKeys.has( key ) && rootKeys.some( rootKey => key.startsWith( rootKey + '/' ) ) ) {
+				deletedKeys.push( key ) ;
+			}
+		}
+
+		if ( deletedKeys.length ) { await this.delete( deletedKeys ) ; }
+	}
+
+	result.deletedKeys = deletedKeys ;
+	return result ;
+} ;
+
+
+
+/*
+	Internal: check if a file on disk is the same than its archived entry (file or directory), used by .update().
+	The type and permissions are compared, then the SHA-256 content digest when asked for and known,
+	else the mtime, and the size when the data is not compressed.
+*/
+JsPak.prototype.isUnchanged = async function( entry , filePath , stats , checksum ) {
+	var hash ,
+		type = entry.mode & S_IFMT ;
+
+	// Entries added from buffers have no type, hardlinks are regular files on disk
+	if ( ! type || type === S_IFHARDLINK ) { type = S_IFREG ; }
+	if ( type !== ( stats.mode & S_IFMT ) || ( entry.mode & ~ S_IFMT ) !== ( stats.mode & ~ S_IFMT ) ) { return false ; }
+
+	if ( checksum && entry.sha256 ) {
+		hash = cryptoHelper.createHash() ;
+
+		if ( stats.isSymbolicLink() ) {
+			hash.update( await fs.promises.readlink( filePath ) ) ;
+		}
+		else {
+			for await ( let chunk of fs.createReadStream( filePath ) ) { hash.update( chunk ) ; }
+		}
+
+		return hash.digest( 'hex' ) === entry.sha256 ;
+	}
+
+	if ( new Date( entry.mtime ).getTime() !== stats.mtime.getTime() ) { return false ; }
+	if ( stats.isFile() && ! entry.compression && this.getPlainSize( entry ) !== stats.size ) { return false ; }
+
+	return true ;
+} ;
+
+
+
+/*
+	Delete files or directories (recursively), by appending tombstone records.
+	Options:
+		force: also write tombstones for keys that are not in this archive (e.g. to hide files of an earlier archive
+			of an overlay), a key ending with a slash is a directory.
+*/
+JsPak.prototype.delete = async function( keys , options = {} ) {
+	this.checkWritable() ;
+	if ( ! this.loaded ) { await this.load() ; }
+	if ( this.isNew && ! this.coreHeadersAdded ) { await this.addCoreHeaders() ; }
+
+	if ( ! Array.isArray( keys ) ) { keys = [ keys ] ; }
+
+	var key , subKey , prefix , isDirectory , entry , now = new Date() ,
+		defaultEncryption = !! this.originalEncryptionKey || !! this.contentKeys ,
+		indexKeys = new Set() ,
+		directoryKeys = new Set() ;
+
+	for ( key of keys ) {
+		isDirectory = key.endsWith( '/' ) ;
+		key = path.normalize( key ).replace( /\/+$/ , '' ) ;
+
+		if ( this.indexMap.has( key ) ) { indexKeys.add( key ) ; }
+
+		if ( this.directoryMap.has( key ) ) {
+			directoryKeys.add( key ) ;
+			prefix = key + '/' ;
+
+			for ( subKey of this.indexMap.keys() ) {
+				if ( subKey.startsWith( prefix ) ) { indexKeys.add( subKey ) ; }
+			}
+
+			for ( subKey of this.directoryMap.keys() ) {
+				if ( subKey.startsWith( prefix ) ) { directoryKeys.add( subKey ) ; }
+			}
+		}
+		else if ( ! indexKeys.has( key ) ) {
+			if ( ! options.force ) { throw new Error( "Key '" + key + "' not found." ) ; }
+			if ( isDirectory ) { directoryKeys.add( key ) ; }
+			else { indexKeys.add( key ) ; }
+		}
+	}
+
+	for ( key of directoryKeys ) {
+		entry = this.directoryMap.get( key ) ;
+
+		await this.writeDirectoryRecord( {
+			key ,
+			mode: 0 ,
+			mtime: now ,
+			atime: now ,
+			encryption: entry ? entry.encryption : defaultEncryption ,
+			asymmetric: entry ? entry.asymmetric : !! this.contentKeys
+		} , true ) ;
+
+		this.directoryMap.delete( key ) ;
+		this.deletedDirectoryKeys.add( key ) ;
+		this.emit( 'directoryDeleted' , key ) ;
+	}
+
+	for ( key of indexKeys ) {
+		entry = this.indexMap.get( key ) ;
+
+		await this.writeIndexRecord( {
+			key ,
+			encryption: entry ? entry.encryption : defaultEncryption ,
+			asymmetric: entry ? entry.asymmetric : !! this.contentKeys ,
+			mode: 0 ,
+			mtime: now ,
+			atime: now ,
+			offset: 0 ,
+			size: 0
+		} , true ) ;
+
+		this.indexMap.delete( key ) ;
+		this.deletedKeys.add( key ) ;
+		this.emit( 'fileDeleted' , key ) ;
+	}
+} ;
+
+
+
+// Internal: write a directory record at the end of the file
+JsPak.prototype.writeDirectoryRecord = async function( directory , deleted = false ) {
+	var keyBuffer = Buffer.from( directory.key ) ,
+		directoryBuffer = Buffer.allocUnsafe( DIRECTORY_FIXED_SIZE ) ,
+		flags = FLAG_TYPE_DIRECTORY ;
+
+	if ( deleted ) { flags |= FLAG_DELETED ; }
+
+	if ( directory.encryption ) {
+		flags |= FLAG_ENCRYPTION ;
+		if ( directory.asymmetric ) { flags |= FLAG_ASYMMETRIC ; }
+		keyBuffer = await cryptoHelper.encryptBuffer( keyBuffer , this.getEntryKeys( directory ).cipherKey ) ;
+	}
+
+	directoryBuffer.writeUInt8( flags , 0 ) ;
+	directoryBuffer.writeUInt16BE( directory.mode , 1 ) ;
+	directoryBuffer.writeDoubleBE( + directory.mtime , 3 ) ;
+	directoryBuffer.writeDoubleBE( + directory.atime , 11 ) ;
+	directoryBuffer.writeUInt16BE( keyBuffer.length , 19 ) ;
+	await this.file.write( directoryBuffer , 0 , DIRECTORY_FIXED_SIZE , this.eof ) ;
+	this.eof += DIRECTORY_FIXED_SIZE ;
+	await this.file.write( keyBuffer , 0 , keyBuffer.length , this.eof ) ;
+	this.eof += keyBuffer.length ;
+
+	if ( this.layout.extension ) {
+		let extensionBuffer = await this.createRecordExtension( directory ) ;
+		await this.file.write( extensionBuffer , 0 , extensionBuffer.length , this.eof ) ;
+		this.eof += extensionBuffer.length ;
+	}
+
+	//log.hdebug( "Writing directory: %n" , directory ) ;
+} ;
+
+
+
+// Internal: write an index record at the end of the file
+JsPak.prototype.writeIndexRecord = async function( index , deleted = false ) {
+	var keyBuffer = Buffer.from( index.key ) ,
+		layout = this.layout ,
+		indexBuffer = Buffer.allocUnsafe( layout.indexFixedSize ) ,
+		flags = FLAG_TYPE_INDEX ;
+
+	if ( deleted ) { flags |= FLAG_DELETED ; }
+	if ( index.compression ) { flags |= COMPRESSION[ index.compression ].flags ; }
+
+	if ( index.encryption ) {
+		flags |= FLAG_ENCRYPTION ;
+		if ( index.asymmetric ) { flags |= FLAG_ASYMMETRIC ; }
+		keyBuffer = await cryptoHelper.encryptBuffer( keyBuffer , this.getEntryKeys( index ).cipherKey ) ;
+	}
+
+	if ( index.hmac ) { flags |= FLAG_HMAC ; }
+
+	indexBuffer.writeUInt8( flags , 0 ) ;
+	layout.writeSize( indexBuffer , index.offset , layout.offset ) ;
+	layout.writeSize( indexBuffer , index.size , layout.size ) ;
+	indexBuffer.writeUInt16BE( index.mode , layout.mode ) ;
+	indexBuffer.writeDoubleBE( + index.mtime , layout.mtime ) ;
+	indexBuffer.writeDoubleBE( + index.atime , layout.atime ) ;
+	indexBuffer.writeUInt16BE( keyBuffer.length , layout.keySize ) ;
+	await this.file.write( indexBuffer , 0 , layout.indexFixedSize , this.eof ) ;
+	this.eof += layout.indexFixedSize ;
+	await this.file.write( keyBuffer , 0 , keyBuffer.length , this.eof ) ;
+	this.eof += keyBuffer.length ;
+
+	if ( layout.extension ) {
+		let extensionBuffer = await this.createRecordExtension( index ) ;
+		await this.file.write( extensionBuffer , 0 , extensionBuffer.length , this.eof ) ;
+		this.eof += extensionBuffer.length ;
+	}
+
+	//log.hdebug( "Writing index: %n" , index ) ;
+} ;
+
+
+
+/*
+	Rewrite the archive into targetPath, as one header section, one datablock and one index section,
+	dropping data that are not reachable anymore (overwritten or deleted files).
+	Stored data are copied as-is (no re-compression, no re-encryption), tombstones are kept,
+	so the result can still hide files of an earlier archive.
+	A signed archive should be signed again.
+	Return an object: { originalSize , size , reclaimed }.
+*/
+JsPak.prototype.compact = async function( targetPath ) {
+	if ( ! this.loaded ) { await this.load() ; }
+
+	var key , value , index , directory , target , now = new Date() ,
+		dataBlockHeaderBuffer , dataBlockOffset , dataBlockSize = 0 ,
+		indexes = [] , inputStream , outputStream , dataId , copiedData = new Map() ,
+		encryptTombstone = !! this.originalEncryptionKey || !! this.contentKeys ,
+		asymmetricTombstone = !! this.contentKeys ;
+
+	if ( ! this.originalEncryptionKey ) {
+		for ( index of this.indexMap.values() ) {
+			if ( index.encryption && ! index.asymmetric ) { throw new Error( 'Compacting an archive with encrypted files requires the encryption key' ) ; }
+		}
+
+		for ( directory of this.directoryMap.values() ) {
+			if ( directory.encryption && ! directory.asymmetric ) { throw new Error( 'Compacting an archive with encrypted files requires the encryption key' ) ; }
+		}
+	}
+
+	target = new JsPak( targetPath , { encryptionKey: this.originalEncryptionKey , identity: this.identity } ) ;
+	await target.open( true ) ;
+
+	// Header section, the meta HMAC is computed again at the end, the signature is dropped (it needs the private key)
+	target.coreHeadersAdded = true ;
+
+	for ( key of Object.keys( this.headers ) ) {
+		if ( key === 'metaHmac' || key === 'signature' || key === 'majorVersion' || key === 'minorVersion' || ! KNOWN_HEADERS[ key ] ) { continue ; }
+		value = this.headers[ key ] ;
+		await target.addHeader( key , value , true ) ;
+		target.applyHeader( key ) ;
+	}
+
+	// The target always uses the current format
+	await target.addHeader( 'majorVersion' , MAJOR_VERSION , true ) ;
+	await target.addHeader( 'minorVersion' , MINOR_VERSION , true ) ;
+	target.applyHeader( 'majorVersion' ) ;
+	target.applyHeader( 'minorVersion' ) ;
+
+	// Datablock, data are copied untouched
+	dataBlockHeaderBuffer = Buffer.allocUnsafe( target.layout.dataBlockFixedSize ) ;
+	dataBlockOffset = target.eof ;
+	dataBlockHeaderBuffer.writeUInt8( FLAG_TYPE_DATABLOCK , 0 ) ;
+	target.layout.writeSize( dataBlockHeaderBuffer , 0 , 1 ) ;	// reserve space for the datablock size
+	await target.file.write( dataBlockHeaderBuffer , 0 , target.layout.dataBlockFixedSize , target.eof ) ;
+	target.eof += target.layout.dataBlockFixedSize ;
+
+	for ( index of this.indexMap.values() ) {
+		// Data shared by multiple files (e.g. hardlinks) are copied once
+		dataId = index.offset + ':' + index.size ;
+
+		if ( copiedData.has( dataId ) ) {
+			index = Object.assign( {} , index , { offset: copiedData.get( dataId ) } ) ;
+			indexes.push( index ) ;
+			target.indexMap.set( index.key , index ) ;
+			this.emit( 'fileCompacted' , index.key ) ;
+			continue ;
+		}
+
+		if ( index.size ) {
+			inputStream = this.file.createReadStream( index.offset , index.offset + index.size - 1 ) ;
+
+			outputStream = target.file.createWriteStream( target.eof ) ;
+
+			streamKit.pipe( inputStream , outputStream ) ;
+			await Promise.onceEventOrError( outputStream , 'finish' ) ;
+		}
+
+		copiedData.set( dataId , target.eof ) ;
+		index = Object.assign( {} , index , { offset: target.eof } ) ;
+		target.eof += index.size ;
+		dataBlockSize += index.size ;
+		indexes.push( index ) ;
+		target.indexMap.set( index.key , index ) ;
+		this.emit( 'fileCompacted' , index.key ) ;
+	}
+
+	target.layout.writeSize( dataBlockHeaderBuffer , dataBlockSize , 1 ) ;
+	await target.file.write( dataBlockHeaderBuffer , 0 , target.layout.dataBlockFixedSize , dataBlockOffset ) ;
+
+	// Index section
+	for ( directory of this.directoryMap.values() ) {
+		await target.writeDirectoryRecord( directory ) ;
+		target.directoryMap.set( directory.key , directory ) ;
+	}
+
+	for ( key of this.deletedDirectoryKeys ) {
+		await target.writeDirectoryRecord( {
+			key , mode: 0 , mtime: now , atime: now , encryption: encryptTombstone , asymmetric: asymmetricTombstone
+		} , true ) ;
+		target.deletedDirectoryKeys.add( key ) ;
+	}
+
+	for ( index of indexes ) {
+		await target.writeIndexRecord( index ) ;
+	}
+
+	for ( key of this.deletedKeys ) {
+		await target.writeIndexRecord( {
+			key , encryption: encryptTombstone , asymmetric: asymmetricTombstone , mode: 0 , mtime: now , atime: now , offset: 0 , size: 0
+		} , true ) ;
+		target.deletedKeys.add( key ) ;
+	}
+
+	if ( this.headers.metaHmac ) { await target.addMetaHmac() ; }
+
+	await target.close() ;
+
+	return { originalSize: this.eof , size: target.eof , reclaimed: this.eof - target.eof } ;
+} ;
+
+
+
+/*
+	Extract all files and directories into targetDirectory.
+	options:
+		include: only extract those keys, a key or glob pattern or an array of them (see keyFilter.js), '!' negates a pattern
+		exclude: do not extract those keys, same format
+		preserveOwnership: restore the ownership (user and group names take precedence over ids, like tar), usually needs root
+		xattrs: restore extended attributes (needs the 'fs-xattr' package)
+*/
+JsPak.prototype.extract = async function( targetDirectory , options = {} ) {
+	if ( ! this.loaded ) { await this.load() ; }
+
+	var index , directory , filePath , fileName , fileDir , dirPath , dirName , dirDir ,
+		outputFile , outputStream , inputStream , sortedDirectories , type , linkedPath , ancestorKey ,
+		symlinks = [] , extractedFiles = createWrittenFiles() , symlinkKeys = new Set() ,
+		checkedDir = new Set() ,
+		filter = createKeyFilter( options.include , options.exclude ) ,
+		neededDirectories = new Set() ;
+
+	// Ensure target directory path
+	await fsKit.ensurePath( targetDirectory ) ;
+
+	for ( index of this.indexMap.values() ) {
+		if ( ( index.mode & S_IFMT ) === S_IFLNK ) { symlinkKeys.add( index.key ) ; }
+	}
+
+	// Creating files
+	for ( index of this.indexMap.values() ) {
+		if ( filter ) {
+			if ( ! filter( index.key ) ) { continue ; }
+
+			// Only the directories containing selected files are created
+			for ( ancestorKey = path.posix.dirname( index.key ) ; ancestorKey !== '.' && ancestorKey !== '/' ; ancestorKey = path.posix.dirname( ancestorKey ) ) {
+				neededDirectories.add( ancestorKey ) ;
+			}
+		}
+
+		filePath = path.join( targetDirectory , index.key ) ;
+		fileName = path.basename( filePath ) ;
+		fileDir = path.dirname( filePath ) ;
+
+		if ( fileName === '.' || fileName === '..' || fileName === '~' ) {
+			log.error( "Ignoring bad key '%s', it should not be '.', '..' or '~'" , index.key ) ;
+			continue ;
+		}
+
+		// Check for malicious input
+		if ( isBadKey( index.key ) ) {
+			log.error( "Ignoring bad key '%s', it should not be absolute or contain ../ or ~/" , index.key ) ;
+			continue ;
+		}
+
+		if ( isInside( index.key , symlinkKeys ) ) {
+			log.error( "Ignoring file '%s', it is inside a symlink" , index.key ) ;
+			continue ;
+		}
+
+		if ( ! checkedDir.has( fileDir ) ) {
+			// Existing symlinks are not followed, files are not written outside of the target directory
+			if ( await hasSymlink( targetDirectory , fileDir ) ) {
+				log.error( "Ignoring file '%s', its directory is an existing symlink" , index.key ) ;
+				continue ;
+			}
+
+			// Ensure directory path
+			await fsKit.ensurePath( fileDir ) ;
+
+			checkedDir.add( fileDir ) ;
+		}
+
+		type = index.mode & S_IFMT ;
+
+		// Symlinks are created once all files are written, so no file can be written through one of them
+		if ( type === S_IFLNK ) {
+			symlinks.push( index ) ;
+			continue ;
+		}
+
+		linkedPath = type === S_IFHARDLINK && getWrittenFile( extractedFiles , index ) ;
+
+		if ( linkedPath ) {
+			await forceCreate( () => fs.promises.link( linkedPath , filePath ) , filePath ) ;
+			this.emit( 'fileExtracted' , index.key ) ;
+			continue ;
+		}
+
+		//log.hdebug( "Writing %s -- index: %n" , filePath , index ) ;
+
+		inputStream = this.getStreamFromIndex( index ) ;
+		outputFile = await openNoFollow( filePath , index.mode & ~ S_IFMT ) ;
+		outputStream = fs.createWriteStream( null , { fd: outputFile.fd , autoClose: false } ) ;
+		streamKit.pipe( inputStream , outputStream ) ;
+
+		try {
+			await Promise.onceEventOrError( outputStream , 'finish' ) ;
+		}
+		finally {
+			await outputFile.close() ;
+		}
+
+		await this.restoreAttributes( filePath , index , options ) ;
 		await fs.promises.utimes( filePath , index.atime , index.mtime ) ;
+		addWrittenFile( extractedFiles , index , filePath ) ;
+		this.emit( 'fileExtracted' , index.key ) ;
+	}
+
+	for ( index of symlinks ) {
+		filePath = path.join( targetDirectory , index.key ) ;
+
+		try {
+			await forceCreate( async () => fs.promises.symlink( ( await this.getBuffer( index.key ) ).toString() , filePath ) , filePath ) ;
+		}
+		catch ( error ) {
+			// unlink() fails on directories (EPERM on some systems)
+			if ( error.code !== 'EISDIR' && error.code !== 'EPERM' ) { throw error ; }
+			log.error( "Ignoring symlink '%s', a directory already exists in its place" , index.key ) ;
+			continue ;
+		}
+
+		await this.restoreAttributes( filePath , index , options ) ;
+
+		// Not available before Node.js v12.19
+		if ( fs.promises.lutimes ) { await fs.promises.lutimes( filePath , index.atime , index.mtime ) ; }
+
 		this.emit( 'fileExtracted' , index.key ) ;
-		//outputFile.close() ;
 	}
 
 	// Cheap trick: sort longer keys first, because we need to set modes from the descendant first,
@@ -648,47 +1741,380 @@ JsPak.prototype.extract = async function( targetDirectory ) {
 	// to its descendant
 	sortedDirectories = [ ... this.directoryMap.values() ].sort( ( a , b ) => b.key.length - a.key.length ) ;
 
-	for ( directory of sortedDirectories ) {
-		dirPath = path.join( targetDirectory , directory.key ) ;
-		dirName = path.basename( dirPath ) ;
-		dirDir = path.dirname( dirPath ) ;
+	for ( directory of sortedDirectories ) {
+		if ( filter && ! filter( directory.key ) && ! neededDirectories.has( directory.key ) ) { continue ; }
+
+		dirPath = path.join( targetDirectory , directory.key ) ;
+		dirName = path.basename( dirPath ) ;
+		dirDir = path.dirname( dirPath ) ;
+
+		if ( dirName === '.' || dirName === '..' || dirName === '~' ) {
+			log.error( "Ignoring bad key '%s', it should not be '.', '..' or '~'" , directory.key ) ;
+			continue ;
+		}
+
+		if ( isInside( directory.key , symlinkKeys ) ) {
+			log.error( "Ignoring directory '%s', it is inside a symlink" , directory.key ) ;
+			continue ;
+		}
+
+		// Check for malicious input
+		if ( isBadKey( directory.key ) ) {
+			log.error( "Ignoring bad key '%s', it should not be absolute or contain ../ or ~/" , directory.key ) ;
+			continue ;
+		}
+
+		// Like files, nothing is changed through an existing symlink
+		if ( await hasSymlink( targetDirectory , dirPath ) ) {
+			log.error( "Ignoring directory '%s', it is or is inside an existing symlink" , directory.key ) ;
+			continue ;
+		}
+
+		if ( ! checkedDir.has( dirDir ) ) {
+			// Ensure directory path
+			await fsKit.ensurePath( dirDir ) ;
+
+			checkedDir.add( dirDir ) ;
+		}
+
+		//log.hdebug( "Creating/chmoding %s -- directory: %n" , dirPath , directory ) ;
+
+		try {
+			await fs.promises.mkdir( dirPath , { mode: directory.mode } ) ;
+		}
+		catch ( error ) {
+			if ( error.code === 'EEXIST' ) {
+				// Exists is a normal case, if so, we just change the mode
+				await fs.promises.chmod( dirPath , directory.mode ) ;
+			}
+			else {
+				throw error ;
+			}
+		}
+
+		await this.restoreAttributes( dirPath , directory , options ) ;
+		await fs.promises.utimes( dirPath , directory.atime , directory.mtime ) ;
+		this.emit( 'directoryCreated' , directory.key ) ;
+	}
+} ;
+
+
+
+// Internal: restore ownership and extended attributes of an extracted file, symlink or directory
+JsPak.prototype.restoreAttributes = async function( filePath , entry , options ) {
+	var uid , gid ,
+		isSymlink = ( entry.mode & S_IFMT ) === S_IFLNK ;
+
+	if ( options.preserveOwnership && ( entry.uid !== undefined || entry.gid !== undefined ) ) {
+		uid = entry.uname && fileAttributes.getUid( entry.uname ) ;
+		if ( uid === undefined ) { uid = entry.uid !== undefined ? entry.uid : -1 ; }
+		gid = entry.gname && fileAttributes.getGid( entry.gname ) ;
+		if ( gid === undefined ) { gid = entry.gid !== undefined ? entry.gid : -1 ; }
+
+		await fs.promises.lchown( filePath , uid , gid ) ;
+
+		// Changing the owner may clear setuid/setgid bits
+		if ( ! isSymlink ) { await fs.promises.chmod( filePath , entry.mode & ~ S_IFMT ) ; }
+	}
+
+	if ( options.xattrs && entry.xattrs && ! isSymlink ) {
+		await fileAttributes.setXattrs( filePath , entry.xattrs ) ;
+	}
+} ;
+
+
+
+/*
+	Export files and directories to a standard archive, without writing anything to disk.
+	format: 'tar', 'tgz' (gzipped tar) or 'zip'
+	options:
+		include , exclude: only export those keys, see keyFilter.js
+	Return a readable stream of the archive.
+	Files are decoded, hardlinks are exported as tar hardlinks (zip has none: they are regular files),
+	ownership is exported to tar, mtimes are rounded to the second.
+	Tar needs the size of each file before its content: files compressed with gzip or brotli are decompressed twice,
+	once to count their size, so they are streamed and never held in memory.
+*/
+JsPak.prototype.createExportStream = function( format , options = {} ) {
+	switch ( format ) {
+		case 'tar' :
+			return tar.pack( this.iterateExportEntries( options , true ) ) ;
+		case 'tgz' :
+			return streamKit.pipe( tar.pack( this.iterateExportEntries( options , true ) ) , zlib.createGzip() ) ;
+		case 'zip' :
+			return zip.pack( this.iterateExportEntries( options , false ) ) ;
+		default :
+			throw new Error( "Unknown export format '" + format + "' (should be tar, tgz or zip)" ) ;
+	}
+} ;
+
+
+
+// Internal: yield entries of tar.js/zip.js, directories first (ancestors first), forTar adds hardlinks and sizes
+JsPak.prototype.iterateExportEntries = async function * ( options , forTar ) {
+	if ( ! this.loaded ) { await this.load() ; }
+
+	var directory , index , entry , type , linkedKey ,
+		filter = createKeyFilter( options.include , options.exclude ) ,
+		exportedFiles = createWrittenFiles() ;
+
+	for ( directory of [ ... this.directoryMap.values() ].sort( ( a , b ) => a.key.length - b.key.length ) ) {
+		if ( filter && ! filter( directory.key ) ) { continue ; }
+
+		yield {
+			key: directory.key , type: 'directory' , mode: directory.mode & ~ S_IFMT , mtime: directory.mtime , uid: directory.uid , gid: directory.gid , uname: directory.uname , gname: directory.gname
+		} ;
+	}
+
+	for ( index of this.indexMap.values() ) {
+		if ( filter && ! filter( index.key ) ) { continue ; }
+
+		type = index.mode & S_IFMT ;
+		linkedKey = forTar && type === S_IFHARDLINK && getWrittenFile( exportedFiles , index ) ;
+		entry = {
+			key: index.key , mode: index.mode & ~ S_IFMT , mtime: index.mtime , uid: index.uid , gid: index.gid , uname: index.uname , gname: index.gname
+		} ;
+
+		if ( type === S_IFLNK ) {
+			entry.type = 'symlink' ;
+			entry.target = ( await this.getBuffer( index.key ) ).toString() ;
+		}
+		else if ( linkedKey ) {
+			entry.type = 'hardlink' ;
+			entry.target = linkedKey ;
+		}
+		else {
+			entry.type = 'file' ;
+			if ( forTar ) { entry.size = await this.getContentSize( index ) ; }
+			entry.stream = this.getStreamFromIndex( index ) ;
+			addWrittenFile( exportedFiles , index , index.key ) ;
+		}
+
+		yield entry ;
+	}
+} ;
+
+
+
+/*
+	Import the entries of a tar (gzipped or not) or zip archive file, they are streamed to .add(), nothing is extracted.
+	options: the options of .add() (prefix, compression, encryption, hmac, ...), ownership is only kept with
+		preserveOwnership (tar only)
+	Return the same than .add().
+*/
+JsPak.prototype.import = async function( filePath , options = {} ) {
+	var fileHandle , inputStream , entries ,
+		magicBuffer = Buffer.alloc( 4 ) ;
+
+	fileHandle = await fs.promises.open( filePath , 'r' ) ;
+
+	try {
+		await fileHandle.read( magicBuffer , 0 , 4 , 0 ) ;
+	}
+	finally {
+		await fileHandle.close() ;
+	}
+
+	if ( zip.isZip( magicBuffer ) ) {
+		entries = zip.unpack( filePath ) ;
+	}
+	else {
+		inputStream = fs.createReadStream( filePath ) ;
+		if ( magicBuffer[ 0 ] === 0x1f && magicBuffer[ 1 ] === 0x8b ) { inputStream = streamKit.pipe( inputStream , zlib.createGunzip() ) ; }
+		entries = tar.unpack( inputStream ) ;
+	}
+
+	return this.add( toAddEntries( entries , options.preserveOwnership ) , options ) ;
+} ;
+
+
+
+// Convert entries of tar.js/zip.js to entries of .add()
+async function * toAddEntries( entries , preserveOwnership ) {
+	var entry , file , attribute ;
+
+	for await ( entry of entries ) {
+		file = { key: entry.key , mtime: entry.mtime , atime: entry.mtime } ;
+
+		if ( preserveOwnership ) {
+			for ( attribute of [ 'uid' , 'gid' , 'uname' , 'gname' ] ) {
+				if ( entry[ attribute ] !== undefined ) { file[ attribute ] = entry[ attribute ] ; }
+			}
+		}
+
+		switch ( entry.type ) {
+			case 'directory' :
+				file.directory = true ;
+				file.mode = S_IFDIR | entry.mode ;
+				break ;
+			case 'symlink' :
+				file.symlink = entry.target ;
+				file.mode = S_IFLNK | entry.mode ;
+				break ;
+			case 'hardlink' :
+				file.hardlink = entry.target ;
+				file.mode = S_IFREG | entry.mode ;
+				break ;
+			default :
+				file.stream = entry.stream ;
+				file.mode = S_IFREG | entry.mode ;
+		}
+
+		yield file ;
+	}
+}
+
+
+
+// Throw if start and end (both inclusive, end may be Infinity) are not a valid range
+function checkRange( start , end ) {
+	if ( ! Number.isSafeInteger( start ) || start < 0 ) {
+		throw new RangeError( "Bad range start '" + start + "', it should be a non-negative integer" ) ;
+	}
+
+	if ( end !== Infinity && ( ! Number.isSafeInteger( end ) || end < 0 ) ) {
+		throw new RangeError( "Bad range end '" + end + "', it should be a non-negative integer" ) ;
+	}
+
+	if ( start > end ) {
+		throw new RangeError( "Bad range, start (" + start + ") is greater than end (" + end + ")" ) ;
+	}
+}
+
+
+
+// Keys should be relative and stay inside the extraction directory
+function isBadKey( key ) {
+	return path.isAbsolute( key ) || key.startsWith( '~/' ) || key.split( '/' ).includes( '..' ) ;
+}
+
+
+
+// True if one of the ancestors of the key is in the set of keys
+function isInside( key , keys ) {
+	var ancestorKey ;
+
+	for ( ancestorKey = path.posix.dirname( key ) ; ancestorKey !== '.' && ancestorKey !== '/' ; ancestorKey = path.posix.dirname( ancestorKey ) ) {
+		if ( keys.has( ancestorKey ) ) { return true ; }
+	}
+
+	return false ;
+}
+
+
+
+// True if an existing path component of dirPath below rootDirectory is a symlink
+async function hasSymlink( rootDirectory , dirPath ) {
+	var part ,
+		currentPath = rootDirectory ,
+		relativePath = path.relative( rootDirectory , dirPath ) ;
+
+	if ( ! relativePath ) { return false ; }
+
+	for ( part of relativePath.split( path.sep ) ) {
+		currentPath = path.join( currentPath , part ) ;
+
+		try {
+			if ( ( await fs.promises.lstat( currentPath ) ).isSymbolicLink() ) { return true ; }
+		}
+		catch ( error ) {
+			// Missing directories will be created
+			if ( error.code === 'ENOENT' ) { return false ; }
+			throw error ;
+		}
+	}
+
+	return false ;
+}
+
+
+
+// Open a file for writing, an existing symlink in its place is replaced instead of being followed
+async function openNoFollow( filePath , mode ) {
+	var flags = fs.constants.O_WRONLY | fs.constants.O_CREAT | fs.constants.O_TRUNC | ( fs.constants.O_NOFOLLOW || 0 ) ;
+
+	try {
+		return await fs.promises.open( filePath , flags , mode ) ;
+	}
+	catch ( error ) {
+		if ( error.code !== 'ELOOP' ) { throw error ; }
+		await fs.promises.unlink( filePath ) ;
+		return fs.promises.open( filePath , flags , mode ) ;
+	}
+}
+
+
+
+/*
+	Files already written by .extract() or exported, to find what a hardlink should link to.
+	Since v0.8, hardlinks have the key of their target: the data can't identify it, since deduplicated files share it too,
+	and the target key may have been replaced by another content since.
+	Older hardlinks only have the data (archives prior to v0.8 have no deduplication).
+*/
+function createWrittenFiles() {
+	return { byKey: new Map() , byData: new Map() } ;
+}
+
+// value: what a later hardlink of the same file should link to (e.g. the path of the extracted file)
+function addWrittenFile( writtenFiles , index , value ) {
+	var dataId = index.offset + ':' + index.size ,
+		key = ( index.mode & S_IFMT ) === S_IFHARDLINK ? index.hardlink : index.key ;
+
+	if ( key !== undefined && ! writtenFiles.byKey.has( key ) ) { writtenFiles.byKey.set( key , { dataId , value } ) ; }
+	if ( ! writtenFiles.byData.has( dataId ) ) { writtenFiles.byData.set( dataId , value ) ; }
+}
+
+// Return the value of the file the hardlink links to, or undefined if it was not written
+function getWrittenFile( writtenFiles , index ) {
+	var written ,
+		dataId = index.offset + ':' + index.size ;
+
+	if ( index.hardlink === undefined ) { return writtenFiles.byData.get( dataId ) ; }
+
+	written = writtenFiles.byKey.get( index.hardlink ) ;
+	if ( written && written.dataId === dataId ) { return written.value ; }
+}
+
 
-		if ( dirName === '.' || dirName === '..' || dirName === '~' ) {
-			log.error( "Ignoring bad key '%s', it should not be '.', '..' or '~'" , directory.key ) ;
-			continue ;
-		}
 
-		if ( ! checkedDir.has( dirDir ) ) {
-			// Check for malicious input
-			if ( path.isAbsolute( dirDir ) || dirDir.includes( '../' ) || dirDir.includes( '~/' ) ) {
-				log.error( "Ignoring bad key '%s', it should not be absolute or contain ../ or ~/" , directory.key ) ;
-				continue ;
-			}
+// Create a file/link, replacing any existing file
+async function forceCreate( create , filePath ) {
+	try {
+		await create() ;
+	}
+	catch ( error ) {
+		if ( error.code !== 'EEXIST' ) { throw error ; }
+		await fs.promises.unlink( filePath ) ;
+		await create() ;
+	}
+}
 
-			// Ensure directory path
-			await fsKit.ensurePath( dirDir ) ;
 
-			checkedDir.add( dirDir ) ;
-		}
 
-		//log.hdebug( "Creating/chmoding %s -- directory: %n" , dirPath , directory ) ;
+/*
+	Data shared by multiple files by deduplication (hardlinks are not counted, they are the same file), return an object:
+		sharedFiles: the number of files using the data of another file
+		savedSize: the size that would be needed to store them separately
+*/
+JsPak.prototype.getDeduplicationStats = function() {
+	var index , dataId ,
+		dataIds = new Set() ,
+		stats = { sharedFiles: 0 , savedSize: 0 } ;
 
-		try {
-			await fs.promises.mkdir( dirPath , { mode: directory.mode } ) ;
+	for ( index of this.indexMap.values() ) {
+		if ( ! index.size || ( index.mode & S_IFMT ) === S_IFHARDLINK ) { continue ; }
+		dataId = index.offset + ':' + index.size ;
+
+		if ( dataIds.has( dataId ) ) {
+			stats.sharedFiles ++ ;
+			stats.savedSize += index.size ;
 		}
-		catch ( error ) {
-			if ( error.code === 'EEXIST' ) {
-				// Exists is a normal case, if so, we just change the mode
-				await fs.promises.chmod( dirPath , directory.mode ) ;
-			}
-			else {
-				throw error ;
-			}
+		else {
+			dataIds.add( dataId ) ;
 		}
-
-		await fs.promises.utimes( dirPath , directory.atime , directory.mtime ) ;
-		this.emit( 'directoryCreated' , directory.key ) ;
 	}
+
+	return stats ;
 } ;
 
 
@@ -711,6 +2137,11 @@ JsPak.prototype.directoryKeys = function() {
 
 
 
+/*
+	Return the index entry of a file, e.g. key, size (stored size), mode, mtime, atime, compression, encryption, hmac,
+	gzip and brotli (booleans, kept for backward compatibility, true if compression is 'gzip' or 'brotli'),
+	sha256 (hex SHA-256 digest of the content, since v0.8), ...
+*/
 JsPak.prototype.getMeta = function( key ) {
 	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
 	return this.indexMap.get( key ) ;
@@ -718,92 +2149,406 @@ JsPak.prototype.getMeta = function( key ) {
 
 
 
-JsPak.prototype.getStream = function( key ) {
+// Return the entry of a directory, e.g. key, mode, mtime, atime
+JsPak.prototype.getDirectoryMeta = function( key ) {
+	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
+	return this.directoryMap.get( key ) ;
+} ;
+
+
+
+/*
+	options:
+		start , end: only read this range of the file (both inclusive, like fs.createReadStream()),
+			raw, encrypted-only and 'gzip-chunked' files are seeked, other compressed files are decompressed from the start.
+			HMAC can't be checked on a range: if it should be verified, the whole stored data is verified first,
+			the digest of the content is not verified.
+			Both should be non-negative integers, start not greater than end, end is clamped to the end of the file.
+*/
+JsPak.prototype.getStream = function( key , options = {} ) {
 	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
 
 	var index = this.indexMap.get( key ) ;
 	if ( ! index ) { return ; }
 
+	if ( options.start !== undefined || options.end !== undefined ) {
+		let start = options.start !== undefined ? options.start : 0 ,
+			end = options.end !== undefined ? options.end : Infinity ;
+
+		checkRange( start , end ) ;
+		return this.getRangeStreamFromIndex( index , start , end ) ;
+	}
+
 	return this.getStreamFromIndex( index ) ;
 } ;
 
 
 
+// Get a readable stream of the stored data of a file, as it is in the archive (not decompressed nor decrypted, with its HMAC)
+JsPak.prototype.getStoredStream = function( key ) {
+	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
+
+	var index = this.indexMap.get( key ) ;
+	if ( ! index ) { return ; }
+
+	if ( ! index.size ) {
+		let emptyStream = new stream.PassThrough() ;
+		emptyStream.end() ;
+		return emptyStream ;
+	}
+
+	return this.file.createReadStream( index.offset , index.offset + index.size - 1 ) ;
+} ;
+
+
+
+/*
+	Internal: check if the HMAC of a file should be verified.
+	With the split key scheme or asymmetric encryption, encrypted files must have an HMAC, and it is always verified.
+*/
+JsPak.prototype.mustVerifyHmac = function( index ) {
+	if ( index.encryption && ( this.keyScheme === 'hkdf' || index.asymmetric ) ) {
+		if ( ! index.hmac ) { throw new Error( "Encrypted file '" + index.key + "' has no HMAC! The package has been tampered!" ) ; }
+		return true ;
+	}
+
+	return !! this.shouldVerifyFileHmac ;
+} ;
+
+
+
+// Internal: check if the digest of a file should be verified (files added prior to v0.8 have none)
+JsPak.prototype.mustVerifyDigest = function( index ) {
+	if ( ! index.sha256 || ! this.shouldVerifyDigest ) { return false ; }
+
+	if ( index.digestMatch === false ) {
+		throw new Error( 'Digest already failed for this file!' ) ;
+	}
+
+	return ! index.digestMatch ;
+} ;
+
+
+
+// Internal
+JsPak.prototype.checkDigest = function( index , buffer ) {
+	try {
+		cryptoHelper.checkDigest( buffer , index.sha256 ) ;
+	}
+	catch ( error ) {
+		index.digestMatch = false ;
+		throw error ;
+	}
+
+	index.digestMatch = true ;
+} ;
+
+
+
+// Internal
+JsPak.prototype.createDigestCheckStream = function( index ) {
+	var digestCheckStream = new cryptoHelper.DigestCheckStream( index.sha256 ) ;
+	digestCheckStream.on( 'end' , () => index.digestMatch = digestCheckStream.digestMatch ) ;
+	digestCheckStream.on( 'error' , () => index.digestMatch = false ) ;
+	return digestCheckStream ;
+} ;
+
+
+
+// Internal: true if the keys of an encrypted or authenticated entry are available (an encryption key or a matching identity)
+JsPak.prototype.hasEntryKeys = function( entry ) {
+	return entry.asymmetric ? !! this.contentKeys : !! this.originalEncryptionKey ;
+} ;
+
+
+
+// Internal: get the cipher and HMAC keys of a file or a directory
+JsPak.prototype.getEntryKeys = function( entry ) {
+	if ( ! entry.asymmetric ) { return { cipherKey: this.cipherKey , macKey: this.macKey } ; }
+
+	if ( ! this.contentKeys ) {
+		throw new Error( 'This archive is encrypted for recipients, a matching private key (identity) is needed' ) ;
+	}
+
+	return this.contentKeys ;
+} ;
+
+
+
 // Internal
 JsPak.prototype.getStreamFromIndex = function( index ) {
-	var inputStream , middleStreams = [] ;
+	var inputStream , middleStreams = [] ,
+		keys = this.getEntryKeys( index ) ;
 
-	inputStream = fs.createReadStream( null , {
-		fd: this.file.fd ,
-		autoClose: false ,
-		start: index.offset ,
-		end: index.offset + index.size - 1
-	} ) ;
+	if ( index.compression && COMPRESSION[ index.compression ].chunked ) {
+		if ( ! this.mustVerifyDigest( index ) ) { return this.getRangeStreamFromIndex( index ) ; }
+		return streamKit.pipe( this.getRangeStreamFromIndex( index ) , this.createDigestCheckStream( index ) ) ;
+	}
+
+	inputStream = this.file.createReadStream( index.offset , index.offset + index.size - 1 ) ;
 
 	if ( index.hmac ) {
-		if ( this.shouldVerifyFileHmac && ! index.hmacMatch ) {
+		if ( this.mustVerifyHmac( index ) && ! index.hmacMatch ) {
 			if ( index.hmacMatch === false ) {
 				throw new Error( 'HMAC already failed for this file!' ) ;
 			}
 
-			let stream = new cryptoHelper.DeHmacStream( true , this.encryptionKey ) ;
-			middleStreams.push( stream ) ;
-			stream.on( 'end' , () => index.hmacMatch = stream.hmacMatch ) ;
+			let deHmacStream = new cryptoHelper.DeHmacStream( true , keys.macKey ) ;
+			middleStreams.push( deHmacStream ) ;
+			deHmacStream.on( 'end' , () => index.hmacMatch = deHmacStream.hmacMatch ) ;
 		}
 		else {
-			middleStreams.push( new cryptoHelper.DeHmacStream( false , this.encryptionKey ) ) ;
+			middleStreams.push( new cryptoHelper.DeHmacStream( false , keys.macKey ) ) ;
 		}
 	}
-	if ( index.encryption ) { middleStreams.push( new cryptoHelper.DecipherStream( this.encryptionKey ) ) ; }
-	if ( index.gzip ) { middleStreams.push( zlib.createGunzip() ) ; }
+	if ( index.encryption ) { middleStreams.push( new cryptoHelper.DecipherStream( keys.cipherKey ) ) ; }
+	if ( index.compression ) { middleStreams.push( COMPRESSION[ index.compression ].createDecompressStream() ) ; }
+	if ( this.mustVerifyDigest( index ) ) { middleStreams.push( this.createDigestCheckStream( index ) ) ; }
 
 	return streamKit.pipe( inputStream , ... middleStreams ) ;
 } ;
 
 
 
+// Internal
+JsPak.prototype.getRangeStreamFromIndex = function( index , start = 0 , end = Infinity ) {
+	return stream.Readable.from( this.readRange( index , start , end ) , { objectMode: false } ) ;
+} ;
+
+
+
+// Internal: yield the content of a file from start to end (both inclusive)
+JsPak.prototype.readRange = async function * ( index , start , end ) {
+	var buffer , position , plainSize , trailer , offsets , chunkIndex , chunkStart ;
+
+	if ( index.hmac && this.mustVerifyHmac( index ) && ! index.hmacMatch ) { await this.verifyFileHmac( index ) ; }
+
+	if ( ! index.compression ) {
+		yield * await this.createPlainRangeStream( index , start , end ) ;
+		return ;
+	}
+
+	if ( COMPRESSION[ index.compression ].chunked ) {
+		plainSize = this.getPlainSize( index ) ;
+		trailer = chunkedGzip.parseTrailer( await this.readPlainBuffer( index , plainSize - chunkedGzip.TRAILER_SIZE , plainSize - 1 ) ) ;
+		end = Math.min( end , trailer.uncompressedSize - 1 ) ;
+		if ( end < start ) { return ; }
+
+		offsets = chunkedGzip.parseTable( await this.readPlainBuffer( index , plainSize - trailer.tableSize , plainSize - chunkedGzip.TRAILER_SIZE - 1 ) ) ;
+
+		for ( chunkIndex = Math.floor( start / trailer.chunkSize ) ; chunkIndex <= Math.floor( end / trailer.chunkSize ) ; chunkIndex ++ ) {
+			buffer = await chunkedGzip.decompressChunk( await this.readPlainBuffer( index , offsets[ chunkIndex ] , offsets[ chunkIndex + 1 ] - 1 ) ) ;
+			chunkStart = chunkIndex * trailer.chunkSize ;
+			yield buffer.slice( Math.max( 0 , start - chunkStart ) , end - chunkStart + 1 ) ;
+		}
+
+		return ;
+	}
+
+	// Not seekable: decompress from the start, and drop what is before the range
+	position = 0 ;
+
+	for await ( buffer of streamKit.pipe( await this.createPlainRangeStream( index , 0 , Infinity ) , COMPRESSION[ index.compression ].createDecompressStream() ) ) {
+		if ( position + buffer.length > start ) { yield buffer.slice( Math.max( 0 , start - position ) , end - position + 1 ) ; }
+		position += buffer.length ;
+		if ( position > end ) { break ; }
+	}
+} ;
+
+
+
+/*
+	Internal: resolve to the size of the content of a file, known without decoding for raw, encrypted-only
+	and 'gzip-chunked' files, other compressed files are decompressed to count it.
+*/
+JsPak.prototype.getContentSize = async function( index ) {
+	var plainSize , buffer , size = 0 ;
+
+	if ( ! index.compression ) { return this.getPlainSize( index ) ; }
+
+	if ( COMPRESSION[ index.compression ].chunked ) {
+		plainSize = this.getPlainSize( index ) ;
+		return chunkedGzip.parseTrailer( await this.readPlainBuffer( index , plainSize - chunkedGzip.TRAILER_SIZE , plainSize - 1 ) ).uncompressedSize ;
+	}
+
+	for await ( buffer of this.getStreamFromIndex( index ) ) { size += buffer.length ; }
+	return size ;
+} ;
+
+
+
+// Internal: the size of the stored data of a file, without the init vector and the HMAC
+JsPak.prototype.getPlainSize = function( index ) {
+	return index.size - ( index.encryption ? cryptoHelper.IV_SIZE : 0 ) - ( index.hmac ? cryptoHelper.HMAC_SIZE : 0 ) ;
+} ;
+
+
+
+/*
+	Internal: resolve to a stream of the stored data of a file (decrypted, but still compressed) from start to end (both inclusive).
+	AES-CTR is seekable, so only the needed blocks are read.
+*/
+JsPak.prototype.createPlainRangeStream = async function( index , start , end ) {
+	var initVector ,
+		dataOffset = index.offset + ( index.encryption ? cryptoHelper.IV_SIZE : 0 ) ;
+
+	// Never read outside of the stored data of this file
+	checkRange( start , end ) ;
+	end = Math.min( end , this.getPlainSize( index ) - 1 ) ;
+
+	if ( end < start ) {
+		let emptyStream = new stream.PassThrough() ;
+		emptyStream.end() ;
+		return emptyStream ;
+	}
+
+	if ( ! index.encryption ) { return this.file.createReadStream( dataOffset + start , dataOffset + end ) ; }
+
+	initVector = Buffer.allocUnsafe( cryptoHelper.IV_SIZE ) ;
+	await this.file.read( initVector , 0 , cryptoHelper.IV_SIZE , index.offset ) ;
+
+	return streamKit.pipe(
+		this.file.createReadStream( dataOffset + start - start % cryptoHelper.BLOCK_SIZE , dataOffset + end ) ,
+		new cryptoHelper.DecipherRangeStream( this.getEntryKeys( index ).cipherKey , initVector , start )
+	) ;
+} ;
+
+
+
+// Internal
+JsPak.prototype.readPlainBuffer = async function( index , start , end ) {
+	var buffer , buffers = [] ;
+
+	for await ( buffer of await this.createPlainRangeStream( index , start , end ) ) { buffers.push( buffer ) ; }
+	return Buffer.concat( buffers ) ;
+} ;
+
+
+
+// Internal: verify the HMAC of a file without decoding it (range reads can't verify it on the fly)
+JsPak.prototype.verifyFileHmac = async function( index ) {
+	if ( index.hmacMatch === false ) { throw new Error( 'HMAC already failed for this file!' ) ; }
+
+	var buffer ,
+		hmac = cryptoHelper.createHmac( this.getEntryKeys( index ).macKey ) ,
+		storedHmac = Buffer.allocUnsafe( cryptoHelper.HMAC_SIZE ) ,
+		hmacOffset = index.offset + index.size - cryptoHelper.HMAC_SIZE ;
+
+	if ( hmacOffset > index.offset ) {
+		for await ( buffer of this.file.createReadStream( index.offset , hmacOffset - 1 ) ) { hmac.update( buffer ) ; }
+	}
+
+	await this.file.read( storedHmac , 0 , cryptoHelper.HMAC_SIZE , hmacOffset ) ;
+	index.hmacMatch = ! hmac.digest().compare( storedHmac ) ;
+
+	if ( ! index.hmacMatch ) { throw new Error( 'HMAC mismatch! The file has been tampered!' ) ; }
+} ;
+
+
+
 JsPak.prototype.getBuffer = async function( key ) {
 	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
 
 	var index = this.indexMap.get( key ) ;
 	if ( ! index ) { return ; }
 
-	var verify = ! index.verified && this.shouldVerifyFileHmac ;
-
-	var buffer = Buffer.allocUnsafe( index.size ) ;
+	var keys = this.getEntryKeys( index ) ,
+		buffer = Buffer.allocUnsafe( index.size ) ;
 	await this.file.read( buffer , 0 , index.size , index.offset ) ;
 
 	if ( index.hmac ) {
-		buffer = await cryptoHelper.deHmacBuffer( buffer , verify , this.encryptionKey ) ;
-		if ( verify ) { index.verified = true ; }
+		if ( this.mustVerifyHmac( index ) && ! index.hmacMatch ) {
+			if ( index.hmacMatch === false ) {
+				throw new Error( 'HMAC already failed for this file!' ) ;
+			}
+
+			buffer = await cryptoHelper.deHmacBuffer( buffer , true , keys.macKey ) ;
+			index.hmacMatch = true ;
+		}
+		else {
+			buffer = await cryptoHelper.deHmacBuffer( buffer , false , keys.macKey ) ;
+		}
 	}
+	if ( index.encryption ) { buffer = await cryptoHelper.decryptBuffer( buffer , keys.cipherKey ) ; }
+	if ( index.compression ) { buffer = await COMPRESSION[ index.compression ].decompressBuffer( buffer ) ; }
+	if ( this.mustVerifyDigest( index ) ) { this.checkDigest( index , buffer ) ; }
+
+	return buffer ;
+} ;
+
+
+
+// Synchronous version of .getBuffer(), used when hijacking require()
+JsPak.prototype.getBufferSync = function( key ) {
+	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
+
+	var index = this.indexMap.get( key ) ;
+	if ( ! index ) { return ; }
+
+	var keys = this.getEntryKeys( index ) ,
+		buffer = Buffer.allocUnsafe( index.size ) ;
+	this.file.readSync( buffer , 0 , index.size , index.offset ) ;
 
 	if ( index.hmac ) {
-		if ( this.shouldVerifyFileHmac && ! index.hmacMatch ) {
+		if ( this.mustVerifyHmac( index ) && ! index.hmacMatch ) {
 			if ( index.hmacMatch === false ) {
 				throw new Error( 'HMAC already failed for this file!' ) ;
 			}
 
-			buffer = await cryptoHelper.deHmacBuffer( buffer , true , this.encryptionKey ) ;
+			buffer = cryptoHelper.deHmacBufferSync( buffer , true , keys.macKey ) ;
 			index.hmacMatch = true ;
 		}
 		else {
-			buffer = await cryptoHelper.deHmacBuffer( buffer , false , this.encryptionKey ) ;
+			buffer = cryptoHelper.deHmacBufferSync( buffer , false , keys.macKey ) ;
 		}
 	}
-	if ( index.encryption ) { buffer = await cryptoHelper.decryptBuffer( buffer , this.encryptionKey ) ; }
-	if ( index.gzip ) { buffer = await gunzipBuffer( buffer ) ; }
+	if ( index.encryption ) { buffer = cryptoHelper.decryptBufferSync( buffer , keys.cipherKey ) ; }
+	if ( index.compression ) { buffer = COMPRESSION[ index.compression ].decompressBufferSync( buffer ) ; }
+	if ( this.mustVerifyDigest( index ) ) { this.checkDigest( index , buffer ) ; }
 
 	return buffer ;
 } ;
 
 
 
+/*
+	Hijack require(): require() of paths inside mountDirectory (default to the directory where the archive lies)
+	are resolved from the archive first, then fall back to the disk.
+	Remote archives can't be mounted, require() needs synchronous reads.
+*/
+JsPak.prototype.mount = async function( mountDirectory = this.filePath && path.dirname( this.filePath ) ) {
+	if ( this.url ) { throw new Error( "Remote archives can't be mounted, require() needs synchronous reads" ) ; }
+	if ( ! mountDirectory ) { throw new Error( 'In-memory and remote archives need a mount directory' ) ; }
+	if ( ! this.loaded ) { await this.load() ; }
+	requireHook.mount( this , path.resolve( mountDirectory ) ) ;
+} ;
+
+
+
+JsPak.prototype.unmount = function() {
+	requireHook.unmount( this ) ;
+} ;
+
+
+
 JsPak.prototype.setSalt = function( salt ) {
 	if ( typeof salt === 'string' ) { this.salt = salt ; }
 	else { this.salt = cryptoHelper.randomSalt() ; }
 
-	this.encryptionKey = this.salt + this.originalEncryptionKey ;
+	if ( this.kdfParams && this.originalEncryptionKey ) {
+		this.encryptionKey = cryptoHelper.deriveKey( this.originalEncryptionKey , this.salt , this.kdfParams ) ;
+	}
+	else {
+		// Legacy derivation: the salted key is hashed by cryptoHelper.createCipherKey()
+		this.encryptionKey = this.salt + this.originalEncryptionKey ;
+	}
+
+	if ( this.keyScheme === 'hkdf' ) {
+		( { cipherKey: this.cipherKey , macKey: this.macKey } = cryptoHelper.splitKey( this.encryptionKey ) ) ;
+	}
+	else {
+		this.cipherKey = this.macKey = this.encryptionKey ;
+	}
 } ;
 
 
@@ -814,27 +2559,52 @@ JsPak.prototype.applyHeader = function( key , hmacStarted = false ) {
 	if ( value === undefined ) { return ; }
 
 	switch ( key ) {
+		case 'majorVersion' :
+			if ( value > MAJOR_VERSION ) {
+				throw new Error( 'Unsupported format version ' + value + '.x, this lib supports up to ' + MAJOR_VERSION + '.x' ) ;
+			}
+			// falls through
+		case 'minorVersion' :
+			this.layout = getLayout( this.headers.majorVersion , this.headers.minorVersion ) ;
+			break ;
+
 		case 'security' :
 			if ( hmacStarted ) {
 				throw new Error( 'The security header comes too late in the file (HMAC already started)' ) ;
 			}
 
+			// Archives without KDF parameters or key scheme use the legacy derivation
+			this.kdfParams = cryptoHelper.getKdfParams( value ) ;
+			this.keyScheme = value.keyScheme || 'single' ;
+			if ( ! KEY_SCHEMES.has( this.keyScheme ) ) { throw new Error( "Unsupported key scheme '" + this.keyScheme + "'" ) ; }
 			if ( value.salt ) { this.setSalt( value.salt ) ; }
 			break ;
+
+		case 'recipients' : {
+			if ( ! this.identity ) { break ; }
+			let contentKey = cryptoHelper.unwrapKey( value , this.identity ) ;
+			if ( ! contentKey ) { throw new Error( 'The identity (private key) is not a recipient of this archive' ) ; }
+			this.contentKeys = cryptoHelper.splitKey( contentKey ) ;
+			break ;
+		}
 	}
 } ;
 
 
 
+const KEY_SCHEMES = new Set( [ 'single' , 'hkdf' ] ) ;
+
 const KNOWN_HEADERS = {
 	security: 'kv' ,
 	majorVersion: 'uint8' ,
 	minorVersion: 'uint8' ,
-	metaHmac: 'buffer'
+	metaHmac: 'buffer' ,
+	recipients: 'json' ,
+	signature: 'json'
 } ;
 
 // Header that can't be in HMAC
-const OUT_OF_HMAC = new Set( [ 'metaHmac' , 'security' ] ) ;
+const OUT_OF_HMAC = new Set( [ 'metaHmac' , 'security' , 'signature' ] ) ;
 
 
 
@@ -862,6 +2632,9 @@ JsPak.prototype.castHeader = function( header ) {
 		case 'kv' :
 			header.value = JsPak.serialKvToObject( header.value.toString() ) ;
 			break ;
+		case 'json' :
+			header.value = JSON.parse( header.value.toString() ) ;
+			break ;
 		case 'buffer' :
 			// Copy the value to a new Buffer
 			header.value = Buffer.from( header.value ) ;
@@ -905,6 +2678,11 @@ JsPak.prototype.headerValueToBuffer = function( key , value ) {
 			if ( Buffer.byteLength( value ) > VALUE_BUFFER_MAX_SIZE ) { throw new Error( "Header '" + key + "' too big." ) ; }
 			buffer = Buffer.from( value ) ;
 			break ;
+		case 'json' :
+			value = JSON.stringify( value ) ;
+			if ( Buffer.byteLength( value ) > VALUE_BUFFER_MAX_SIZE ) { throw new Error( "Header '" + key + "' too big." ) ; }
+			buffer = Buffer.from( value ) ;
+			break ;
 		case 'buffer' :
 			if ( ! Buffer.isBuffer( value ) ) { throw new TypeError( "Header '" + key + "' should be a Buffer." ) ; }
 			if ( value.length > VALUE_BUFFER_MAX_SIZE ) { throw new Error( "Header '" + key + "' too big." ) ; }
@@ -917,6 +2695,40 @@ JsPak.prototype.headerValueToBuffer = function( key , value ) {
 
 
 
+/*
+	Get the compression from an add() options object or a file entry, either:
+		- compression: the name of the compression ('gzip' or 'brotli'), or a falsy value for none
+		- gzip: true/false
+		- brotli: true/false
+	Return undefined if nothing was specified.
+*/
+JsPak.getCompressionOption = function( object ) {
+	if ( object.compression !== undefined ) {
+		if ( ! object.compression || object.compression === 'none' ) { return null ; }
+		if ( ! COMPRESSION[ object.compression ] ) { throw new Error( "Unknown compression '" + object.compression + "'" ) ; }
+		return object.compression ;
+	}
+
+	if ( object.brotli ) { return 'brotli' ; }
+	if ( object.gzip !== undefined ) { return object.gzip ? 'gzip' : null ; }
+	if ( object.brotli !== undefined ) { return null ; }
+} ;
+
+
+
+// Throw if the compression level is out of the range of the compression
+JsPak.checkCompressionLevel = function( compression , level ) {
+	if ( ! compression || level === undefined ) { return ; }
+
+	var [ min , max ] = COMPRESSION[ compression ].levels ;
+
+	if ( ! Number.isInteger( level ) || level < min || level > max ) {
+		throw new RangeError( "Bad compressionLevel '" + level + "' for " + compression + ", it should be an integer from " + min + " to " + max ) ;
+	}
+} ;
+
+
+
 JsPak.objectToSerialKv = function( object ) {
 	if ( ! object || typeof object !== 'object' ) { throw new TypeError( 'It should be an object.' ) ; }
 
@@ -995,36 +2807,155 @@ const HEADER_FIXED_SIZE = 4 ;			// size without the key and value (both have a v
 
 /*
 	Index entry structure:
-	Flags (1B) - Data Offset (4B) - Data Size (4B) - Mode Flags (2B) - Modify Time (aka mtime) (8B) - Access Time (aka atime) (8B)
-	- Key LPS (2B) - Key
+	Flags (1B) - Data Offset (8B) - Data Size (8B) - Mode Flags (2B) - Modify Time (aka mtime) (8B) - Access Time (aka atime) (8B)
+	- Key LPS (2B) - Key - Extension LPS (2B) - Extension
+
+	Prior to v0.7, Data Offset and Data Size are 4B, prior to v0.8 there is no extension (see LAYOUT).
+
+	The extension is a serialized KV (encrypted like the key), with optional fields:
+	uid, gid, uname, gname, sha256 (hex SHA-256 digest of the content, for integrity checks and deduplication),
+	hardlink (for S_IFHARDLINK entries: the key of the linked file), and xattr.<name> (base64 value of an extended attribute).
+*/
+
+const EXTENSION_FIELDS = new Set( [ 'uid' , 'gid' , 'uname' , 'gname' , 'sha256' , 'hardlink' ] ) ;
+
+/*
+	Files with the same content stored with the same options can share the same data.
+	The compression level is not stored, it's only known for files added by this instance.
 */
+function getContentId( index ) {
+	return index.sha256 + '/' + ( index.compression || '' ) + ( index.compressionLevel !== undefined ? ':' + index.compressionLevel : '' )
+		+ '/' + ( index.encryption ? 'e' : '' ) + ( index.asymmetric ? 'a' : '' ) + ( index.hmac ? 'h' : '' ) ;
+}
 
-const INDEX_FIXED_SIZE = 29 ;						// size without the key (which has a variable length)
 const KEY_BUFFER_MAX_SIZE = 2 ** 16 ;				// maximum size of key
 const KEY_MAX_SIZE = KEY_BUFFER_MAX_SIZE - 1024 ;	// because of crypto, we remove 16B for the init vector, and a large space for eventual HMAC and its evolution
-const INDEX_MAX_SIZE = INDEX_FIXED_SIZE + KEY_MAX_SIZE ;	// maximum size of an index
 const FLAG_DELETED = 4 ;							// this file/data was deleted by another addition
 const FLAG_GZIP = 8 ;								// zlib compression
-// bit16 is reserved: can be grouped with bit8 to have multiple compression type (e.g.: brotli, or the next big player)
+const FLAG_BROTLI = 16 ;							// brotli compression
+const FLAG_GZIP_CHUNKED = 24 ;						// chunked gzip compression (both bits)
+const MASK_COMPRESSION = 24 ;						// bit8 and bit16 are grouped to have multiple compression type
 const FLAG_ENCRYPTION = 32 ;						// encryption
-// bit64 reserved for asymetric encryption?
+const FLAG_ASYMMETRIC = 64 ;						// encrypted with the content key of the recipients (along with FLAG_ENCRYPTION)
 const FLAG_HMAC = 128 ;								// the file has an HMAC
 
+const COMPRESSION = {
+	gzip: {
+		flags: FLAG_GZIP ,
+		levels: [ zlib.constants.Z_DEFAULT_COMPRESSION , zlib.constants.Z_BEST_COMPRESSION ] ,
+		createCompressStream: ( level = zlib.constants.Z_DEFAULT_COMPRESSION ) => zlib.createGzip( { level } ) ,
+		createDecompressStream: () => zlib.createGunzip() ,
+		decompressBuffer: gunzipBuffer ,
+		decompressBufferSync: zlib.gunzipSync
+	} ,
+	brotli: {
+		flags: FLAG_BROTLI ,
+		levels: [ zlib.constants.BROTLI_MIN_QUALITY , zlib.constants.BROTLI_MAX_QUALITY ] ,
+		createCompressStream: ( level = zlib.constants.BROTLI_DEFAULT_QUALITY ) => zlib.createBrotliCompress( {
+			params: { [ zlib.constants.BROTLI_PARAM_QUALITY ]: level }
+		} ) ,
+		createDecompressStream: () => zlib.createBrotliDecompress() ,
+		decompressBuffer: brotliDecompressBuffer ,
+		decompressBufferSync: zlib.brotliDecompressSync
+	} ,
+	// No decompress stream: streams are read chunk by chunk using the chunk table, see JsPak#readRange()
+	'gzip-chunked': {
+		flags: FLAG_GZIP_CHUNKED ,
+		chunked: true ,
+		levels: [ zlib.constants.Z_DEFAULT_COMPRESSION , zlib.constants.Z_BEST_COMPRESSION ] ,
+		createCompressStream: level => new chunkedGzip.CompressStream( level ) ,
+		decompressBuffer: chunkedGzip.decompressBuffer ,
+		decompressBufferSync: chunkedGzip.decompressBufferSync
+	}
+} ;
+
+/*
+	The mode of index entries is the full st_mode, so it contains the file type:
+	regular files (S_IFREG or none), symlinks (S_IFLNK: the data is the target of the link),
+	or hardlinks (S_IFHARDLINK, not a POSIX file type: the data is shared with the first file of the inode).
+*/
+const S_IFMT = 0o170000 ;
+const S_IFREG = 0o100000 ;
+const S_IFDIR = 0o040000 ;
+const S_IFLNK = 0o120000 ;
+const S_IFHARDLINK = 0o110000 ;
+
+const COMPRESSION_BY_FLAGS = {
+	[ FLAG_GZIP ]: 'gzip' ,
+	[ FLAG_BROTLI ]: 'brotli' ,
+	[ FLAG_GZIP_CHUNKED ]: 'gzip-chunked'
+} ;
+
 /*
 	Directory Index entry structure:
 	Flags (1B) - Mode Flags (2B) - Modify Time (aka mtime) (8B) - Access Time (aka atime) (8B)
-	- Key LPS (2B) - Key
+	- Key LPS (2B) - Key - Extension LPS (2B) - Extension
+
+	Prior to v0.8, there is no extension, since v0.8 it is the same than for index entries.
 */
 
 const DIRECTORY_FIXED_SIZE = 21 ;						// size without the key (which has a variable length)
-const DIRECTORY_MAX_SIZE = DIRECTORY_FIXED_SIZE + KEY_MAX_SIZE ;		// maximum size of an index
 // bit4 is FLAG_DELETED from index flags
 // bit32 is FLAG_ENCRYPTION from index flags
+// bit64 is FLAG_ASYMMETRIC from index flags
 
 /*
 	Datablock entry structure:
-	Flags (1B) - Size (4B) - Full data block
+	Flags (1B) - Size (8B) - Full data block
+
+	Prior to v0.7, Size is 4B (see LAYOUT).
 */
 
-const DATABLOCK_FIXED_SIZE = 5 ;						// size without the data itself (which has a variable length)
+/*
+	Layouts of index records and datablock headers, depending on the format version.
+	Fixed sizes are without the key or the data (both have a variable length), others are field positions in index records.
+*/
+const LAYOUT = {
+	// Prior to v0.7: 32-bit offsets and sizes
+	legacy: {
+		indexFixedSize: 29 ,
+		dataBlockFixedSize: 5 ,
+		offset: 1 ,
+		size: 5 ,
+		mode: 9 ,
+		mtime: 11 ,
+		atime: 19 ,
+		keySize: 27 ,
+		maxSize: 2 ** 32 - 1 ,
+		maxSizeLabel: '4 GiB' ,
+		extension: false ,
+		readSize: ( buffer , position ) => buffer.readUInt32BE( position ) ,
+		writeSize: ( buffer , value , position ) => buffer.writeUInt32BE( value , position )
+	} ,
+	// Since v0.7: 64-bit offsets and sizes
+	large: {
+		indexFixedSize: 37 ,
+		dataBlockFixedSize: 9 ,
+		offset: 1 ,
+		size: 9 ,
+		mode: 17 ,
+		mtime: 19 ,
+		atime: 27 ,
+		keySize: 35 ,
+		maxSize: Number.MAX_SAFE_INTEGER ,
+		maxSizeLabel: '8 PiB' ,
+		extension: false ,
+		// As two 32-bit halves, numbers are exact up to 2^53
+		readSize: ( buffer , position ) => buffer.readUInt32BE( position ) * 2 ** 32 + buffer.readUInt32BE( position + 4 ) ,
+		writeSize: ( buffer , value , position ) => {
+			buffer.writeUInt32BE( Math.floor( value / 2 ** 32 ) , position ) ;
+			buffer.writeUInt32BE( value % 2 ** 32 , position + 4 ) ;
+		}
+	}
+} ;
+
+// Since v0.8: index and directory records have an extension
+LAYOUT.extended = Object.assign( {} , LAYOUT.large , { extension: true } ) ;
+
+// Archives without version headers predate them, and use the legacy layout
+function getLayout( majorVersion = 0 , minorVersion = 0 ) {
+	if ( majorVersion > 0 || minorVersion >= 8 ) { return LAYOUT.extended ; }
+	if ( minorVersion >= 7 ) { return LAYOUT.large ; }
+	return LAYOUT.legacy ;
+}
 
@@ -0,0 +1,205 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const JsPak = require( './JsPak.js' ) ;
+const requireHook = require( './requireHook.js' ) ;
+
+const path = require( 'path' ) ;
+const fsKit = require( 'fs-kit' ) ;
+
+
+
+/*
+	Merged view of multiple archives, the later superseding the earlier (e.g. like Q3 pak0.pak, pak1.pak, ...),
+	allowing distribution of extension pack/patch.
+	Tombstones of a later archive hide files and directories of the earlier ones.
+
+	archives: an array of archive paths, Buffers or JsPak instances, in order, or a glob pattern (e.g. 'data/pak*.jpk')
+		whose matches are sorted naturally (pak2.jpk comes before pak10.jpk)
+	options: options passed to the JsPak constructor
+*/
+function Overlay( archives , options = {} ) {
+	this.archives = archives ;
+	this.options = options ;
+	this.jsPaks = [] ;
+	this.loaded = false ;
+	this.indexMap = new Map() ;
+	this.indexOwnerMap = new Map() ;	// key -> the JsPak instance where the file lies
+	this.directoryMap = new Map() ;
+}
+
+module.exports = Overlay ;
+
+
+
+Overlay.prototype.load = async function() {
+	if ( this.loaded ) { return ; }
+
+	var archive , jsPak ,
+		archives = this.archives ;
+
+	if ( typeof archives === 'string' ) {
+		archives = ( await fsKit.glob( archives ) ).sort( ( a , b ) => a.localeCompare( b , undefined , { numeric: true } ) ) ;
+		if ( ! archives.length ) { throw new Error( "No archive matching '" + this.archives + "'" ) ; }
+	}
+
+	for ( archive of archives ) {
+		jsPak = archive instanceof JsPak ? archive : new JsPak( archive , Object.assign( { readOnly: true } , this.options ) ) ;
+		await jsPak.open( false ) ;
+		await jsPak.load() ;
+		this.jsPaks.push( jsPak ) ;
+		this.merge( jsPak ) ;
+	}
+
+	this.loaded = true ;
+} ;
+
+
+
+Overlay.prototype.close = async function() {
+	for ( let jsPak of this.jsPaks ) { await jsPak.close() ; }
+} ;
+
+
+
+// Internal: merge a JsPak over the current view
+Overlay.prototype.merge = function( jsPak ) {
+	var key , subKey , prefix , index , directory ;
+
+	for ( key of jsPak.deletedDirectoryKeys ) {
+		this.directoryMap.delete( key ) ;
+		prefix = key + '/' ;
+
+		for ( subKey of this.indexMap.keys() ) {
+			if ( subKey.startsWith( prefix ) ) {
+				this.indexMap.delete( subKey ) ;
+				this.indexOwnerMap.delete( subKey ) ;
+			}
+		}
+
+		for ( subKey of this.directoryMap.keys() ) {
+			if ( subKey.startsWith( prefix ) ) { this.directoryMap.delete( subKey ) ; }
+		}
+	}
+
+	for ( key of jsPak.deletedKeys ) {
+		this.indexMap.delete( key ) ;
+		this.indexOwnerMap.delete( key ) ;
+	}
+
+	for ( [ key , directory ] of jsPak.directoryMap ) {
+		this.directoryMap.set( key , directory ) ;
+	}
+
+	for ( [ key , index ] of jsPak.indexMap ) {
+		this.indexMap.set( key , index ) ;
+		this.indexOwnerMap.set( key , jsPak ) ;
+	}
+} ;
+
+
+
+Overlay.prototype.has = function( key ) {
+	return this.indexMap.has( key ) ;
+} ;
+
+
+
+Overlay.prototype.keys = function() {
+	return [ ... this.indexMap.keys() ] ;
+} ;
+
+
+
+Overlay.prototype.directoryKeys = function() {
+	return [ ... this.directoryMap.keys() ] ;
+} ;
+
+
+
+Overlay.prototype.getMeta = function( key ) {
+	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
+	return this.indexMap.get( key ) ;
+} ;
+
+
+
+Overlay.prototype.getStream = function( key ) {
+	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
+
+	var jsPak = this.indexOwnerMap.get( key ) ;
+	if ( ! jsPak ) { return ; }
+
+	return jsPak.getStream( key ) ;
+} ;
+
+
+
+Overlay.prototype.getBuffer = async function( key ) {
+	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
+
+	var jsPak = this.indexOwnerMap.get( key ) ;
+	if ( ! jsPak ) { return ; }
+
+	return jsPak.getBuffer( key ) ;
+} ;
+
+
+
+Overlay.prototype.getBufferSync = function( key ) {
+	if ( ! this.loaded ) { throw new Error( 'Not loaded' ) ; }
+
+	var jsPak = this.indexOwnerMap.get( key ) ;
+	if ( ! jsPak ) { return ; }
+
+	return jsPak.getBufferSync( key ) ;
+} ;
+
+
+
+
+// Like JsPak#mount(), the default mount directory is where the first archive lies
+Overlay.prototype.mount = async function( mountDirectory = null ) {
+	if ( ! this.loaded ) { await this.load() ; }
+
+	if ( this.jsPaks.some( jsPak => jsPak.url ) ) {
+		throw new Error( "Remote archives can't be mounted, require() needs synchronous reads" ) ;
+	}
+
+	if ( ! mountDirectory && ! this.jsPaks[ 0 ].filePath ) { throw new Error( 'In-memory and remote archives need a mount directory' ) ; }
+	requireHook.mount( this , path.resolve( mountDirectory || path.dirname( this.jsPaks[ 0 ].filePath ) ) ) ;
+} ;
+
+
+
+Overlay.prototype.unmount = function() {
+	requireHook.unmount( this ) ;
+} ;
+
@@ -0,0 +1,196 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const stream = require( 'stream' ) ;
+const zlib = require( 'zlib' ) ;
+
+const Promise = require( 'seventh' ) ;
+const gzipBuffer = Promise.promisify( zlib.gzip ) ;
+const gunzipBuffer = Promise.promisify( zlib.gunzip ) ;
+
+
+
+/*
+	Chunked gzip: the data is split into chunks of the same uncompressed size, each compressed independently,
+	so a byte range can be decompressed without decompressing what comes before.
+
+	Structure:
+	Gzip chunks - Chunk table: compressed size of each chunk (4B each)
+	- Chunk size (4B) - Chunk count (4B) - Uncompressed size (8B)
+*/
+
+const chunkedGzip = {} ;
+module.exports = chunkedGzip ;
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024 ;
+const TRAILER_SIZE = 16 ;
+chunkedGzip.TRAILER_SIZE = TRAILER_SIZE ;
+
+
+
+function CompressStream( level = zlib.constants.Z_DEFAULT_COMPRESSION , chunkSize = DEFAULT_CHUNK_SIZE ) {
+	stream.Transform.call( this ) ;
+
+	this.level = level ;
+	this.chunkSize = chunkSize ;
+	this.pending = [] ;
+	this.pendingSize = 0 ;
+	this.compressedSizes = [] ;
+	this.bytesWritten = 0 ;		// Like zlib streams, the uncompressed size
+}
+
+CompressStream.prototype = Object.create( stream.Transform.prototype ) ;
+CompressStream.prototype.constructor = CompressStream ;
+
+chunkedGzip.CompressStream = CompressStream ;
+
+
+
+CompressStream.prototype._transform = function( buffer , encoding , callback ) {
+	this.bytesWritten += buffer.length ;
+	this.pending.push( buffer ) ;
+	this.pendingSize += buffer.length ;
+
+	if ( this.pendingSize < this.chunkSize ) { callback() ; return ; }
+
+	this.compressPending( false ).then( () => callback() , callback ) ;
+} ;
+
+
+
+CompressStream.prototype._flush = function( callback ) {
+	this.compressPending( true ).then(
+		() => {
+			this.push( createTable( this.compressedSizes , this.chunkSize , this.bytesWritten ) ) ;
+			callback() ;
+		} ,
+		callback
+	) ;
+} ;
+
+
+
+// Compress and push all full chunks (and the last partial chunk if final)
+CompressStream.prototype.compressPending = async function( final ) {
+	var buffer = Buffer.concat( this.pending ) ,
+		start = 0 , chunk , compressed ;
+
+	while ( buffer.length - start >= this.chunkSize || ( final && start < buffer.length ) ) {
+		chunk = buffer.slice( start , start + this.chunkSize ) ;
+		start += chunk.length ;
+		compressed = await gzipBuffer( chunk , { level: this.level } ) ;
+		this.compressedSizes.push( compressed.length ) ;
+		this.push( compressed ) ;
+	}
+
+	this.pending = start < buffer.length ? [ buffer.slice( start ) ] : [] ;
+	this.pendingSize = buffer.length - start ;
+} ;
+
+
+
+function createTable( compressedSizes , chunkSize , uncompressedSize ) {
+	var buffer = Buffer.allocUnsafe( compressedSizes.length * 4 + TRAILER_SIZE ) ,
+		position = 0 ;
+
+	for ( let size of compressedSizes ) {
+		buffer.writeUInt32BE( size , position ) ;
+		position += 4 ;
+	}
+
+	buffer.writeUInt32BE( chunkSize , position ) ;
+	buffer.writeUInt32BE( compressedSizes.length , position + 4 ) ;
+	buffer.writeUInt32BE( Math.floor( uncompressedSize / 2 ** 32 ) , position + 8 ) ;
+	buffer.writeUInt32BE( uncompressedSize % 2 ** 32 , position + 12 ) ;
+
+	return buffer ;
+}
+
+
+
+// Parse the trailer (the last TRAILER_SIZE bytes): return { chunkSize , chunkCount , uncompressedSize , tableSize }
+chunkedGzip.parseTrailer = trailer => {
+	var chunkCount = trailer.readUInt32BE( 4 ) ;
+
+	return {
+		chunkSize: trailer.readUInt32BE( 0 ) ,
+		chunkCount ,
+		uncompressedSize: trailer.readUInt32BE( 8 ) * 2 ** 32 + trailer.readUInt32BE( 12 ) ,
+		tableSize: chunkCount * 4 + TRAILER_SIZE
+	} ;
+} ;
+
+
+
+// Parse the chunk table (without the trailer): return the offset of each chunk, plus the end of the last one
+chunkedGzip.parseTable = table => {
+	var offsets = [ 0 ] ;
+
+	for ( let position = 0 ; position < table.length ; position += 4 ) {
+		offsets.push( offsets[ offsets.length - 1 ] + table.readUInt32BE( position ) ) ;
+	}
+
+	return offsets ;
+} ;
+
+
+
+chunkedGzip.decompressBuffer = async ( buffer ) => {
+	var chunks = [] ;
+
+	for ( let chunk of splitChunks( buffer ) ) {
+		chunks.push( await gunzipBuffer( chunk ) ) ;
+	}
+
+	return Buffer.concat( chunks ) ;
+} ;
+
+
+
+chunkedGzip.decompressBufferSync = ( buffer ) => Buffer.concat( splitChunks( buffer ).map( chunk => zlib.gunzipSync( chunk ) ) ) ;
+
+
+
+chunkedGzip.decompressChunk = gunzipBuffer ;
+
+
+
+function splitChunks( buffer ) {
+	var trailer = chunkedGzip.parseTrailer( buffer.slice( buffer.length - TRAILER_SIZE ) ) ,
+		offsets = chunkedGzip.parseTable( buffer.slice( buffer.length - trailer.tableSize , buffer.length - TRAILER_SIZE ) ) ,
+		chunks = [] ;
+
+	for ( let i = 0 ; i < trailer.chunkCount ; i ++ ) {
+		chunks.push( buffer.slice( offsets[ i ] , offsets[ i + 1 ] ) ) ;
+	}
+
+	return chunks ;
+}
+
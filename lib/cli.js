@@ -30,7 +30,10 @@
 
 const JsPak = require( './JsPak.js' ) ;
 
-const fsPromise = require( 'fs' ).promises ;
+const Promise = require( 'seventh' ) ;
+
+const fs = require( 'fs' ) ;
+const fsPromise = fs.promises ;
 const termkit = require( 'terminal-kit' ) ;
 const term = termkit.terminal ;
 
@@ -39,6 +42,40 @@ const package_ = require( '../package.json' ) ;
 
 
 
+// Commands that never modify the archive, it can be on a read-only filesystem or owned by another user
+const READ_ONLY_COMMANDS = new Set( [ 'compact' , 'extract' , 'cat' , 'list' , 'info' , 'verify' , 'diff' , 'export' , 'list-headers' ] ) ;
+
+
+
+function getAddOptions( args ) {
+	return {
+		compression: args.compression ,
+		brotli: args.brotli ,
+		gzip: args.gzip ,
+		compressionLevel: args.compressionLevel ,
+		autoCompression: args.autoCompression ,
+		dereference: args.dereference ,
+		preserveOwnership: args.sameOwner ,
+		xattrs: args.xattrs ,
+		include: args.include ,
+		exclude: args.exclude ,
+		encryption: args.encrypt ,
+		hmac: args.hmac
+	} ;
+}
+
+
+
+// Default to the extension of the output file
+function getExportFormat( args ) {
+	if ( args.format ) { return args.format ; }
+	if ( args.output && /\.zip$/i.test( args.output ) ) { return 'zip' ; }
+	if ( args.output && /\.(tgz|tar\.gz)$/i.test( args.output ) ) { return 'tgz' ; }
+	return 'tar' ;
+}
+
+
+
 async function cli() {
 	var jsPak ;
 
@@ -65,14 +102,45 @@ async function cli() {
 				.description( "The files to add to the archive." )
 			.option( [ 'gzip' , 'z' ] ).boolean
 				.description( "Gzip the files" )
+			.option( [ 'brotli' , 'b' ] ).boolean
+				.description( "Compress the files with Brotli" )
+			.option( 'compression' ).string
+				.typeLabel( 'gzip|brotli|gzip-chunked|none' )
+				.description( "Compression type for the files" )
+			.option( 'compression-level' ).integer
+				.typeLabel( 'level' )
+				.description( "Compression level: 0-9 for gzip, 0-11 for brotli" )
+			.option( [ 'auto-compression' , 'A' ] ).boolean
+				.description( "Don't compress already compressed files (media, archives, ...) or files that don't shrink" )
+			.option( [ 'dereference' , 'L' ] ).boolean
+				.description( "Follow symlinks and store hardlinked files as regular files, instead of storing links" )
+			.option( 'same-owner' ).boolean
+				.description( "Store the ownership (user and group) of the files" )
+			.option( 'xattrs' ).boolean
+				.description( "Store the extended attributes of the files (need the 'fs-xattr' package)" )
+			.option( 'include' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Only add files matching this key or glob pattern, relative to the added paths (repeatable)" )
+			.option( 'exclude' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Don't add files and directories matching this key or glob pattern (repeatable), .jpkignore files are also honored" )
 			.option( [ 'encrypt' , 'e' ] ).boolean
-				.description( "Encrypt the files, need option --encryption-key / -k" )
+				.description( "Encrypt the files, need option --encryption-key / -k or --recipient / -R (the default with recipients)" )
 			.option( [ 'meta-hmac' , 'M' ] ).boolean
 				.description( "Add HMAC for meta data, need option --encryption-key / -k" )
 			.option( [ 'hmac' , 'H' ] ).boolean
 				.description( "Add HMAC for each file, need option --encryption-key / -k" )
 			.option( [ 'encryption-key' , 'k' ] ).string
 				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'recipient' , 'R' ] ).string.arrayOf
+				.typeLabel( 'pubkey.pem' )
+				.description( "A public key file (PEM, RSA or X25519) of a recipient, files are encrypted for them (repeatable)." )
+			.option( 'kdf' ).string
+				.typeLabel( 'scrypt|pbkdf2' )
+				.description( "The key derivation function used to turn the encryption key into the real key (default: scrypt)." )
+			.option( 'kdf-cost' ).integer
+				.typeLabel( 'cost' )
+				.description( "The cost of the key derivation function: log2(N) for scrypt (10 to 20, default: 15), iterations for pbkdf2 (1000 to 10000000, default: 210000)." )
 		.command( [ 'add' , 'a' ] )
 			.usage( "<archive> [file1|directory1] [file2|directory2] [...] [--option1] [--option2] [...]" )
 			.description( "It add files to an existing archive." )
@@ -84,25 +152,202 @@ async function cli() {
 				.description( "The files to add to the archive." )
 			.option( [ 'gzip' , 'z' ] ).boolean
 				.description( "Gzip the files" )
+			.option( [ 'brotli' , 'b' ] ).boolean
+				.description( "Compress the files with Brotli" )
+			.option( 'compression' ).string
+				.typeLabel( 'gzip|brotli|gzip-chunked|none' )
+				.description( "Compression type for the files" )
+			.option( 'compression-level' ).integer
+				.typeLabel( 'level' )
+				.description( "Compression level: 0-9 for gzip, 0-11 for brotli" )
+			.option( [ 'auto-compression' , 'A' ] ).boolean
+				.description( "Don't compress already compressed files (media, archives, ...) or files that don't shrink" )
+			.option( [ 'dereference' , 'L' ] ).boolean
+				.description( "Follow symlinks and store hardlinked files as regular files, instead of storing links" )
+			.option( 'same-owner' ).boolean
+				.description( "Store the ownership (user and group) of the files" )
+			.option( 'xattrs' ).boolean
+				.description( "Store the extended attributes of the files (need the 'fs-xattr' package)" )
+			.option( 'include' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Only add files matching this key or glob pattern, relative to the added paths (repeatable)" )
+			.option( 'exclude' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Don't add files and directories matching this key or glob pattern (repeatable), .jpkignore files are also honored" )
+			.option( [ 'encrypt' , 'e' ] ).boolean
+				.description( "Encrypt the files, need option --encryption-key / -k" )
+			.option( [ 'hmac' , 'H' ] ).boolean
+				.description( "Add HMAC for each file, need option --encryption-key / -k" )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( [ 'replace' , 'r' ] )
+			.usage( "<archive> [file1|directory1] [file2|directory2] [...] [--option1] [--option2] [...]" )
+			.description( "It replaces files in an existing archive, files no longer present in replaced directories are deleted." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.restArgs( 'files' ).string.mandatory
+				.typeLabel( 'files' )
+				.description( "The files to replace in the archive." )
+			.option( [ 'gzip' , 'z' ] ).boolean
+				.description( "Gzip the files" )
+			.option( [ 'brotli' , 'b' ] ).boolean
+				.description( "Compress the files with Brotli" )
+			.option( 'compression' ).string
+				.typeLabel( 'gzip|brotli|gzip-chunked|none' )
+				.description( "Compression type for the files" )
+			.option( 'compression-level' ).integer
+				.typeLabel( 'level' )
+				.description( "Compression level: 0-9 for gzip, 0-11 for brotli" )
+			.option( [ 'auto-compression' , 'A' ] ).boolean
+				.description( "Don't compress already compressed files (media, archives, ...) or files that don't shrink" )
+			.option( [ 'dereference' , 'L' ] ).boolean
+				.description( "Follow symlinks and store hardlinked files as regular files, instead of storing links" )
+			.option( 'same-owner' ).boolean
+				.description( "Store the ownership (user and group) of the files" )
+			.option( 'xattrs' ).boolean
+				.description( "Store the extended attributes of the files (need the 'fs-xattr' package)" )
+			.option( 'include' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Only add files matching this key or glob pattern, relative to the added paths (repeatable)" )
+			.option( 'exclude' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Don't add files and directories matching this key or glob pattern (repeatable), .jpkignore files are also honored" )
+			.option( [ 'encrypt' , 'e' ] ).boolean
+				.description( "Encrypt the files, need option --encryption-key / -k" )
+			.option( [ 'hmac' , 'H' ] ).boolean
+				.description( "Add HMAC for each file, need option --encryption-key / -k" )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( [ 'update' , 'u' ] )
+			.usage( "<archive> [file1|directory1] [file2|directory2] [...] [--option1] [--option2] [...]" )
+			.description( "It adds only new or modified files (compared by mtime, or by content digest with --checksum) to an existing archive." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.restArgs( 'files' ).string.mandatory
+				.typeLabel( 'files' )
+				.description( "The files to update in the archive." )
+			.option( [ 'checksum' , 'c' ] ).boolean
+				.description( "Compare the SHA-256 digest of the content of files instead of their mtime (archives v0.8 or above)" )
+			.option( 'delete' ).boolean
+				.description( "Delete files and directories of the archive that are no longer present in updated directories" )
+			.option( [ 'gzip' , 'z' ] ).boolean
+				.description( "Gzip the files" )
+			.option( [ 'brotli' , 'b' ] ).boolean
+				.description( "Compress the files with Brotli" )
+			.option( 'compression' ).string
+				.typeLabel( 'gzip|brotli|gzip-chunked|none' )
+				.description( "Compression type for the files" )
+			.option( 'compression-level' ).integer
+				.typeLabel( 'level' )
+				.description( "Compression level: 0-9 for gzip, 0-11 for brotli" )
+			.option( [ 'auto-compression' , 'A' ] ).boolean
+				.description( "Don't compress already compressed files (media, archives, ...) or files that don't shrink" )
+			.option( [ 'dereference' , 'L' ] ).boolean
+				.description( "Follow symlinks and store hardlinked files as regular files, instead of storing links" )
+			.option( 'same-owner' ).boolean
+				.description( "Store the ownership (user and group) of the files" )
+			.option( 'xattrs' ).boolean
+				.description( "Store the extended attributes of the files (need the 'fs-xattr' package)" )
+			.option( 'include' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Only add files matching this key or glob pattern, relative to the added paths (repeatable)" )
+			.option( 'exclude' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Don't add files and directories matching this key or glob pattern (repeatable), .jpkignore files are also honored" )
 			.option( [ 'encrypt' , 'e' ] ).boolean
 				.description( "Encrypt the files, need option --encryption-key / -k" )
 			.option( [ 'hmac' , 'H' ] ).boolean
 				.description( "Add HMAC for each file, need option --encryption-key / -k" )
 			.option( [ 'encryption-key' , 'k' ] ).string
 				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( [ 'delete' , 'd' ] )
+			.usage( "<archive> <key1> [key2] [...] [--option1] [--option2] [...]" )
+			.description( "It deletes files or directories (recursively) from an existing archive." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.restArgs( 'keys' ).string.mandatory
+				.typeLabel( 'keys' )
+				.description( "The keys of the files or directories to delete." )
+			.option( [ 'force' , 'f' ] ).boolean
+				.description( "Add tombstones even for keys not found in the archive (hiding files of earlier archives), keys of directories should end with a slash." )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( [ 'compact' ] )
+			.usage( "<archive> [toArchive] [--option1] [--option2] [...]" )
+			.description( "It rewrites the archive, reclaiming space used by overwritten or deleted files. Without a target archive, it is done in-place." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.arg( 'toArchive' ).string
+				.typeLabel( 'archive' )
+				.description( "The new archive file" )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
 		.command( [ 'extract' , 'x' ] )
-			.usage( "<archive> [toDirectory] [--option1] [--option2] [...]" )
-			.description( "It extracts every files from the archive." )
+			.usage( "<archive> [toDirectory] [pattern1] [pattern2] [...] [--option1] [--option2] [...]" )
+			.description( "It extracts every files from the archive, or only the files matching the patterns." )
 			.arg( 'archive' ).string.mandatory
 				.typeLabel( 'archive' )
 				.description( "The archive file" )
 			.arg( 'toDirectory' , process.cwd() ).string
 				.typeLabel( 'directory' )
 				.description( "The directory where to extract" )
+			.restArgs( 'patterns' ).string
+				.typeLabel( 'patterns' )
+				.description( "Keys or glob patterns (e.g. 'assets/**/*.png') of the files to extract, a pattern starting with '!' excludes files (e.g. '!**/*.map')" )
+			.option( [ 'verify' , 'V' ] ).boolean
+				.description( "Verify the integrity of the file." )
+			.option( [ 'verify-digest' , 'D' ] ).boolean
+				.description( "Verify the SHA-256 digest of each file, without needing a key (archives v0.8 or above)." )
+			.option( 'same-owner' ).boolean
+				.description( "Restore the ownership (user and group) of the files, usually need to be root" )
+			.option( 'xattrs' ).boolean
+				.description( "Restore the extended attributes of the files (need the 'fs-xattr' package)" )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( 'cat' )
+			// The output is the content of the files, no intro
+			.exec( cli_ => cli_.setIntro( false ) )
+			.usage( "<archive> <key1> [key2] [...] [--option1] [--option2] [...]" )
+			.description( "It writes the content of files of the archive to the standard output." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.restArgs( 'keys' ).string.mandatory
+				.typeLabel( 'keys' )
+				.description( "The keys of the files inside the archive." )
+			.option( 'raw' ).boolean
+				.description( "Write the data as stored, without decoding it (still compressed, encrypted, with its HMAC)" )
 			.option( [ 'verify' , 'V' ] ).boolean
 				.description( "Verify the integrity of the file." )
+			.option( [ 'verify-digest' , 'D' ] ).boolean
+				.description( "Verify the SHA-256 digest of each file, without needing a key (archives v0.8 or above)." )
 			.option( [ 'encryption-key' , 'k' ] ).string
 				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
 		.command( [ 'list' , 'l' ] )
 			.usage( "<archive> [--option1] [--option2] [...]" )
 			.description( "It list all files in the archive." )
@@ -115,6 +360,155 @@ async function cli() {
 				.description( "Verify the integrity of the file." )
 			.option( [ 'encryption-key' , 'k' ] ).string
 				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( 'info' )
+			.usage( "<archive> [--option1] [--option2] [...]" )
+			.description( "It displays informations about the archive: format, number of files, sizes and deduplication savings." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.option( [ 'verify' , 'V' ] ).boolean
+				.description( "Verify the integrity of the file." )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( 'sign' )
+			.usage( "<archive> --private-key <privkey.pem> [--option1] [--option2] [...]" )
+			.description( "It signs the archive (metadata and stored data), the signature can be verified with the public key only." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.option( [ 'private-key' , 'K' ] ).string.mandatory
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM, Ed25519, Ed448 or ECDSA) used to sign." )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( 'verify' )
+			.usage( "<archive> [--public-key <pubkey.pem>] [--option1] [--option2] [...]" )
+			.description( "It verifies the integrity of the archive: the meta HMAC, each file (decoded without being written), "
+				+ "and the signature if a public key is given. "
+				+ "Each file is reported OK, FAILED or UNPROTECTED (no HMAC nor digest), the exit code is non-zero on any failure." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.option( [ 'public-key' , 'P' ] ).string
+				.typeLabel( 'pubkey.pem' )
+				.description( "The public key file (PEM) of the signer." )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( 'diff' )
+			// The output may be JSON, no intro
+			.exec( cli_ => cli_.setIntro( false ) )
+			.usage( "<archive> <archive|directory> [--option1] [--option2] [...]" )
+			.description( "It lists files and directories added, removed, modified, or with only a mode or mtime change, "
+				+ "between an archive and another archive or a directory. The exit code is non-zero if there are differences." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.arg( 'target' ).string.mandatory
+				.typeLabel( 'archive|directory' )
+				.description( "The archive file or the directory to compare with" )
+			.option( 'json' ).boolean
+				.description( "Output the differences as JSON" )
+			.option( [ 'quick' , 'q' ] ).boolean
+				.description( "Don't compare the content of files, only their type, mode and mtime" )
+			.option( 'include' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Only compare files matching this key or glob pattern (repeatable)" )
+			.option( 'exclude' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Don't compare files and directories matching this key or glob pattern (repeatable)" )
+			.option( [ 'verify' , 'V' ] ).boolean
+				.description( "Verify the integrity of the file." )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data (of both archives)." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( 'import' )
+			.usage( "<input> <archive> [--option1] [--option2] [...]" )
+			.description( "It imports the files of a tar (gzipped or not) or zip archive, the archive is created if it doesn't exist. "
+				+ "Nothing is extracted to disk." )
+			.arg( 'input' ).string.mandatory
+				.typeLabel( 'tar|tgz|zip' )
+				.description( "The tar or zip file to import" )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.option( [ 'gzip' , 'z' ] ).boolean
+				.description( "Gzip the files" )
+			.option( [ 'brotli' , 'b' ] ).boolean
+				.description( "Compress the files with Brotli" )
+			.option( 'compression' ).string
+				.typeLabel( 'gzip|brotli|gzip-chunked|none' )
+				.description( "Compression type for the files" )
+			.option( 'compression-level' ).integer
+				.typeLabel( 'level' )
+				.description( "Compression level: 0-9 for gzip, 0-11 for brotli" )
+			.option( [ 'auto-compression' , 'A' ] ).boolean
+				.description( "Don't compress already compressed files (media, archives, ...) or files that don't shrink" )
+			.option( 'same-owner' ).boolean
+				.description( "Store the ownership (user and group) of the files (tar only)" )
+			.option( [ 'encrypt' , 'e' ] ).boolean
+				.description( "Encrypt the files, need option --encryption-key / -k or --recipient / -R (the default with recipients)" )
+			.option( [ 'meta-hmac' , 'M' ] ).boolean
+				.description( "Add HMAC for meta data, need option --encryption-key / -k" )
+			.option( [ 'hmac' , 'H' ] ).boolean
+				.description( "Add HMAC for each file, need option --encryption-key / -k" )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'recipient' , 'R' ] ).string.arrayOf
+				.typeLabel( 'pubkey.pem' )
+				.description( "A public key file (PEM, RSA or X25519) of a recipient, files are encrypted for them (repeatable)." )
+			.option( 'kdf' ).string
+				.typeLabel( 'scrypt|pbkdf2' )
+				.description( "The key derivation function used to turn the encryption key into the real key (default: scrypt)." )
+			.option( 'kdf-cost' ).integer
+				.typeLabel( 'cost' )
+				.description( "The cost of the key derivation function: log2(N) for scrypt (10 to 20, default: 15), iterations for pbkdf2 (1000 to 10000000, default: 210000)." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
+		.command( 'export' )
+			// The output may be the standard output, no intro
+			.exec( cli_ => cli_.setIntro( false ) )
+			.usage( "<archive> [output] [--format tar|tgz|zip] [--option1] [--option2] [...]" )
+			.description( "It exports files to a tar, gzipped tar or zip archive, written to the standard output if there is no output file. "
+				+ "Nothing is extracted to disk." )
+			.arg( 'archive' ).string.mandatory
+				.typeLabel( 'archive' )
+				.description( "The archive file" )
+			.arg( 'output' ).string
+				.typeLabel( 'file' )
+				.description( "The tar or zip file to write" )
+			.option( 'format' ).string
+				.typeLabel( 'tar|tgz|zip' )
+				.description( "The format of the exported archive (default: from the extension of the output file, or tar)" )
+			.option( 'include' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Only export files matching this key or glob pattern (repeatable)" )
+			.option( 'exclude' ).string.arrayOf
+				.typeLabel( 'pattern' )
+				.description( "Don't export files and directories matching this key or glob pattern (repeatable)" )
+			.option( [ 'verify' , 'V' ] ).boolean
+				.description( "Verify the integrity of the file." )
+			.option( [ 'verify-digest' , 'D' ] ).boolean
+				.description( "Verify the SHA-256 digest of each file, without needing a key (archives v0.8 or above)." )
+			.option( [ 'encryption-key' , 'k' ] ).string
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." )
 		.command( [ 'list-headers' , 'lh' ] )
 			.usage( "<archive> [--option1] [--option2] [...]" )
 			.description( "It list all headers." )
@@ -124,7 +518,10 @@ async function cli() {
 			.option( [ 'verify' , 'V' ] ).boolean
 				.description( "Verify the integrity of the file." )
 			.option( [ 'encryption-key' , 'k' ] ).string
-				.description( "The encryption key used to encrypt/decrypt data." ) ;
+				.description( "The encryption key used to encrypt/decrypt data." )
+			.option( [ 'identity' , 'i' ] ).string
+				.typeLabel( 'privkey.pem' )
+				.description( "The private key file (PEM) used to decrypt an archive encrypted for recipients." ) ;
 	/* eslint-enable indent */
 
 	var args = cliManager.run() ;
@@ -132,9 +529,25 @@ async function cli() {
 
 	var options = {
 		encryptionKey: args.encryptionKey ,
-		verify: args.verify
+		kdf: args.kdf ,
+		kdfCost: args.kdfCost ,
+		verify: args.verify ,
+		verifyDigest: args.verifyDigest ,
+		readOnly: READ_ONLY_COMMANDS.has( args.command )
 	} ;
 
+	try {
+		if ( args.recipient && args.recipient.length ) {
+			options.recipients = await Promise.all( args.recipient.map( filePath => fsPromise.readFile( filePath , 'utf8' ) ) ) ;
+		}
+
+		if ( args.identity ) { options.identity = await fsPromise.readFile( args.identity , 'utf8' ) ; }
+	}
+	catch ( error ) {
+		term.red( "%s\n" , error ) ;
+		return ;
+	}
+
 	switch ( args.command ) {
 		case 'create' :
 			jsPak = new JsPak( args.archive , options ) ;
@@ -143,7 +556,7 @@ async function cli() {
 
 			try {
 				await jsPak.open( true ) ;
-				await jsPak.add( args.files , { gzip: args.gzip , encryption: args.encrypt , hmac: args.hmac } ) ;
+				await jsPak.add( args.files , getAddOptions( args ) ) ;
 				if ( args.metaHmac ) { await jsPak.addMetaHmac() ; }
 			}
 			catch ( error ) {
@@ -159,13 +572,82 @@ async function cli() {
 
 			try {
 				await jsPak.open( false ) ;
-				await jsPak.add( args.files , { gzip: args.gzip , encryption: args.encrypt , hmac: args.hmac } ) ;
+				await jsPak.add( args.files , getAddOptions( args ) ) ;
+			}
+			catch ( error ) {
+				term.red( "%s\n" , error ) ;
+				term.red( "%E\n" , error ) ;
+			}
+			break ;
+
+		case 'replace' :
+			jsPak = new JsPak( args.archive , options ) ;
+			jsPak.on( 'fileDeleted' , key => term( "[Deleted] %s\n" , key ) ) ;
+			jsPak.on( 'directoryDeleted' , key => term( "[Del Dir] %s/\n" , key ) ) ;
+			jsPak.on( 'fileAdded' , key => term( "[Added] %s\n" , key ) ) ;
+			jsPak.on( 'directoryAdded' , key => term( "[ Dir ] %s/\n" , key ) ) ;
+
+			try {
+				await jsPak.open( false ) ;
+				await jsPak.replace( args.files , getAddOptions( args ) ) ;
+			}
+			catch ( error ) {
+				term.red( "%s\n" , error ) ;
+				term.red( "%E\n" , error ) ;
+			}
+			break ;
+
+		case 'update' :
+			jsPak = new JsPak( args.archive , options ) ;
+			jsPak.on( 'fileDeleted' , key => term( "[Deleted] %s\n" , key ) ) ;
+			jsPak.on( 'directoryDeleted' , key => term( "[Del Dir] %s/\n" , key ) ) ;
+			jsPak.on( 'fileAdded' , key => term( "[Added] %s\n" , key ) ) ;
+			jsPak.on( 'directoryAdded' , key => term( "[ Dir ] %s/\n" , key ) ) ;
+
+			try {
+				await jsPak.open( false ) ;
+				let result = await jsPak.update( args.files , Object.assign( getAddOptions( args ) , { checksum: args.checksum , delete: args.delete } ) ) ;
+				term.dim( "%i unchanged, %i added, %i deleted\n" , result.unchangedKeys.length , result.keys.length + result.directoryKeys.length , result.deletedKeys.length ) ;
+			}
+			catch ( error ) {
+				term.red( "%s\n" , error ) ;
+				term.red( "%E\n" , error ) ;
+			}
+			break ;
+
+		case 'delete' :
+			jsPak = new JsPak( args.archive , options ) ;
+			jsPak.on( 'fileDeleted' , key => term( "[Deleted] %s\n" , key ) ) ;
+			jsPak.on( 'directoryDeleted' , key => term( "[Del Dir] %s/\n" , key ) ) ;
+
+			try {
+				await jsPak.open( false ) ;
+				await jsPak.delete( args.keys , { force: args.force } ) ;
+			}
+			catch ( error ) {
+				term.red( "%s\n" , error ) ;
+				term.red( "%E\n" , error ) ;
+			}
+			break ;
+
+		case 'compact' : {
+			let targetPath = args.toArchive || args.archive + '.compact-tmp' ;
+			jsPak = new JsPak( args.archive , options ) ;
+
+			try {
+				await jsPak.open( false ) ;
+				let stats = await jsPak.compact( targetPath ) ;
+				await jsPak.close() ;
+				if ( ! args.toArchive ) { await fsPromise.rename( targetPath , args.archive ) ; }
+				term( "Compacted: %iB -> %iB (reclaimed %iB)\n" , stats.originalSize , stats.size , stats.reclaimed ) ;
 			}
 			catch ( error ) {
+				if ( ! args.toArchive ) { await fsPromise.unlink( targetPath ).catch( () => null ) ; }
 				term.red( "%s\n" , error ) ;
 				term.red( "%E\n" , error ) ;
 			}
 			break ;
+		}
 
 		case 'extract' :
 			jsPak = new JsPak( args.archive , options ) ;
@@ -174,7 +656,7 @@ async function cli() {
 
 			try {
 				await jsPak.open( false ) ;
-				await jsPak.extract( args.toDirectory ) ;
+				await jsPak.extract( args.toDirectory , { include: args.patterns , preserveOwnership: args.sameOwner , xattrs: args.xattrs } ) ;
 			}
 			catch ( error ) {
 				term.red( "%s\n" , error ) ;
@@ -182,6 +664,38 @@ async function cli() {
 			}
 			break ;
 
+		case 'cat' :
+			jsPak = new JsPak( args.archive , options ) ;
+
+			// The reader is gone (e.g. piped into head), else nothing more can be written: report it and exit
+			process.stdout.on( 'error' , error => {
+				if ( error.code !== 'EPIPE' ) {
+					process.stderr.write( error + "\n" ) ;
+					process.exitCode = 1 ;
+				}
+
+				process.exit() ;
+			} ) ;
+
+			try {
+				await jsPak.open( false ) ;
+				await jsPak.load() ;
+
+				for ( let key of args.keys ) {
+					let inputStream = args.raw ? jsPak.getStoredStream( key ) : jsPak.getStream( key ) ;
+					if ( ! inputStream ) { throw new Error( "File not found in the archive: " + key ) ; }
+
+					inputStream.pipe( process.stdout , { end: false } ) ;
+					await Promise.onceEventOrError( inputStream , 'end' ) ;
+				}
+			}
+			catch ( error ) {
+				// Not on stdout, which is the content
+				process.stderr.write( error + "\n" ) ;
+				process.exitCode = 1 ;
+			}
+			break ;
+
 		case 'list' :
 			jsPak = new JsPak( args.archive , options ) ;
 			try {
@@ -197,6 +711,68 @@ async function cli() {
 				for ( let key of jsPak.keys() ) {
 					term( "%s\n" , key ) ;
 				}
+
+				let stats = jsPak.getDeduplicationStats() ;
+
+				if ( stats.sharedFiles ) {
+					term.dim( "Deduplicated: %i files (saved %iB)\n" , stats.sharedFiles , stats.savedSize ) ;
+				}
+			}
+			catch ( error ) {
+				term.red( "%s\n" , error ) ;
+				term.red( "%E\n" , error ) ;
+			}
+			break ;
+
+		case 'diff' :
+			try {
+				let differences = await JsPak.diff( args.archive , args.target , Object.assign( {} , options , {
+					include: args.include , exclude: args.exclude , content: ! args.quick
+				} ) ) ;
+
+				if ( differences.length ) { process.exitCode = 1 ; }
+
+				if ( args.json ) {
+					process.stdout.write( JSON.stringify( differences , null , '\t' ) + '\n' ) ;
+					break ;
+				}
+
+				for ( let difference of differences ) {
+					let label = difference.key + ( difference.directory ? '/' : '' ) ;
+
+					switch ( difference.status ) {
+						case 'added' :
+							term.green( "+ %s\n" , label ) ;
+							break ;
+						case 'removed' :
+							term.red( "- %s\n" , label ) ;
+							break ;
+						case 'modified' :
+							term.yellow( "M %s" , label ).dim( " (%s)\n" , difference.changes.join( ', ' ) ) ;
+							break ;
+						case 'metadata' :
+							term.cyan( "m %s" , label ).dim( " (%s)\n" , difference.changes.join( ', ' ) ) ;
+							break ;
+					}
+				}
+
+				if ( ! differences.length ) { term( "No differences\n" ) ; }
+			}
+			catch ( error ) {
+				process.stderr.write( error + "\n" ) ;
+				process.exitCode = 2 ;
+			}
+			break ;
+
+		case 'import' :
+			jsPak = new JsPak( args.archive , options ) ;
+			jsPak.on( 'fileAdded' , key => term( "[Added] %s\n" , key ) ) ;
+			jsPak.on( 'directoryAdded' , key => term( "[ Dir ] %s/\n" , key ) ) ;
+
+			try {
+				await jsPak.open() ;
+				await jsPak.import( args.input , getAddOptions( args ) ) ;
+				if ( args.metaHmac ) { await jsPak.addMetaHmac() ; }
 			}
 			catch ( error ) {
 				term.red( "%s\n" , error ) ;
@@ -204,6 +780,142 @@ async function cli() {
 			}
 			break ;
 
+		case 'export' :
+			jsPak = new JsPak( args.archive , options ) ;
+
+			// The reader is gone (e.g. piped into head), else nothing more can be written: report it and exit
+			process.stdout.on( 'error' , error => {
+				if ( error.code !== 'EPIPE' ) {
+					process.stderr.write( error + "\n" ) ;
+					process.exitCode = 1 ;
+				}
+
+				process.exit() ;
+			} ) ;
+
+			try {
+				await jsPak.open( false ) ;
+
+				let outputStream = args.output ? fs.createWriteStream( args.output ) : process.stdout ;
+				let exportStream = jsPak.createExportStream( getExportFormat( args ) , { include: args.include , exclude: args.exclude } ) ;
+
+				exportStream.pipe( outputStream ) ;
+				await Promise.onceEventOrError( exportStream , 'end' ) ;
+				if ( args.output ) { await Promise.onceEventOrError( outputStream , 'finish' ) ; }
+			}
+			catch ( error ) {
+				// Not on stdout, which may be the exported archive
+				process.stderr.write( error + "\n" ) ;
+				process.exitCode = 1 ;
+			}
+			break ;
+
+		case 'info' :
+			jsPak = new JsPak( args.archive , options ) ;
+			try {
+				await jsPak.open( false ) ;
+				await jsPak.load() ;
+
+				let stats = jsPak.getDeduplicationStats() ;
+
+				term( "Format: v%i.%i\n" , jsPak.headers.majorVersion || 0 , jsPak.headers.minorVersion || 0 ) ;
+				term( "Size: %iB\n" , jsPak.eof ) ;
+				term( "Files: %i\n" , jsPak.indexMap.size ) ;
+				term( "Directories: %i\n" , jsPak.directoryMap.size ) ;
+				term( "Signed: %s\n" , jsPak.headers.signature ? 'yes' : 'no' ) ;
+				term( "Deduplicated: %i files (saved %iB)\n" , stats.sharedFiles , stats.savedSize ) ;
+			}
+			catch ( error ) {
+				term.red( "%s\n" , error ) ;
+				term.red( "%E\n" , error ) ;
+			}
+			break ;
+
+		case 'sign' :
+			jsPak = new JsPak( args.archive , options ) ;
+
+			try {
+				await jsPak.open( false ) ;
+				await jsPak.sign( await fsPromise.readFile( args.privateKey , 'utf8' ) ) ;
+				term( "Signed\n" ) ;
+			}
+			catch ( error ) {
+				term.red( "%s\n" , error ) ;
+				term.red( "%E\n" , error ) ;
+			}
+			break ;
+
+		case 'verify' : {
+			let count = {
+				ok: 0 , failed: 0 , unprotected: 0 , unchecked: 0
+			} ;
+
+			// Meta HMAC and files are verified below, reporting failures instead of throwing
+			jsPak = new JsPak( args.archive , Object.assign( {} , options , { verify: false } ) ) ;
+
+			try {
+				await jsPak.open( false ) ;
+				await jsPak.load() ;
+			}
+			catch ( error ) {
+				term.red( "%s\n" , error ) ;
+				process.exitCode = 1 ;
+				break ;
+			}
+
+			if ( jsPak.headers.metaHmac && ( args.encryptionKey || args.identity ) ) {
+				try {
+					await jsPak.verifyMetaHmac() ;
+					term( "Meta HMAC: ^gOK^:\n" ) ;
+				}
+				catch ( error ) {
+					term( "Meta HMAC: ^rFAILED^: %s\n" , error.message ) ;
+					process.exitCode = 1 ;
+				}
+			}
+			else if ( jsPak.headers.metaHmac ) {
+				term( "Meta HMAC: ^ynot checked^: (needs --encryption-key / -k)\n" ) ;
+			}
+			else {
+				term( "Meta HMAC: ^yUNPROTECTED^:\n" ) ;
+			}
+
+			if ( args.publicKey ) {
+				try {
+					await jsPak.verifySignature( await fsPromise.readFile( args.publicKey , 'utf8' ) ) ;
+					term( "Signature: ^gOK^:\n" ) ;
+				}
+				catch ( error ) {
+					term( "Signature: ^rFAILED^: %s\n" , error.message ) ;
+					process.exitCode = 1 ;
+				}
+			}
+
+			jsPak.on( 'fileVerified' , result => {
+				count[ result.status ] ++ ;
+
+				if ( result.status === 'ok' ) { term( "^gOK^:          %s\n" , result.key ) ; }
+				else if ( result.status === 'unprotected' ) { term( "^yUNPROTECTED^: %s\n" , result.key ) ; }
+				else if ( result.status === 'unchecked' ) { term( "^yNOT CHECKED^: %s (needs --encryption-key / -k or --identity / -i)\n" , result.key ) ; }
+				else { term( "^rFAILED^:      %s: %s\n" , result.key , result.error.message ) ; }
+			} ) ;
+
+			try {
+				await jsPak.verifyFiles() ;
+			}
+			catch ( error ) {
+				term.red( "%s\n" , error ) ;
+				process.exitCode = 1 ;
+				break ;
+			}
+
+			term( "%i files: %i OK, %i failed, %i unprotected, %i not checked\n" ,
+				count.ok + count.failed + count.unprotected + count.unchecked , count.ok , count.failed , count.unprotected , count.unchecked
+			) ;
+			if ( count.failed ) { process.exitCode = 1 ; }
+			break ;
+		}
+
 		case 'list-headers' :
 			jsPak = new JsPak( args.archive , options ) ;
 			try {
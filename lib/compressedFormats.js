@@ -0,0 +1,102 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const path = require( 'path' ) ;
+
+
+
+/*
+	Detect already compressed formats (media files, archives, etc), used by the auto-compression mode:
+	compressing them again is a waste of CPU and can even make them bigger.
+*/
+
+const formats = {} ;
+module.exports = formats ;
+
+
+
+const EXTENSIONS = new Set( [
+	// Images
+	'png' , 'jpg' , 'jpeg' , 'gif' , 'webp' , 'avif' , 'heic' , 'jxl' ,
+	// Audio
+	'ogg' , 'oga' , 'opus' , 'mp3' , 'aac' , 'm4a' , 'flac' , 'wma' ,
+	// Video
+	'mp4' , 'm4v' , 'mkv' , 'webm' , 'ogv' , 'avi' , 'mov' , 'wmv' ,
+	// Fonts
+	'woff' , 'woff2' ,
+	// Archives and compressed files
+	'zip' , 'gz' , 'tgz' , 'br' , 'bz2' , 'xz' , 'lz' , 'lzma' , 'zst' , '7z' , 'rar' , 'jar' , 'apk' , 'jpk' ,
+	// Documents that are zip archives
+	'docx' , 'xlsx' , 'pptx' , 'odt' , 'ods' , 'odp' , 'epub'
+] ) ;
+
+// Magic bytes and their offset
+const SIGNATURES = [
+	[ 0 , Buffer.from( [ 0x89 , 0x50 , 0x4e , 0x47 ] ) ] ,		// PNG
+	[ 0 , Buffer.from( [ 0xff , 0xd8 , 0xff ] ) ] ,				// JPEG
+	[ 0 , Buffer.from( 'GIF8' ) ] ,								// GIF
+	[ 8 , Buffer.from( 'WEBP' ) ] ,								// WebP (RIFF container)
+	[ 0 , Buffer.from( 'OggS' ) ] ,								// Ogg (Vorbis, Opus, Theora)
+	[ 0 , Buffer.from( 'ID3' ) ] ,								// MP3 with ID3 tag
+	[ 0 , Buffer.from( [ 0xff , 0xfb ] ) ] ,						// MP3 frame
+	[ 0 , Buffer.from( 'fLaC' ) ] ,								// FLAC
+	[ 4 , Buffer.from( 'ftyp' ) ] ,								// MP4, M4A, MOV, AVIF, HEIC
+	[ 0 , Buffer.from( [ 0x1a , 0x45 , 0xdf , 0xa3 ] ) ] ,		// Matroska, WebM
+	[ 0 , Buffer.from( 'wOFF' ) ] ,								// WOFF
+	[ 0 , Buffer.from( 'wOF2' ) ] ,								// WOFF2
+	[ 0 , Buffer.from( [ 0x50 , 0x4b , 0x03 , 0x04 ] ) ] ,		// Zip
+	[ 0 , Buffer.from( [ 0x1f , 0x8b ] ) ] ,						// Gzip
+	[ 0 , Buffer.from( 'BZh' ) ] ,								// Bzip2
+	[ 0 , Buffer.from( [ 0xfd , 0x37 , 0x7a , 0x58 , 0x5a , 0x00 ] ) ] ,	// XZ
+	[ 0 , Buffer.from( [ 0x28 , 0xb5 , 0x2f , 0xfd ] ) ] ,		// Zstandard
+	[ 0 , Buffer.from( [ 0x37 , 0x7a , 0xbc , 0xaf , 0x27 , 0x1c ] ) ] ,	// 7z
+	[ 0 , Buffer.from( 'Rar!' ) ] ,								// RAR
+	[ 0 , Buffer.from( 'JPK' ) ]									// JsPak
+] ;
+
+// How many bytes should be read to check magic bytes
+formats.MAGIC_SIZE = 16 ;
+
+
+
+formats.hasCompressedExtension = fileName => EXTENSIONS.has( path.extname( fileName ).slice( 1 )
+	.toLowerCase() ) ;
+
+
+
+formats.hasCompressedMagic = buffer => SIGNATURES.some( ( [ offset , signature ] ) =>
+	buffer.length >= offset + signature.length && signature.equals( buffer.slice( offset , offset + signature.length ) )
+) ;
+
+
+
+formats.isCompressed = ( fileName , buffer = null ) =>
+	formats.hasCompressedExtension( fileName ) || ( !! buffer && formats.hasCompressedMagic( buffer ) ) ;
+
@@ -53,12 +53,158 @@ const HMAC_SIZE = {
 	sha256: 32
 } ;
 
+const BLOCK_SIZE = 16 ;	// AES block size
+helper.BLOCK_SIZE = BLOCK_SIZE ;
 
+// Sizes of what is added around encrypted data (init vector) and data with an HMAC
+helper.IV_SIZE = 16 ;
+helper.HMAC_SIZE = HMAC_SIZE[ HMAC_ALGO ] ;
 
-helper.createCipherKey = ( userKey ) =>
-	crypto.createHash( 'sha256' )
+
+
+// A Buffer is a key already derived by helper.deriveKey(), a string is salt + password (legacy derivation)
+helper.createCipherKey = ( userKey ) => {
+	if ( Buffer.isBuffer( userKey ) ) { return userKey ; }
+
+	return crypto.createHash( 'sha256' )
 		.update( userKey )
 		.digest() ;
+} ;
+
+
+
+/*
+	Password-based key derivation.
+	Parameters are stored in the 'security' header, along with the salt, so they can change without breaking
+	existing archives. The cost is log2(N) for scrypt and the number of iterations for PBKDF2.
+	Since the header is read before anything can be authenticated, parameters are bounded: a crafted archive
+	should not be able to hang the process or exhaust its memory.
+*/
+
+const KEY_SIZE = 32 ;
+const SCRYPT_MAX_MEMORY = 2 ** 30 ;		// 128 * N * r bytes are needed
+
+function checkKdfParam( params , name , min , max ) {
+	var value = params[ name ] ;
+
+	if ( ! Number.isSafeInteger( value ) || value < min || value > max ) {
+		throw new RangeError( "Bad KDF parameter " + name + " '" + value + "', it should be an integer from " + min + " to " + max ) ;
+	}
+}
+
+const KDF = {
+	scrypt: {
+		defaultCost: 15 ,
+		createParams: cost => ( {
+			kdf: 'scrypt' , scryptN: 2 ** cost , scryptR: 8 , scryptP: 1
+		} ) ,
+		derive: ( password , salt , params ) => crypto.scryptSync( password , salt , KEY_SIZE , {
+			N: params.scryptN ,
+			r: params.scryptR ,
+			p: params.scryptP ,
+			maxmem: 256 * params.scryptN * params.scryptR
+		} ) ,
+		checkParams: params => {
+			checkKdfParam( params , 'scryptN' , 2 ** 10 , 2 ** 20 ) ;
+			checkKdfParam( params , 'scryptR' , 1 , 32 ) ;
+			checkKdfParam( params , 'scryptP' , 1 , 16 ) ;
+
+			if ( params.scryptN & ( params.scryptN - 1 ) ) {
+				throw new RangeError( "Bad KDF parameter scryptN '" + params.scryptN + "', it should be a power of 2" ) ;
+			}
+
+			if ( 128 * params.scryptN * params.scryptR > SCRYPT_MAX_MEMORY ) {
+				throw new RangeError( 'Bad KDF parameters, scrypt would need more than ' + SCRYPT_MAX_MEMORY + ' bytes of memory' ) ;
+			}
+		}
+	} ,
+	pbkdf2: {
+		defaultCost: 210000 ,
+		createParams: cost => ( {
+			kdf: 'pbkdf2' , pbkdf2Iterations: cost , pbkdf2Digest: 'sha512'
+		} ) ,
+		derive: ( password , salt , params ) =>
+			crypto.pbkdf2Sync( password , salt , params.pbkdf2Iterations , KEY_SIZE , params.pbkdf2Digest ) ,
+		checkParams: params => {
+			checkKdfParam( params , 'pbkdf2Iterations' , 1000 , 10000000 ) ;
+
+			if ( params.pbkdf2Digest !== 'sha256' && params.pbkdf2Digest !== 'sha512' ) {
+				throw new RangeError( "Bad KDF parameter pbkdf2Digest '" + params.pbkdf2Digest + "', it should be sha256 or sha512" ) ;
+			}
+		}
+	}
+} ;
+
+helper.DEFAULT_KDF = 'scrypt' ;
+
+
+
+// Create KDF parameters, to be stored in the 'security' header
+helper.createKdfParams = ( kdf = helper.DEFAULT_KDF , cost = null ) => {
+	if ( ! KDF[ kdf ] ) { throw new Error( "Unsupported KDF '" + kdf + "'" ) ; }
+
+	var params = KDF[ kdf ].createParams( cost || KDF[ kdf ].defaultCost ) ;
+	KDF[ kdf ].checkParams( params ) ;
+
+	return params ;
+} ;
+
+
+
+// Extract KDF parameters from the 'security' header, return null for the legacy derivation
+helper.getKdfParams = ( security ) => {
+	if ( ! security.kdf ) { return null ; }
+	if ( ! KDF[ security.kdf ] ) { throw new Error( "Unsupported KDF '" + security.kdf + "'" ) ; }
+
+	var params = KDF[ security.kdf ].createParams( 1 ) ;
+	Object.keys( params ).forEach( key => params[ key ] = security[ key ] ) ;
+	KDF[ security.kdf ].checkParams( params ) ;
+
+	return params ;
+} ;
+
+
+
+// Should be turned into real async key derivation
+helper.deriveKey = ( password , salt , params ) => {
+	if ( ! KDF[ params.kdf ] ) { throw new Error( "Unsupported KDF '" + params.kdf + "'" ) ; }
+	KDF[ params.kdf ].checkParams( params ) ;
+	return KDF[ params.kdf ].derive( password , salt , params ) ;
+} ;
+
+
+
+/*
+	HKDF (RFC 5869) with SHA-256, used to derive independent keys for the cipher and the HMAC from the same user key,
+	so a key is never reused across primitives.
+	Implemented with HMAC because crypto.hkdfSync() is not available on all supported Node.js versions.
+*/
+helper.hkdf = ( inputKey , info , size = 32 , salt = Buffer.alloc( 32 ) ) => {
+	var block = Buffer.alloc( 0 ) ,
+		blocks = [] ,
+		pseudoRandomKey = crypto.createHmac( 'sha256' , salt ).update( inputKey )
+			.digest() ;
+
+	for ( let i = 1 ; i <= Math.ceil( size / 32 ) ; i ++ ) {
+		block = crypto.createHmac( 'sha256' , pseudoRandomKey ).update( Buffer.concat( [ block , Buffer.from( info ) , Buffer.from( [ i ] ) ] ) )
+			.digest() ;
+		blocks.push( block ) ;
+	}
+
+	return Buffer.concat( blocks ).slice( 0 , size ) ;
+} ;
+
+
+
+// Split a user key into a cipher key and an HMAC key
+helper.splitKey = ( userKey ) => {
+	var masterKey = helper.createCipherKey( userKey ) ;
+
+	return {
+		cipherKey: helper.hkdf( masterKey , 'JsPak cipher key' ) ,
+		macKey: helper.hkdf( masterKey , 'JsPak HMAC key' )
+	} ;
+} ;
 
 
 
@@ -87,7 +233,11 @@ helper.encryptBuffer = async ( buffer , userKey ) => {
 
 
 // Should be turned into real async decryption
-helper.decryptBuffer = async ( buffer , userKey ) => {
+helper.decryptBuffer = async ( buffer , userKey ) => helper.decryptBufferSync( buffer , userKey ) ;
+
+
+
+helper.decryptBufferSync = ( buffer , userKey ) => {
 	// Create the real cipher key from the user key/password
 	var cipherKey = helper.createCipherKey( userKey ) ;
 
@@ -108,6 +258,66 @@ helper.decryptBuffer = async ( buffer , userKey ) => {
 
 
 
+/*
+	Decipher starting at any position of the encrypted data (AES-CTR is seekable, the counter is advanced from the IV).
+	The input should start at the 16B block containing the position (i.e. position - position % 16 bytes after the IV),
+	the deciphered bytes before the position are dropped.
+*/
+function DecipherRangeStream( userKey , initVector , position ) {
+	stream.Transform.call( this ) ;
+
+	var blocks = Math.floor( position / BLOCK_SIZE ) ;
+
+	this.skip = position % BLOCK_SIZE ;
+	this.decipher = crypto.createDecipheriv( CIPHER_ALGO , helper.createCipherKey( userKey ) , addToCounter( initVector , blocks ) ) ;
+}
+
+DecipherRangeStream.prototype = Object.create( stream.Transform.prototype ) ;
+DecipherRangeStream.prototype.constructor = DecipherRangeStream ;
+
+helper.DecipherRangeStream = DecipherRangeStream ;
+
+
+
+DecipherRangeStream.prototype._transform = function( buffer , encoding , callback ) {
+	buffer = this.decipher.update( buffer ) ;
+
+	if ( this.skip ) {
+		let skipped = Math.min( this.skip , buffer.length ) ;
+		buffer = buffer.slice( skipped ) ;
+		this.skip -= skipped ;
+	}
+
+	if ( buffer.length ) { this.push( buffer ) ; }
+	callback() ;
+} ;
+
+
+
+DecipherRangeStream.prototype._flush = function( callback ) {
+	var buffer = this.decipher.final() ;
+	if ( buffer.length ) { this.push( buffer ) ; }
+	callback() ;
+} ;
+
+
+
+// Add a number of blocks to the 128 bits big-endian counter of AES-CTR
+function addToCounter( initVector , blocks ) {
+	var i , sum ,
+		counter = Buffer.from( initVector ) ;
+
+	for ( i = BLOCK_SIZE - 1 ; i >= 0 && blocks ; i -- ) {
+		sum = counter[ i ] + ( blocks % 256 ) ;
+		counter[ i ] = sum & 0xff ;
+		blocks = Math.floor( blocks / 256 ) + ( sum >> 8 ) ;
+	}
+
+	return counter ;
+}
+
+
+
 function CipherStream( userKey ) {
 	stream.Transform.call( this ) ;
 
@@ -229,7 +439,11 @@ helper.appendHmacBuffer = async ( buffer , userKey ) => {
 
 
 // Remove HMAC from a buffer, plus check it if verify=true
-helper.deHmacBuffer = async ( buffer , verify , userKey ) => {
+helper.deHmacBuffer = async ( buffer , verify , userKey ) => helper.deHmacBufferSync( buffer , verify , userKey ) ;
+
+
+
+helper.deHmacBufferSync = ( buffer , verify , userKey ) => {
 	var hmacSize = HMAC_SIZE[ HMAC_ALGO ] ;
 
 	// Create the new (decrypted) buffer
@@ -324,10 +538,10 @@ DeHmacStream.prototype._transform = function( buffer , encoding , callback ) {
 		this.lastBuffer = buffer ;
 	}
 	else if ( this.lastBuffer ) {
-		this.lastBuffer = Buffer.concat( this.lastBuffer , buffer ) ;
+		this.lastBuffer = Buffer.concat( [ this.lastBuffer , buffer ] ) ;
 
 		// Avoid edge case where buffer is always small, but there are plenty of call
-		if ( this.lastBuffer >= BUFFER_LIMIT ) {
+		if ( this.lastBuffer.length >= BUFFER_LIMIT ) {
 			let toSend = this.lastBuffer.slice( 0 , this.lastBuffer.length - this.hmacSize ) ;
 			this.lastBuffer = this.lastBuffer.slice( this.lastBuffer.length - this.hmacSize ) ;
 			if ( this.hmac ) { this.hmac.update( toSend ) ; }
@@ -368,3 +582,217 @@ DeHmacStream.prototype._flush = function( callback ) {
 	callback() ;
 } ;
 
+
+
+
+/*
+	Asymmetric encryption: files are encrypted with a random content key, wrapped for each recipient public key,
+	any holder of a matching private key can unwrap it.
+		- RSA keys use RSA-OAEP (SHA-256)
+		- X25519 keys use an ephemeral X25519 key agreement, HKDF and AES-256-GCM
+	A wrapped key is an object: { type , keyId , wrappedKey [, ephemeralKey] } (buffers are base64 encoded).
+*/
+
+const CONTENT_KEY_SIZE = 32 ;
+const WRAP_CIPHER_ALGO = 'aes-256-gcm' ;
+
+
+
+// Create a random content key
+helper.createContentKey = () => crypto.randomBytes( CONTENT_KEY_SIZE ) ;
+
+
+
+// Identify a public key, by the hash of its DER encoding
+helper.getKeyId = ( publicKey ) => {
+	if ( publicKey.type !== 'public' ) { publicKey = crypto.createPublicKey( publicKey ) ; }
+	return crypto.createHash( 'sha256' ).update( publicKey.export( { type: 'spki' , format: 'der' } ) )
+		.digest()
+		.slice( 0 , 16 )
+		.toString( 'base64' ) ;
+} ;
+
+
+
+helper.wrapKey = ( contentKey , publicKey ) => {
+	var ephemeral , wrapKey , initVector , cipher ;
+
+	if ( publicKey.type !== 'public' ) { publicKey = crypto.createPublicKey( publicKey ) ; }
+
+	switch ( publicKey.asymmetricKeyType ) {
+		case 'rsa' :
+			return {
+				type: 'rsa-oaep' ,
+				keyId: helper.getKeyId( publicKey ) ,
+				wrappedKey: crypto.publicEncrypt(
+					{ key: publicKey , padding: crypto.constants.RSA_PKCS1_OAEP_PADDING , oaepHash: 'sha256' } ,
+					contentKey
+				).toString( 'base64' )
+			} ;
+
+		case 'x25519' :
+			ephemeral = crypto.generateKeyPairSync( 'x25519' ) ;
+			wrapKey = x25519WrapKey( ephemeral.privateKey , publicKey , ephemeral.publicKey , publicKey ) ;
+			initVector = crypto.randomBytes( 12 ) ;
+			cipher = crypto.createCipheriv( WRAP_CIPHER_ALGO , wrapKey , initVector ) ;
+
+			return {
+				type: 'x25519' ,
+				keyId: helper.getKeyId( publicKey ) ,
+				ephemeralKey: ephemeral.publicKey.export( { type: 'spki' , format: 'der' } ).toString( 'base64' ) ,
+				wrappedKey: Buffer.concat( [ initVector , cipher.update( contentKey ) , cipher.final() , cipher.getAuthTag() ] ).toString( 'base64' )
+			} ;
+
+		default :
+			throw new Error( "Unsupported public key type '" + publicKey.asymmetricKeyType + "' (should be RSA or X25519)" ) ;
+	}
+} ;
+
+
+
+// Find the wrapped key matching the private key and unwrap it, return null if the private key is not a recipient
+helper.unwrapKey = ( wrappedKeys , privateKey ) => {
+	var publicKey , keyId , wrapped , ephemeralKey , buffer , wrapKey , decipher ;
+
+	privateKey = crypto.createPrivateKey( privateKey ) ;
+	publicKey = crypto.createPublicKey( privateKey ) ;
+	keyId = helper.getKeyId( publicKey ) ;
+	wrapped = wrappedKeys.find( e => e.keyId === keyId ) ;
+
+	if ( ! wrapped ) { return null ; }
+
+	buffer = Buffer.from( wrapped.wrappedKey , 'base64' ) ;
+
+	switch ( wrapped.type ) {
+		case 'rsa-oaep' :
+			return crypto.privateDecrypt(
+				{ key: privateKey , padding: crypto.constants.RSA_PKCS1_OAEP_PADDING , oaepHash: 'sha256' } ,
+				buffer
+			) ;
+
+		case 'x25519' :
+			ephemeralKey = crypto.createPublicKey( { key: Buffer.from( wrapped.ephemeralKey , 'base64' ) , type: 'spki' , format: 'der' } ) ;
+			wrapKey = x25519WrapKey( privateKey , ephemeralKey , ephemeralKey , publicKey ) ;
+			decipher = crypto.createDecipheriv( WRAP_CIPHER_ALGO , wrapKey , buffer.slice( 0 , 12 ) ) ;
+			decipher.setAuthTag( buffer.slice( buffer.length - 16 ) ) ;
+			return Buffer.concat( [ decipher.update( buffer.slice( 12 , buffer.length - 16 ) ) , decipher.final() ] ) ;
+
+		default :
+			throw new Error( "Unsupported wrapped key type '" + wrapped.type + "'" ) ;
+	}
+} ;
+
+
+
+// The wrap key is derived from the shared secret, bound to both public keys
+function x25519WrapKey( privateKey , publicKey , ephemeralPublicKey , recipientPublicKey ) {
+	var sharedSecret = crypto.diffieHellman( { privateKey , publicKey } ) ,
+		salt = Buffer.concat( [
+			ephemeralPublicKey.export( { type: 'spki' , format: 'der' } ) ,
+			recipientPublicKey.export( { type: 'spki' , format: 'der' } )
+		] ) ;
+
+	return helper.hkdf( sharedSecret , 'JsPak X25519 key wrap' , 32 , salt ) ;
+}
+
+
+
+
+/*
+	Digital signatures: Ed25519, Ed448 or ECDSA (SHA-256), only the public key is needed to verify.
+	A signature is an object: { type , keyId , signature } (the signature is base64 encoded).
+*/
+
+const SIGNATURE_DIGEST = {
+	ed25519: null ,
+	ed448: null ,
+	ec: 'sha256'
+} ;
+
+
+
+helper.createHash = () => crypto.createHash( 'sha256' ) ;
+
+
+
+// Throw if the hex SHA-256 of the buffer is not the expected one
+helper.checkDigest = ( buffer , expectedDigest ) => {
+	var hash = helper.createHash() ;
+	hash.update( buffer ) ;
+
+	if ( hash.digest( 'hex' ) !== expectedDigest ) {
+		throw new Error( 'Digest mismatch! The file is corrupted!' ) ;
+	}
+} ;
+
+
+
+// Pass-through stream emitting an error at the end if the hex SHA-256 of the data is not the expected one
+function DigestCheckStream( expectedDigest ) {
+	stream.Transform.call( this ) ;
+	this.expectedDigest = expectedDigest ;
+	this.hash = helper.createHash() ;
+	this.digestMatch = null ;
+}
+
+DigestCheckStream.prototype = Object.create( stream.Transform.prototype ) ;
+DigestCheckStream.prototype.constructor = DigestCheckStream ;
+
+helper.DigestCheckStream = DigestCheckStream ;
+
+
+
+DigestCheckStream.prototype._transform = function( buffer , encoding , callback ) {
+	this.hash.update( buffer ) ;
+	this.push( buffer ) ;
+	callback() ;
+} ;
+
+
+
+DigestCheckStream.prototype._flush = function( callback ) {
+	this.digestMatch = this.hash.digest( 'hex' ) === this.expectedDigest ;
+
+	if ( ! this.digestMatch ) {
+		callback( new Error( 'Bad stream: digest mismatch! The file is corrupted!' ) ) ;
+		return ;
+	}
+
+	callback() ;
+} ;
+
+
+
+helper.sign = ( data , privateKey ) => {
+	var type ;
+
+	if ( privateKey.type !== 'private' ) { privateKey = crypto.createPrivateKey( privateKey ) ; }
+	type = privateKey.asymmetricKeyType ;
+
+	if ( SIGNATURE_DIGEST[ type ] === undefined ) {
+		throw new Error( "Unsupported private key type '" + type + "' (should be Ed25519, Ed448 or ECDSA)" ) ;
+	}
+
+	return {
+		type ,
+		keyId: helper.getKeyId( privateKey ) ,
+		signature: crypto.sign( SIGNATURE_DIGEST[ type ] , data , privateKey ).toString( 'base64' )
+	} ;
+} ;
+
+
+
+// Return true if the signature object was produced by the private key matching the public key
+helper.verifySignature = ( data , signature , publicKey ) => {
+	if ( publicKey.type !== 'public' ) { publicKey = crypto.createPublicKey( publicKey ) ; }
+
+	if (
+		! signature || typeof signature.signature !== 'string'
+		|| signature.type !== publicKey.asymmetricKeyType || SIGNATURE_DIGEST[ signature.type ] === undefined
+	) {
+		return false ;
+	}
+
+	return crypto.verify( SIGNATURE_DIGEST[ signature.type ] , data , publicKey , Buffer.from( signature.signature , 'base64' ) ) ;
+} ;
+
@@ -0,0 +1,247 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const JsPak = require( './JsPak.js' ) ;
+const cryptoHelper = require( './cryptoHelper.js' ) ;
+const createKeyFilter = require( './keyFilter.js' ) ;
+
+const path = require( 'path' ) ;
+const fs = require( 'fs' ) ;
+
+
+
+/*
+	Compare an archive with another archive or a directory, e.g. two builds, or an extracted install with its pack.
+
+	source: an archive path, Buffer, URL or JsPak instance
+	target: the same, or a directory path
+	options: options passed to the JsPak constructor, plus:
+		include , exclude: only compare those keys, see keyFilter.js
+		content: if false, don't compare the content of files present on both sides (default: true),
+			the content is compared with the SHA-256 digest of entries when known, else it is decoded and hashed
+
+	Return an array of changes sorted by key, each one is an object:
+		key: the key of the file or directory
+		directory: true for a directory
+		status: 'added' (only in target), 'removed' (only in source), 'modified' (the type or the content changed),
+			or 'metadata' (only the mode or the mtime changed)
+		changes: for 'modified' and 'metadata', an array of 'type', 'content', 'mode' and 'mtime'
+*/
+async function diff( source , target , options = {} ) {
+	var sourceSide , targetSide , key , sourceEntry , targetEntry , changes ,
+		filter = createKeyFilter( options.include , options.exclude ) ,
+		results = [] ;
+
+	try {
+		sourceSide = await openArchiveSide( source , options ) ;
+		targetSide = ! ( target instanceof JsPak ) && typeof target === 'string' && await isDirectory( target ) ?
+			await openDirectorySide( target , filter ) :
+			await openArchiveSide( target , options ) ;
+
+		for ( [ key , sourceEntry ] of sourceSide.entries ) {
+			if ( filter && ! filter( key ) ) { continue ; }
+			targetEntry = targetSide.entries.get( key ) ;
+
+			if ( ! targetEntry || targetEntry.directory !== sourceEntry.directory ) {
+				results.push( { key , directory: sourceEntry.directory , status: 'removed' } ) ;
+				continue ;
+			}
+
+			changes = [] ;
+
+			if ( targetEntry.type !== sourceEntry.type ) {
+				changes.push( 'type' ) ;
+			}
+			else if ( ! sourceEntry.directory && options.content !== false && ! await isSameContent( sourceSide , sourceEntry , targetSide , targetEntry ) ) {
+				changes.push( 'content' ) ;
+			}
+
+			if ( targetEntry.mode !== sourceEntry.mode ) { changes.push( 'mode' ) ; }
+			if ( targetEntry.mtime !== sourceEntry.mtime ) { changes.push( 'mtime' ) ; }
+
+			if ( changes.length ) {
+				results.push( {
+					key ,
+					directory: sourceEntry.directory ,
+					status: changes[ 0 ] === 'type' || changes[ 0 ] === 'content' ? 'modified' : 'metadata' ,
+					changes
+				} ) ;
+			}
+		}
+
+		for ( [ key , targetEntry ] of targetSide.entries ) {
+			if ( filter && ! filter( key ) ) { continue ; }
+			sourceEntry = sourceSide.entries.get( key ) ;
+
+			if ( ! sourceEntry || sourceEntry.directory !== targetEntry.directory ) {
+				results.push( { key , directory: targetEntry.directory , status: 'added' } ) ;
+			}
+		}
+	}
+	finally {
+		if ( sourceSide ) { await sourceSide.close() ; }
+		if ( targetSide ) { await targetSide.close() ; }
+	}
+
+	return results.sort( ( a , b ) => a.key < b.key ? -1 : a.key > b.key ? 1 : a.directory - b.directory ) ;
+}
+
+module.exports = diff ;
+
+
+
+/*
+	A side of the diff:
+		entries: a Map of key => { key , directory , type , mode , mtime , size , sha256 }, where type is 'file', 'symlink'
+			or 'directory', mode only has permission bits, mtime is a timestamp, size and sha256 are set when known
+		getDigest(): resolve to the hex SHA-256 of the content of an entry
+		close()
+*/
+
+async function openArchiveSide( archive , options ) {
+	var key , index , directory , type ,
+		jsPak = archive ,
+		entries = new Map() ;
+
+	if ( ! ( archive instanceof JsPak ) ) {
+		jsPak = new JsPak( archive , Object.assign( {} , options , { readOnly: true } ) ) ;
+		await jsPak.open( false ) ;
+	}
+
+	await jsPak.load() ;
+
+	for ( key of jsPak.directoryKeys() ) {
+		directory = jsPak.getDirectoryMeta( key ) ;
+		entries.set( key , {
+			key , directory: true , type: 'directory' , mode: directory.mode & 0o7777 , mtime: directory.mtime.getTime()
+		} ) ;
+	}
+
+	for ( key of jsPak.keys() ) {
+		index = jsPak.getMeta( key ) ;
+		type = ( index.mode & S_IFMT ) === S_IFLNK ? 'symlink' : 'file' ;	// hardlinks are regular files too
+		entries.set( key , {
+			key ,
+			directory: false ,
+			type ,
+			mode: index.mode & 0o7777 ,
+			mtime: index.mtime.getTime() ,
+			size: index.compression ? undefined : jsPak.getPlainSize( index ) ,
+			sha256: index.sha256
+		} ) ;
+	}
+
+	return {
+		entries ,
+		getDigest: entry => entry.sha256 || hashStream( jsPak.getStream( entry.key ) ) ,
+		// Only close archives opened here
+		close: async () => { if ( jsPak !== archive ) { await jsPak.close() ; } }
+	} ;
+}
+
+
+
+async function openDirectorySide( rootPath , filter ) {
+	var directoryKey , child , key , stats , type ,
+		entries = new Map() ,
+		directoryKeys = [ '' ] ;
+
+	while ( directoryKeys.length ) {
+		directoryKey = directoryKeys.shift() ;
+
+		for ( child of await fs.promises.readdir( path.join( rootPath , directoryKey ) ) ) {
+			key = directoryKey ? directoryKey + '/' + child : child ;
+			stats = await fs.promises.lstat( path.join( rootPath , key ) ) ;
+			type = stats.isDirectory() ? 'directory' : stats.isSymbolicLink() ? 'symlink' : 'file' ;
+
+			if ( type === 'directory' ) {
+				// Don't read excluded directories
+				if ( filter && filter.isExcluded( key ) ) { continue ; }
+				directoryKeys.push( key ) ;
+			}
+
+			entries.set( key , {
+				key ,
+				directory: type === 'directory' ,
+				type ,
+				mode: stats.mode & 0o7777 ,
+				mtime: stats.mtime.getTime() ,
+				size: type === 'file' ? stats.size : undefined
+			} ) ;
+		}
+	}
+
+	return {
+		entries ,
+		getDigest: async ( entry ) => {
+			var filePath = path.join( rootPath , entry.key ) ;
+
+			if ( entry.type === 'symlink' ) {
+				return cryptoHelper.createHash().update( await fs.promises.readlink( filePath ) )
+					.digest( 'hex' ) ;
+			}
+
+			return hashStream( fs.createReadStream( filePath ) ) ;
+		} ,
+		close: async () => {}
+	} ;
+}
+
+
+
+async function isSameContent( sourceSide , sourceEntry , targetSide , targetEntry ) {
+	if ( sourceEntry.size !== undefined && targetEntry.size !== undefined && sourceEntry.size !== targetEntry.size ) { return false ; }
+	return await sourceSide.getDigest( sourceEntry ) === await targetSide.getDigest( targetEntry ) ;
+}
+
+
+
+async function hashStream( stream ) {
+	var chunk , hash = cryptoHelper.createHash() ;
+	for await ( chunk of stream ) { hash.update( chunk ) ; }
+	return hash.digest( 'hex' ) ;
+}
+
+
+
+async function isDirectory( filePath ) {
+	try {
+		return ( await fs.promises.stat( filePath ) ).isDirectory() ;
+	}
+	catch ( error ) {
+		return false ;
+	}
+}
+
+
+
+const S_IFMT = 0o170000 ;
+const S_IFLNK = 0o120000 ;
+
@@ -0,0 +1,122 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const fs = require( 'fs' ) ;
+
+
+
+/*
+	Ownership and extended attributes of files.
+	User and group names are read from /etc/passwd and /etc/group (Node has no getpwuid()),
+	extended attributes need the optional 'fs-xattr' package (v0.3, the last one usable with require()).
+*/
+
+const attributes = {} ;
+module.exports = attributes ;
+
+
+
+var users = null ,
+	groups = null ;
+
+// Parse a /etc/passwd-like file, return a Map of name => id and a Map of id => name
+function parseIdFile( filePath ) {
+	var idToName = new Map() , nameToId = new Map() ;
+
+	try {
+		let lines = fs.readFileSync( filePath , 'utf8' ).split( '\n' ) ;
+
+		lines.forEach( line => {
+			var [ name , , id ] = line.split( ':' ) ;
+			id = parseInt( id , 10 ) ;
+			if ( ! name || Number.isNaN( id ) ) { return ; }
+			if ( ! idToName.has( id ) ) { idToName.set( id , name ) ; }
+			if ( ! nameToId.has( name ) ) { nameToId.set( name , id ) ; }
+		} ) ;
+	}
+	catch ( error ) {
+		// No such file (e.g. not an Unix system): names are not available
+	}
+
+	return { idToName , nameToId } ;
+}
+
+function getUsers() { return users || ( users = parseIdFile( '/etc/passwd' ) ) ; }
+function getGroups() { return groups || ( groups = parseIdFile( '/etc/group' ) ) ; }
+
+
+
+attributes.getUserName = uid => getUsers().idToName.get( uid ) ;
+attributes.getGroupName = gid => getGroups().idToName.get( gid ) ;
+attributes.getUid = userName => getUsers().nameToId.get( userName ) ;
+attributes.getGid = groupName => getGroups().nameToId.get( groupName ) ;
+
+
+
+var xattr = null ;
+
+function getXattrModule() {
+	if ( ! xattr ) {
+		try {
+			xattr = require( 'fs-xattr' ) ;
+		}
+		catch ( error ) {
+			throw new Error( "Extended attributes need the optional 'fs-xattr' package to be installed" ) ;
+		}
+	}
+
+	return xattr ;
+}
+
+
+
+// Return an object of name => Buffer
+attributes.getXattrs = async ( filePath ) => {
+	var name , xattrs = {} ,
+		module_ = getXattrModule() ;
+
+	for ( name of await module_.list( filePath ) ) {
+		xattrs[ name ] = await module_.get( filePath , name ) ;
+	}
+
+	return xattrs ;
+} ;
+
+
+
+attributes.setXattrs = async ( filePath , xattrs ) => {
+	var name ,
+		module_ = getXattrModule() ;
+
+	for ( name of Object.keys( xattrs ) ) {
+		await module_.set( filePath , name , xattrs[ name ] ) ;
+	}
+} ;
+
@@ -0,0 +1,137 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const minimatch = require( 'minimatch' ) ;
+
+const path = require( 'path' ) ;
+const fs = require( 'fs' ) ;
+
+
+
+/*
+	Ignore files (.jpkignore) of directories added to an archive, using the gitignore syntax:
+		- blank lines and lines starting with a '#' are ignored, a leading '\' escapes a '#' or a '!'
+		- a pattern starting with a '!' re-includes what a previous pattern excluded
+		- a pattern ending with a '/' only matches directories
+		- a pattern containing a '/' (except at the end) is relative to the directory of the ignore file,
+		  otherwise it matches a file name at any level below it
+	An ignore file applies to its whole directory, the last matching pattern wins, so deeper ignore files take precedence.
+	Like git, a file can't be re-included if one of its parent directories is excluded, since it is not read at all.
+*/
+
+const ignoreRules = {} ;
+module.exports = ignoreRules ;
+
+
+
+ignoreRules.FILE_NAME = '.jpkignore' ;
+
+
+
+// Parse the content of an ignore file, return an array of rules
+ignoreRules.parse = content => {
+	var rules = [] ;
+
+	content.split( /\r?\n/ ).forEach( line => {
+		var negate = false , directoryOnly = false , anchored ;
+
+		// Trailing spaces are ignored, unless escaped
+		line = line.replace( /(^|[^\\])\s+$/ , '$1' ) ;
+		if ( ! line || line[ 0 ] === '#' ) { return ; }
+
+		if ( line[ 0 ] === '!' ) {
+			negate = true ;
+			line = line.slice( 1 ) ;
+		}
+		else if ( line[ 0 ] === '\\' ) {
+			line = line.slice( 1 ) ;
+		}
+
+		if ( line.endsWith( '/' ) ) {
+			directoryOnly = true ;
+			line = line.replace( /\/+$/ , '' ) ;
+		}
+
+		anchored = line.includes( '/' ) ;
+		line = line.replace( /^\/+/ , '' ) ;
+		if ( ! line ) { return ; }
+
+		rules.push( {
+			negate ,
+			directoryOnly ,
+			glob: new minimatch.Minimatch( anchored ? line : '**/' + line , { dot: true } )
+		} ) ;
+	} ) ;
+
+	return rules ;
+} ;
+
+
+
+// Load the ignore file of a directory, return an array of rules, or null if there is no ignore file
+ignoreRules.load = async ( directoryPath , fileName = ignoreRules.FILE_NAME ) => {
+	var content ;
+
+	try {
+		content = await fs.promises.readFile( path.join( directoryPath , fileName ) , 'utf8' ) ;
+	}
+	catch ( error ) {
+		if ( error.code === 'ENOENT' || error.code === 'ENOTDIR' ) { return null ; }
+		throw error ;
+	}
+
+	return ignoreRules.parse( content ) ;
+} ;
+
+
+
+/*
+	Check a path against ignore files.
+	ruleSets: an array of { directoryPath , rules }, the outermost directory first
+	Return true if the path is ignored.
+*/
+ignoreRules.isIgnored = ( ruleSets , filePath , isDirectory ) => {
+	var ruleSet , rule , relativePath ,
+		ignored = false ;
+
+	for ( ruleSet of ruleSets ) {
+		relativePath = path.relative( ruleSet.directoryPath , filePath ) ;
+		if ( path.sep !== '/' ) { relativePath = relativePath.split( path.sep ).join( '/' ) ; }
+
+		for ( rule of ruleSet.rules ) {
+			if ( ( ! rule.directoryOnly || isDirectory ) && rule.glob.match( relativePath ) ) {
+				ignored = ! rule.negate ;
+			}
+		}
+	}
+
+	return ignored ;
+} ;
+
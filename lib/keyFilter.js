@@ -0,0 +1,88 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const minimatch = require( 'minimatch' ) ;
+
+
+
+/*
+	Create a function selecting archive keys, returning true for the keys to keep.
+	include and exclude are a string or an array of strings, each one is either:
+		- an explicit key, also selecting everything below it if it's a directory
+		- a glob pattern (minimatch syntax, '**' matches any depth of directories), wildcards match dot-files too
+	An include pattern starting with a '!' is an exclude pattern.
+	A key is selected if it matches any include pattern (or if there is none), and no exclude pattern.
+	Return null if there is nothing to filter.
+	The returned function also has an isExcluded() method, only checking exclude patterns.
+*/
+function createKeyFilter( include , exclude ) {
+	var includeMatchers = [] , excludeMatchers = [] ;
+
+	toArray( include ).forEach( pattern => {
+		if ( pattern[ 0 ] === '!' ) { excludeMatchers.push( createMatcher( pattern.slice( 1 ) ) ) ; }
+		else { includeMatchers.push( createMatcher( pattern ) ) ; }
+	} ) ;
+
+	toArray( exclude ).forEach( pattern => excludeMatchers.push( createMatcher( pattern ) ) ) ;
+
+	if ( ! includeMatchers.length && ! excludeMatchers.length ) { return null ; }
+
+	var filter = key =>
+		( ! includeMatchers.length || includeMatchers.some( matcher => matcher( key ) ) )
+		&& ! filter.isExcluded( key ) ;
+
+	// Only check exclude patterns, e.g. to prune directories, while include patterns are for the files inside them
+	filter.isExcluded = key => excludeMatchers.some( matcher => matcher( key ) ) ;
+
+	return filter ;
+}
+
+module.exports = createKeyFilter ;
+
+
+
+function toArray( patterns ) {
+	if ( ! patterns ) { return [] ; }
+	if ( ! Array.isArray( patterns ) ) { patterns = [ patterns ] ; }
+	return patterns.filter( pattern => pattern && typeof pattern === 'string' ) ;
+}
+
+
+
+function createMatcher( pattern ) {
+	var glob ;
+
+	// Keys have no leading or trailing slash
+	pattern = pattern.replace( /^\.?\/+|\/+$/g , '' ) ;
+	glob = new minimatch.Minimatch( pattern , { dot: true } ) ;
+
+	return key => key === pattern || key.startsWith( pattern + '/' ) || glob.match( key ) ;
+}
+
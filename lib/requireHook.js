@@ -0,0 +1,239 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const Module = require( 'module' ) ;
+const path = require( 'path' ) ;
+
+
+
+/*
+	Hijack require(): modules inside mounted archives are resolved and loaded from the archive,
+	with priority over local files.
+*/
+
+const hook = {} ;
+module.exports = hook ;
+
+
+
+// Mounted archives, the last mounted comes first
+const mounts = [] ;
+
+var originalResolveFilename = null ,
+	originalJsLoader = null ,
+	originalJsonLoader = null ;
+
+
+
+hook.mount = ( jsPak , directory ) => {
+	hook.unmount( jsPak ) ;
+	mounts.unshift( { jsPak , directory } ) ;
+	if ( ! originalResolveFilename ) { install() ; }
+} ;
+
+
+
+hook.unmount = ( jsPak ) => {
+	var index = mounts.findIndex( mount => mount.jsPak === jsPak ) ;
+	if ( index === -1 ) { return ; }
+	mounts.splice( index , 1 ) ;
+	if ( ! mounts.length ) { uninstall() ; }
+} ;
+
+
+
+function install() {
+	originalResolveFilename = Module._resolveFilename ;
+	originalJsLoader = Module._extensions['.js'] ;
+	originalJsonLoader = Module._extensions['.json'] ;
+
+	Module._resolveFilename = resolveFilename ;
+	Module._extensions['.js'] = jsLoader ;
+	Module._extensions['.json'] = jsonLoader ;
+}
+
+
+
+function uninstall() {
+	Module._resolveFilename = originalResolveFilename ;
+	Module._extensions['.js'] = originalJsLoader ;
+	Module._extensions['.json'] = originalJsonLoader ;
+
+	originalResolveFilename = originalJsLoader = originalJsonLoader = null ;
+}
+
+
+
+function resolveFilename( request , parent , ... args ) {
+	return resolveMounted( request , parent ) || originalResolveFilename.call( this , request , parent , ... args ) ;
+}
+
+
+
+function jsLoader( module_ , filename ) {
+	var mounted = findMounted( filename ) ;
+	if ( ! mounted ) { return originalJsLoader.call( this , module_ , filename ) ; }
+	module_._compile( stripBom( mounted.jsPak.getBufferSync( mounted.key ).toString() ) , filename ) ;
+}
+
+
+
+function jsonLoader( module_ , filename ) {
+	var mounted = findMounted( filename ) ;
+	if ( ! mounted ) { return originalJsonLoader.call( this , module_ , filename ) ; }
+
+	try {
+		module_.exports = JSON.parse( stripBom( mounted.jsPak.getBufferSync( mounted.key ).toString() ) ) ;
+	}
+	catch ( error ) {
+		error.message = filename + ': ' + error.message ;
+		throw error ;
+	}
+}
+
+
+
+function stripBom( content ) {
+	return content.charCodeAt( 0 ) === 0xfeff ? content.slice( 1 ) : content ;
+}
+
+
+
+// Return the key relative to the mount directory, or null if the path is outside
+function mountKey( mount , filePath ) {
+	var key = path.relative( mount.directory , filePath ) ;
+	if ( key === '..' || key.startsWith( '..' + path.sep ) || path.isAbsolute( key ) ) { return null ; }
+	return key ;
+}
+
+
+
+// Return the mount and the key of an already resolved filename
+function findMounted( filename ) {
+	var mount , key ;
+
+	for ( mount of mounts ) {
+		key = mountKey( mount , filename ) ;
+		if ( key && mount.jsPak.has( key ) ) { return { jsPak: mount.jsPak , key } ; }
+	}
+
+	return null ;
+}
+
+
+
+function resolveMounted( request , parent ) {
+	var mount , key , filePath , directory ,
+		parentDirectory = parent && parent.filename ? path.dirname( parent.filename ) : process.cwd() ;
+
+	if ( Module.builtinModules.includes( request ) || request.startsWith( 'node:' ) ) { return null ; }
+
+	if (
+		path.isAbsolute( request ) || request === '.' || request === '..'
+		|| request.startsWith( './' ) || request.startsWith( '../' )
+	) {
+		filePath = path.resolve( parentDirectory , request ) ;
+
+		for ( mount of mounts ) {
+			key = mountKey( mount , filePath ) ;
+			if ( key === null ) { continue ; }
+			key = resolveKey( mount.jsPak , key ) ;
+			if ( key !== null ) { return path.join( mount.directory , key ) ; }
+		}
+
+		return null ;
+	}
+
+	// This is a package name: search node_modules directories, from the parent directory up to the mount directory
+	for ( mount of mounts ) {
+		if ( mountKey( mount , parentDirectory ) === null ) { continue ; }
+
+		for ( directory = parentDirectory ; ; directory = path.dirname( directory ) ) {
+			key = mountKey( mount , path.join( directory , 'node_modules' , request ) ) ;
+			key = key === null ? null : resolveKey( mount.jsPak , key ) ;
+			if ( key !== null ) { return path.join( mount.directory , key ) ; }
+			if ( directory === mount.directory ) { break ; }
+		}
+	}
+
+	return null ;
+}
+
+
+
+// Like Node.js does: try the file, the file + extensions, then as a directory
+function resolveKey( jsPak , key ) {
+	var packageKey , main , resolved ;
+
+	key = path.normalize( key ) ;
+	if ( key === '.' ) { key = '' ; }
+
+	if ( key && ( resolved = resolveFileKey( jsPak , key ) ) !== null ) { return resolved ; }
+
+	packageKey = path.join( key , 'package.json' ) ;
+
+	if ( jsPak.has( packageKey ) ) {
+		try {
+			main = JSON.parse( jsPak.getBufferSync( packageKey ).toString() ).main ;
+		}
+		catch ( error ) {
+			error.message = 'Error parsing ' + packageKey + ': ' + error.message ;
+			throw error ;
+		}
+
+		if ( main && typeof main === 'string' ) {
+			main = path.join( key , main ) ;
+			resolved = resolveFileKey( jsPak , main ) ;
+			if ( resolved === null ) { resolved = resolveIndexKey( jsPak , main ) ; }
+			if ( resolved !== null ) { return resolved ; }
+		}
+	}
+
+	return resolveIndexKey( jsPak , key ) ;
+}
+
+
+
+function resolveFileKey( jsPak , key ) {
+	if ( jsPak.has( key ) ) { return key ; }
+
+	for ( let extension of Object.keys( Module._extensions ) ) {
+		if ( jsPak.has( key + extension ) ) { return key + extension ; }
+	}
+
+	return null ;
+}
+
+
+
+function resolveIndexKey( jsPak , key ) {
+	return resolveFileKey( jsPak , path.join( key , 'index' ) ) ;
+}
+
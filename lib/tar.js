@@ -0,0 +1,456 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const stream = require( 'stream' ) ;
+
+
+
+/*
+	Tar archives (POSIX ustar, with pax extended headers when a field doesn't fit), for import and export.
+
+	Entries are objects:
+		key: the path inside the archive
+		type: 'file', 'directory', 'symlink' or 'hardlink'
+		mode: permission bits
+		mtime: a Date (rounded to the second when written)
+		size , stream: the content of a file
+		target: the target of a symlink, or the key of the file a hardlink links to
+		uid , gid , uname , gname: ownership (optional)
+
+	The reader also understands GNU long names, other entry types (devices, FIFO, ...) are skipped.
+*/
+
+const tar = {} ;
+module.exports = tar ;
+
+
+
+const BLOCK_SIZE = 512 ;
+
+const TYPE_FLAGS = {
+	file: '0' ,
+	hardlink: '1' ,
+	symlink: '2' ,
+	directory: '5'
+} ;
+
+const TYPES = {
+	'0': 'file' ,
+	'\0': 'file' ,
+	'7': 'file' ,	// contiguous file
+	'1': 'hardlink' ,
+	'2': 'symlink' ,
+	'5': 'directory'
+} ;
+
+// Largest values of octal fields, bigger values need a pax header
+const MAX_OCTAL_8 = 0o7777777 ;
+const MAX_OCTAL_12 = 0o77777777777 ;
+
+
+
+// Return a readable stream of the tar archive of the entries (an iterable or an async iterable)
+tar.pack = entries => stream.Readable.from( packEntries( entries ) , { objectMode: false } ) ;
+
+
+
+async function * packEntries( entries ) {
+	var entry , chunk , size , written ;
+
+	for await ( entry of entries ) {
+		size = entry.type === 'file' ? entry.size : 0 ;
+		yield * createHeaders( entry , size ) ;
+
+		if ( entry.type !== 'file' ) { continue ; }
+
+		written = 0 ;
+
+		for await ( chunk of entry.stream ) {
+			written += chunk.length ;
+			if ( written > size ) { break ; }
+			yield chunk ;
+		}
+
+		if ( written !== size ) { throw new Error( "Size mismatch for '" + entry.key + "': expecting " + size + " bytes but got " + written ) ; }
+		if ( size % BLOCK_SIZE ) { yield Buffer.alloc( BLOCK_SIZE - size % BLOCK_SIZE ) ; }
+	}
+
+	// The end of the archive is marked by two zero-filled blocks
+	yield Buffer.alloc( BLOCK_SIZE * 2 ) ;
+}
+
+
+
+// Return an array of buffers: the pax header when needed, then the ustar header
+function createHeaders( entry , size ) {
+	var data ,
+		name = entry.key + ( entry.type === 'directory' ? '/' : '' ) ,
+		splitted = splitName( name ) ,
+		target = entry.target || '' ,
+		mtime = Math.floor( entry.mtime.getTime() / 1000 ) ,
+		uid = entry.uid || 0 ,
+		gid = entry.gid || 0 ,
+		uname = entry.uname || '' ,
+		gname = entry.gname || '' ,
+		pax = {} ,
+		headers = [] ;
+
+	if ( ! splitted ) {
+		pax.path = name ;
+		splitted = { prefix: '' , name: Buffer.from( name ).slice( 0 , 100 ) } ;
+	}
+
+	if ( Buffer.byteLength( target ) > 100 ) { pax.linkpath = target ; target = '' ; }
+	if ( size > MAX_OCTAL_12 ) { pax.size = '' + size ; }
+	if ( mtime < 0 || mtime > MAX_OCTAL_12 ) { pax.mtime = '' + mtime ; mtime = 0 ; }
+	if ( uid > MAX_OCTAL_8 ) { pax.uid = '' + uid ; uid = 0 ; }
+	if ( gid > MAX_OCTAL_8 ) { pax.gid = '' + gid ; gid = 0 ; }
+	if ( Buffer.byteLength( uname ) > 32 ) { pax.uname = uname ; uname = '' ; }
+	if ( Buffer.byteLength( gname ) > 32 ) { pax.gname = gname ; gname = '' ; }
+
+	if ( Object.keys( pax ).length ) {
+		data = Buffer.from( Object.keys( pax ).map( key => createPaxRecord( key , pax[ key ] ) )
+			.join( '' ) ) ;
+
+		headers.push( createHeader( {
+			prefix: '' , name: 'PaxHeader' , mode: 0o644 , uid: 0 , gid: 0 , size: data.length , mtime , typeFlag: 'x' , target: '' , uname: '' , gname: ''
+		} ) ) ;
+		headers.push( data ) ;
+		if ( data.length % BLOCK_SIZE ) { headers.push( Buffer.alloc( BLOCK_SIZE - data.length % BLOCK_SIZE ) ) ; }
+	}
+
+	headers.push( createHeader( {
+		prefix: splitted.prefix ,
+		name: splitted.name ,
+		mode: entry.mode & 0o7777 ,
+		uid ,
+		gid ,
+		size: size > MAX_OCTAL_12 ? 0 : size ,
+		mtime ,
+		typeFlag: TYPE_FLAGS[ entry.type ] ,
+		target ,
+		uname ,
+		gname
+	} ) ) ;
+
+	return headers ;
+}
+
+
+
+function createHeader( fields ) {
+	var i , checksum = 0 ,
+		header = Buffer.alloc( BLOCK_SIZE ) ;
+
+	header.write( fields.name.toString() , 0 , 100 ) ;
+	writeOctal( header , fields.mode , 100 , 8 ) ;
+	writeOctal( header , fields.uid , 108 , 8 ) ;
+	writeOctal( header , fields.gid , 116 , 8 ) ;
+	writeOctal( header , fields.size , 124 , 12 ) ;
+	writeOctal( header , fields.mtime , 136 , 12 ) ;
+	header.write( fields.typeFlag , 156 , 1 , 'latin1' ) ;
+	header.write( fields.target , 157 , 100 ) ;
+	header.write( 'ustar\u000000' , 257 , 8 , 'latin1' ) ;
+	header.write( fields.uname , 265 , 32 ) ;
+	header.write( fields.gname , 297 , 32 ) ;
+	header.write( fields.prefix , 345 , 155 ) ;
+
+	// The checksum is computed with the checksum field filled with spaces
+	header.fill( 0x20 , 148 , 156 ) ;
+	for ( i = 0 ; i < BLOCK_SIZE ; i ++ ) { checksum += header[ i ] ; }
+	header.write( checksum.toString( 8 ).padStart( 6 , '0' ) + '\u0000 ' , 148 , 8 , 'latin1' ) ;
+
+	return header ;
+}
+
+
+
+// Split a name into the ustar prefix (155 bytes max) and name (100 bytes max) fields at a slash, return null if it's not possible
+function splitName( name ) {
+	var index ;
+
+	if ( Buffer.byteLength( name ) <= 100 ) { return { prefix: '' , name } ; }
+
+	for ( index = name.indexOf( '/' ) ; index !== -1 ; index = name.indexOf( '/' , index + 1 ) ) {
+		if ( Buffer.byteLength( name.slice( 0 , index ) ) > 155 ) { return null ; }
+
+		if ( index < name.length - 1 && Buffer.byteLength( name.slice( index + 1 ) ) <= 100 ) {
+			return { prefix: name.slice( 0 , index ) , name: name.slice( index + 1 ) } ;
+		}
+	}
+
+	return null ;
+}
+
+
+
+function writeOctal( buffer , value , offset , length ) {
+	buffer.write( value.toString( 8 ).padStart( length - 1 , '0' ) , offset , length - 1 , 'latin1' ) ;
+}
+
+
+
+// A pax record is "<length> <key>=<value>\n", where the length includes its own digits
+function createPaxRecord( key , value ) {
+	var payload = ' ' + key + '=' + value + '\n' ,
+		length = Buffer.byteLength( payload ) ,
+		digits = ( '' + length ).length ;
+
+	if ( ( '' + ( length + digits ) ).length > digits ) { digits ++ ; }
+
+	return ( length + digits ) + payload ;
+}
+
+
+
+/*
+	Yield the entries of the tar archive of the input stream (not gzipped).
+	The stream of a file entry should be consumed before getting the next entry, what remains of it is skipped.
+*/
+tar.unpack = async function * ( inputStream ) {
+	var header , typeFlag , size , paddedSize , name , target , type , key , entry ,
+		reader = new ByteReader( inputStream ) ,
+		pax = {} ,
+		longName = null ,
+		longTarget = null ;
+
+	for ( ;; ) {
+		header = await reader.read( BLOCK_SIZE ) ;
+
+		// Some writers omit the end-of-archive blocks
+		if ( ! header.length ) { break ; }
+		if ( header.length < BLOCK_SIZE ) { throw new Error( 'Unexpected end of the tar archive' ) ; }
+		if ( header.every( byte => ! byte ) ) { break ; }
+		if ( ! checkHeader( header ) ) { throw new Error( 'Bad tar header checksum, not a tar archive or a corrupted one' ) ; }
+
+		typeFlag = header.toString( 'latin1' , 156 , 157 ) ;
+		size = pax.size !== undefined ? parseInt( pax.size , 10 ) : readNumber( header , 124 , 12 ) ;
+		paddedSize = Math.ceil( size / BLOCK_SIZE ) * BLOCK_SIZE ;
+
+		switch ( typeFlag ) {
+			case 'x' :
+				// Pax extended header of the next entry
+				Object.assign( pax , parsePax( await reader.read( size ) ) ) ;
+				await reader.skip( paddedSize - size ) ;
+				continue ;
+			case 'g' :
+				// Pax global header: nothing useful for us
+				await reader.skip( paddedSize ) ;
+				continue ;
+			case 'L' :
+				longName = readString( await reader.read( size ) , 0 , size ) ;
+				await reader.skip( paddedSize - size ) ;
+				continue ;
+			case 'K' :
+				longTarget = readString( await reader.read( size ) , 0 , size ) ;
+				await reader.skip( paddedSize - size ) ;
+				continue ;
+		}
+
+		name = pax.path || longName || readString( header , 0 , 100 ) ;
+		if ( ! pax.path && ! longName && header.toString( 'latin1' , 257 , 262 ) === 'ustar' && header[ 345 ] ) {
+			name = readString( header , 345 , 155 ) + '/' + name ;
+		}
+
+		target = pax.linkpath || longTarget || readString( header , 157 , 100 ) ;
+		type = TYPES[ typeFlag ] ;
+		key = normalizeKey( name ) ;
+
+		entry = {
+			key ,
+			type: type === 'file' && name.endsWith( '/' ) ? 'directory' : type ,
+			mode: readNumber( header , 100 , 8 ) & 0o7777 ,
+			mtime: new Date( ( pax.mtime !== undefined ? parseFloat( pax.mtime ) : readNumber( header , 136 , 12 ) ) * 1000 ) ,
+			uid: pax.uid !== undefined ? parseInt( pax.uid , 10 ) : readNumber( header , 108 , 8 ) ,
+			gid: pax.gid !== undefined ? parseInt( pax.gid , 10 ) : readNumber( header , 116 , 8 ) ,
+			uname: pax.uname || readString( header , 265 , 32 ) || undefined ,
+			gname: pax.gname || readString( header , 297 , 32 ) || undefined
+		} ;
+
+		pax = {} ;
+		longName = longTarget = null ;
+
+		if ( ! type || ! key ) {
+			await reader.skip( paddedSize ) ;
+			continue ;
+		}
+
+		if ( entry.type === 'file' ) {
+			entry.size = size ;
+			entry.stream = reader.createStream( size ) ;
+			yield entry ;
+			await reader.skip( reader.streamRemaining + paddedSize - size ) ;
+		}
+		else {
+			if ( type === 'symlink' || type === 'hardlink' ) {
+				entry.target = type === 'hardlink' ? normalizeKey( target ) : target ;
+			}
+
+			yield entry ;
+			await reader.skip( paddedSize ) ;
+		}
+	}
+} ;
+
+
+
+function checkHeader( header ) {
+	var i , checksum = 0 ;
+	for ( i = 0 ; i < BLOCK_SIZE ; i ++ ) { checksum += i >= 148 && i < 156 ? 0x20 : header[ i ] ; }
+	return checksum === readNumber( header , 148 , 8 ) ;
+}
+
+
+
+// Octal, or big-endian base-256 if the high bit is set (GNU extension for big values)
+function readNumber( buffer , offset , length ) {
+	var i , value = 0 ;
+
+	if ( buffer[ offset ] & 0x80 ) {
+		value = buffer[ offset ] & 0x7f ;
+		for ( i = 1 ; i < length ; i ++ ) { value = value * 256 + buffer[ offset + i ] ; }
+		return value ;
+	}
+
+	return parseInt( readString( buffer , offset , length , 'latin1' ).trim() || '0' , 8 ) ;
+}
+
+
+
+function readString( buffer , offset , length , encoding = 'utf8' ) {
+	var end = buffer.indexOf( 0 , offset ) ;
+	if ( end === -1 || end > offset + length ) { end = offset + length ; }
+	return buffer.toString( encoding , offset , end ) ;
+}
+
+
+
+function parsePax( buffer ) {
+	var space , length , record , equal ,
+		position = 0 ,
+		pax = {} ;
+
+	while ( position < buffer.length ) {
+		space = buffer.indexOf( 0x20 , position ) ;
+		length = parseInt( buffer.toString( 'latin1' , position , space ) , 10 ) ;
+		if ( space === -1 || ! length ) { break ; }
+
+		record = buffer.toString( 'utf8' , space + 1 , position + length - 1 ) ;
+		equal = record.indexOf( '=' ) ;
+		if ( equal !== -1 ) { pax[ record.slice( 0 , equal ) ] = record.slice( equal + 1 ) ; }
+		position += length ;
+	}
+
+	return pax ;
+}
+
+
+
+// Remove leading ./ and /, and trailing slashes
+function normalizeKey( name ) {
+	return name.replace( /^(\.?\/)+/ , '' ).replace( /\/+$/ , '' ) ;
+}
+
+
+
+// Read exact amounts of bytes from a stream
+function ByteReader( inputStream ) {
+	this.iterator = inputStream[ Symbol.asyncIterator ]() ;
+	this.buffer = Buffer.alloc( 0 ) ;
+	this.ended = false ;
+	this.streamRemaining = 0 ;
+}
+
+
+
+// Resolve to at most size bytes, without copying them, an empty buffer at the end of the stream
+ByteReader.prototype.readSome = async function( size ) {
+	var next , chunk ;
+
+	while ( ! this.buffer.length && ! this.ended ) {
+		next = await this.iterator.next() ;
+		if ( next.done ) { this.ended = true ; }
+		else { this.buffer = next.value ; }
+	}
+
+	chunk = this.buffer.slice( 0 , size ) ;
+	this.buffer = this.buffer.slice( chunk.length ) ;
+	return chunk ;
+} ;
+
+
+
+// Resolve to size bytes, or less at the end of the stream
+ByteReader.prototype.read = async function( size ) {
+	var chunk , chunks = [] , length = 0 ;
+
+	while ( length < size ) {
+		chunk = await this.readSome( size - length ) ;
+		if ( ! chunk.length ) { break ; }
+		chunks.push( chunk ) ;
+		length += chunk.length ;
+	}
+
+	return chunks.length === 1 ? chunks[ 0 ] : Buffer.concat( chunks ) ;
+} ;
+
+
+
+ByteReader.prototype.skip = async function( size ) {
+	var chunk ;
+
+	while ( size > 0 ) {
+		chunk = await this.readSome( size ) ;
+		if ( ! chunk.length ) { throw new Error( 'Unexpected end of the tar archive' ) ; }
+		size -= chunk.length ;
+	}
+} ;
+
+
+
+// Return a readable stream of the next size bytes, what is not read by it remains in .streamRemaining
+ByteReader.prototype.createStream = function( size ) {
+	this.streamRemaining = size ;
+	return stream.Readable.from( this.iterateStream() , { objectMode: false } ) ;
+} ;
+
+
+
+ByteReader.prototype.iterateStream = async function * () {
+	var chunk ;
+
+	while ( this.streamRemaining > 0 ) {
+		chunk = await this.readSome( this.streamRemaining ) ;
+		if ( ! chunk.length ) { throw new Error( 'Unexpected end of the tar archive' ) ; }
+		this.streamRemaining -= chunk.length ;
+		yield chunk ;
+	}
+} ;
+
@@ -0,0 +1,564 @@
+/*
+	JsPak
+
+	Copyright (c) 2020 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const streamKit = require( 'stream-kit' ) ;
+
+const fs = require( 'fs' ) ;
+const stream = require( 'stream' ) ;
+const zlib = require( 'zlib' ) ;
+
+
+
+/*
+	Zip archives, for import and export, entries are the same than for tar.js (hardlinks are not supported by zip).
+
+	Files are written deflated, with a data descriptor since their sizes and CRC are only known once written,
+	so the archive can be streamed. Unix modes are stored in the external attributes, and mtimes in the extended
+	timestamp extra field. Archives larger than 4 GiB or with more than 65535 entries have zip64 end records,
+	but a single file can't exceed 4 GiB.
+	The reader uses the central directory, so it needs a file, it supports zip64, stored and deflated files.
+*/
+
+const zip = {} ;
+module.exports = zip ;
+
+
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50 ;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50 ;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50 ;
+const END_SIGNATURE = 0x06054b50 ;
+const ZIP64_END_SIGNATURE = 0x06064b50 ;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50 ;
+
+const LOCAL_HEADER_SIZE = 30 ;
+const CENTRAL_HEADER_SIZE = 46 ;
+const END_SIZE = 22 ;
+const ZIP64_END_SIZE = 56 ;
+const ZIP64_LOCATOR_SIZE = 20 ;
+
+const FLAG_ENCRYPTED = 0x01 ;
+const FLAG_DATA_DESCRIPTOR = 0x08 ;
+const FLAG_UTF8 = 0x800 ;
+
+const METHOD_STORED = 0 ;
+const METHOD_DEFLATED = 8 ;
+
+const EXTRA_ZIP64 = 0x0001 ;
+const EXTRA_TIMESTAMP = 0x5455 ;
+
+const VERSION_MADE_BY_UNIX = 3 ;
+const MAX_32 = 0xffffffff ;
+const MAX_16 = 0xffff ;
+
+const S_IFDIR = 0o040000 ;
+const S_IFREG = 0o100000 ;
+const S_IFLNK = 0o120000 ;
+const S_IFMT = 0o170000 ;
+
+
+
+// An empty zip archive has only the end of central directory record
+zip.isZip = magicBuffer => magicBuffer.length >= 4 && (
+	magicBuffer.readUInt32LE( 0 ) === LOCAL_HEADER_SIGNATURE || magicBuffer.readUInt32LE( 0 ) === END_SIGNATURE
+) ;
+
+
+
+// Return a readable stream of the zip archive of the entries (an iterable or an async iterable)
+zip.pack = entries => stream.Readable.from( packEntries( entries ) , { objectMode: false } ) ;
+
+
+
+async function * packEntries( entries ) {
+	var entry , nameBuffer , extraBuffer , data , header , crcStream , chunk , record , method , flags , crc , size , compressedSize ,
+		fileType , offset = 0 ,
+		centralHeaders = [] ,
+		centralSize = 0 ,
+		dos = {} ;
+
+	for await ( entry of entries ) {
+		nameBuffer = Buffer.from( entry.key + ( entry.type === 'directory' ? '/' : '' ) ) ;
+		extraBuffer = createTimestampExtra( entry.mtime ) ;
+		toDosTime( entry.mtime , dos ) ;
+		data = null ;
+
+		if ( entry.type === 'directory' ) {
+			data = Buffer.alloc( 0 ) ;
+			fileType = S_IFDIR ;
+		}
+		else if ( entry.type === 'symlink' ) {
+			data = Buffer.from( entry.target ) ;
+			fileType = S_IFLNK ;
+		}
+		else {
+			fileType = S_IFREG ;
+		}
+
+		// Directories and symlinks are known in advance and stored, files are streamed and deflated
+		method = data ? METHOD_STORED : METHOD_DEFLATED ;
+		flags = FLAG_UTF8 | ( data ? 0 : FLAG_DATA_DESCRIPTOR ) ;
+		crc = data ? crc32( data ) : 0 ;
+		size = compressedSize = data ? data.length : 0 ;
+
+		header = Buffer.alloc( LOCAL_HEADER_SIZE ) ;
+		header.writeUInt32LE( LOCAL_HEADER_SIGNATURE , 0 ) ;
+		header.writeUInt16LE( 20 , 4 ) ;	// version needed to extract
+		header.writeUInt16LE( flags , 6 ) ;
+		header.writeUInt16LE( method , 8 ) ;
+		header.writeUInt16LE( dos.time , 10 ) ;
+		header.writeUInt16LE( dos.date , 12 ) ;
+		header.writeUInt32LE( crc , 14 ) ;
+		header.writeUInt32LE( compressedSize , 18 ) ;
+		header.writeUInt32LE( size , 22 ) ;
+		header.writeUInt16LE( nameBuffer.length , 26 ) ;
+		header.writeUInt16LE( extraBuffer.length , 28 ) ;
+
+		record = {
+			nameBuffer , extraBuffer , flags , method , dos: Object.assign( {} , dos ) , offset , mode: fileType | ( entry.mode & 0o7777 ) , directory: entry.type === 'directory'
+		} ;
+
+		yield header ;
+		yield nameBuffer ;
+		yield extraBuffer ;
+		offset += header.length + nameBuffer.length + extraBuffer.length ;
+
+		if ( data ) {
+			yield data ;
+			offset += data.length ;
+		}
+		else {
+			crcStream = new Crc32Stream() ;
+
+			for await ( chunk of streamKit.pipe( entry.stream , crcStream , zlib.createDeflateRaw() ) ) {
+				compressedSize += chunk.length ;
+				yield chunk ;
+			}
+
+			crc = crcStream.crc ;
+			size = crcStream.size ;
+
+			if ( size > MAX_32 || compressedSize > MAX_32 ) {
+				throw new Error( "File '" + entry.key + "' is too large for a zip archive (4 GiB max), export to tar instead" ) ;
+			}
+
+			data = Buffer.alloc( 16 ) ;
+			data.writeUInt32LE( DATA_DESCRIPTOR_SIGNATURE , 0 ) ;
+			data.writeUInt32LE( crc , 4 ) ;
+			data.writeUInt32LE( compressedSize , 8 ) ;
+			data.writeUInt32LE( size , 12 ) ;
+			yield data ;
+			offset += compressedSize + data.length ;
+		}
+
+		Object.assign( record , { crc , size , compressedSize } ) ;
+		header = createCentralHeader( record ) ;
+		centralHeaders.push( header ) ;
+		centralSize += header.length ;
+	}
+
+	yield * centralHeaders ;
+	yield * createEndRecords( centralHeaders.length , centralSize , offset ) ;
+}
+
+
+
+function createCentralHeader( record ) {
+	var header , zip64Buffer = Buffer.alloc( 0 ) ,
+		offset = record.offset ;
+
+	if ( offset >= MAX_32 ) {
+		zip64Buffer = Buffer.alloc( 12 ) ;
+		zip64Buffer.writeUInt16LE( EXTRA_ZIP64 , 0 ) ;
+		zip64Buffer.writeUInt16LE( 8 , 2 ) ;
+		writeUInt64LE( zip64Buffer , offset , 4 ) ;
+		offset = MAX_32 ;
+	}
+
+	header = Buffer.alloc( CENTRAL_HEADER_SIZE ) ;
+	header.writeUInt32LE( CENTRAL_HEADER_SIGNATURE , 0 ) ;
+	header.writeUInt16LE( ( VERSION_MADE_BY_UNIX << 8 ) | 45 , 4 ) ;
+	header.writeUInt16LE( zip64Buffer.length ? 45 : 20 , 6 ) ;	// version needed to extract
+	header.writeUInt16LE( record.flags , 8 ) ;
+	header.writeUInt16LE( record.method , 10 ) ;
+	header.writeUInt16LE( record.dos.time , 12 ) ;
+	header.writeUInt16LE( record.dos.date , 14 ) ;
+	header.writeUInt32LE( record.crc , 16 ) ;
+	header.writeUInt32LE( record.compressedSize , 20 ) ;
+	header.writeUInt32LE( record.size , 24 ) ;
+	header.writeUInt16LE( record.nameBuffer.length , 28 ) ;
+	header.writeUInt16LE( record.extraBuffer.length + zip64Buffer.length , 30 ) ;
+	// Unix mode in the high word, MS-DOS directory attribute in the low word
+	header.writeUInt32LE( ( ( record.mode << 16 ) >>> 0 ) + ( record.directory ? 0x10 : 0 ) , 38 ) ;
+	header.writeUInt32LE( offset , 42 ) ;
+
+	return Buffer.concat( [ header , record.nameBuffer , record.extraBuffer , zip64Buffer ] ) ;
+}
+
+
+
+function createEndRecords( count , centralSize , centralOffset ) {
+	var end , zip64End , locator ,
+		records = [] ;
+
+	if ( count > MAX_16 || centralSize > MAX_32 || centralOffset > MAX_32 ) {
+		zip64End = Buffer.alloc( ZIP64_END_SIZE ) ;
+		zip64End.writeUInt32LE( ZIP64_END_SIGNATURE , 0 ) ;
+		writeUInt64LE( zip64End , ZIP64_END_SIZE - 12 , 4 ) ;	// size of the remaining record
+		zip64End.writeUInt16LE( ( VERSION_MADE_BY_UNIX << 8 ) | 45 , 12 ) ;
+		zip64End.writeUInt16LE( 45 , 14 ) ;
+		writeUInt64LE( zip64End , count , 24 ) ;
+		writeUInt64LE( zip64End , count , 32 ) ;
+		writeUInt64LE( zip64End , centralSize , 40 ) ;
+		writeUInt64LE( zip64End , centralOffset , 48 ) ;
+
+		locator = Buffer.alloc( ZIP64_LOCATOR_SIZE ) ;
+		locator.writeUInt32LE( ZIP64_LOCATOR_SIGNATURE , 0 ) ;
+		writeUInt64LE( locator , centralOffset + centralSize , 8 ) ;
+		locator.writeUInt32LE( 1 , 16 ) ;	// total number of disks
+
+		records.push( zip64End , locator ) ;
+	}
+
+	end = Buffer.alloc( END_SIZE ) ;
+	end.writeUInt32LE( END_SIGNATURE , 0 ) ;
+	end.writeUInt16LE( Math.min( count , MAX_16 ) , 8 ) ;
+	end.writeUInt16LE( Math.min( count , MAX_16 ) , 10 ) ;
+	end.writeUInt32LE( Math.min( centralSize , MAX_32 ) , 12 ) ;
+	end.writeUInt32LE( Math.min( centralOffset , MAX_32 ) , 16 ) ;
+	records.push( end ) ;
+
+	return records ;
+}
+
+
+
+// Extended timestamp extra field, with the mtime only
+function createTimestampExtra( mtime ) {
+	var buffer = Buffer.alloc( 9 ) ,
+		seconds = Math.max( 0 , Math.min( MAX_32 , Math.floor( mtime.getTime() / 1000 ) ) ) ;
+
+	buffer.writeUInt16LE( EXTRA_TIMESTAMP , 0 ) ;
+	buffer.writeUInt16LE( 5 , 2 ) ;
+	buffer.writeUInt8( 1 , 4 ) ;	// flags: mtime is present
+	buffer.writeUInt32LE( seconds , 5 ) ;
+
+	return buffer ;
+}
+
+
+
+// MS-DOS date and time (local time, 2 seconds precision, from 1980)
+function toDosTime( date , dos ) {
+	var year = date.getFullYear() ;
+
+	if ( year < 1980 ) {
+		dos.date = ( 1 << 5 ) | 1 ;
+		dos.time = 0 ;
+		return ;
+	}
+
+	dos.date = ( ( Math.min( year , 2107 ) - 1980 ) << 9 ) | ( ( date.getMonth() + 1 ) << 5 ) | date.getDate() ;
+	dos.time = ( date.getHours() << 11 ) | ( date.getMinutes() << 5 ) | Math.floor( date.getSeconds() / 2 ) ;
+}
+
+
+
+function fromDosTime( date , time ) {
+	return new Date( ( date >> 9 ) + 1980 , ( ( date >> 5 ) & 0x0f ) - 1 , date & 0x1f , time >> 11 , ( time >> 5 ) & 0x3f , ( time & 0x1f ) * 2 ) ;
+}
+
+
+
+/*
+	Yield the entries of the zip archive file.
+	The stream of a file entry should be consumed before getting the next entry, or it is destroyed.
+*/
+zip.unpack = async function * ( filePath ) {
+	var fileHandle , end , centralBuffer , records , record , localHeader , dataOffset , readStream , entry ;
+
+	fileHandle = await fs.promises.open( filePath , 'r' ) ;
+
+	try {
+		end = await readEndRecords( fileHandle ) ;
+		centralBuffer = await readBuffer( fileHandle , end.centralOffset , end.centralSize ) ;
+		records = parseCentralDirectory( centralBuffer , end.count ) ;
+
+		for ( record of records ) {
+			if ( record.flags & FLAG_ENCRYPTED ) { throw new Error( "Encrypted zip entries are not supported: " + record.name ) ; }
+
+			if ( record.method !== METHOD_STORED && record.method !== METHOD_DEFLATED ) {
+				throw new Error( "Unsupported zip compression method " + record.method + " for: " + record.name ) ;
+			}
+
+			localHeader = await readBuffer( fileHandle , record.offset , LOCAL_HEADER_SIZE ) ;
+
+			if ( localHeader.readUInt32LE( 0 ) !== LOCAL_HEADER_SIGNATURE ) {
+				throw new Error( "Bad zip local header for: " + record.name ) ;
+			}
+
+			dataOffset = record.offset + LOCAL_HEADER_SIZE + localHeader.readUInt16LE( 26 ) + localHeader.readUInt16LE( 28 ) ;
+
+			entry = {
+				key: record.name.replace( /^(\.?\/)+/ , '' ).replace( /\/+$/ , '' ) ,
+				type: record.type ,
+				mode: record.mode ,
+				mtime: record.mtime
+			} ;
+
+			if ( ! entry.key ) { continue ; }
+
+			if ( record.type === 'symlink' ) {
+				entry.target = ( await readContent( fileHandle , record , dataOffset ) ).toString() ;
+				yield entry ;
+			}
+			else if ( record.type === 'file' ) {
+				readStream = record.compressedSize ?
+					fs.createReadStream( null , {
+						fd: fileHandle.fd , autoClose: false , start: dataOffset , end: dataOffset + record.compressedSize - 1
+					} ) :
+					stream.Readable.from( [] ) ;
+
+				entry.size = record.size ;
+				entry.stream = streamKit.pipe(
+					readStream ,
+					... ( record.method === METHOD_DEFLATED ? [ zlib.createInflateRaw() ] : [] ) ,
+					new Crc32Stream( record.crc )
+				) ;
+
+				yield entry ;
+
+				if ( ! entry.stream.readableEnded ) {
+					readStream.destroy() ;
+					entry.stream.destroy() ;
+				}
+			}
+			else {
+				yield entry ;
+			}
+		}
+	}
+	finally {
+		await fileHandle.close() ;
+	}
+} ;
+
+
+
+async function readEndRecords( fileHandle ) {
+	var fileSize , tailSize , tail , position , end , locator , zip64End ;
+
+	fileSize = ( await fileHandle.stat() ).size ;
+
+	// The end record is followed by a comment of 65535 bytes max
+	tailSize = Math.min( fileSize , END_SIZE + MAX_16 ) ;
+	tail = await readBuffer( fileHandle , fileSize - tailSize , tailSize ) ;
+
+	for ( position = tail.length - END_SIZE ; position >= 0 ; position -- ) {
+		if ( tail.readUInt32LE( position ) === END_SIGNATURE ) { break ; }
+	}
+
+	if ( position < 0 ) { throw new Error( 'Not a zip archive (end of central directory not found)' ) ; }
+
+	end = {
+		count: tail.readUInt16LE( position + 10 ) ,
+		centralSize: tail.readUInt32LE( position + 12 ) ,
+		centralOffset: tail.readUInt32LE( position + 16 )
+	} ;
+
+	if ( end.count === MAX_16 || end.centralSize === MAX_32 || end.centralOffset === MAX_32 ) {
+		position += fileSize - tailSize - ZIP64_LOCATOR_SIZE ;
+
+		if ( position >= 0 ) {
+			locator = await readBuffer( fileHandle , position , ZIP64_LOCATOR_SIZE ) ;
+
+			if ( locator.readUInt32LE( 0 ) === ZIP64_LOCATOR_SIGNATURE ) {
+				zip64End = await readBuffer( fileHandle , readUInt64LE( locator , 8 ) , ZIP64_END_SIZE ) ;
+				if ( zip64End.readUInt32LE( 0 ) !== ZIP64_END_SIGNATURE ) { throw new Error( 'Bad zip64 end of central directory' ) ; }
+				end.count = readUInt64LE( zip64End , 32 ) ;
+				end.centralSize = readUInt64LE( zip64End , 40 ) ;
+				end.centralOffset = readUInt64LE( zip64End , 48 ) ;
+			}
+		}
+	}
+
+	return end ;
+}
+
+
+
+function parseCentralDirectory( buffer , count ) {
+	var i , position = 0 , record , nameSize , extraSize , commentSize , fileType , madeByUnix , attributes , extra ,
+		records = [] ;
+
+	for ( i = 0 ; i < count ; i ++ ) {
+		if ( position + CENTRAL_HEADER_SIZE > buffer.length || buffer.readUInt32LE( position ) !== CENTRAL_HEADER_SIGNATURE ) {
+			throw new Error( 'Bad zip central directory' ) ;
+		}
+
+		nameSize = buffer.readUInt16LE( position + 28 ) ;
+		extraSize = buffer.readUInt16LE( position + 30 ) ;
+		commentSize = buffer.readUInt16LE( position + 32 ) ;
+		madeByUnix = buffer.readUInt8( position + 5 ) === VERSION_MADE_BY_UNIX ;
+		attributes = buffer.readUInt32LE( position + 38 ) ;
+
+		record = {
+			flags: buffer.readUInt16LE( position + 8 ) ,
+			method: buffer.readUInt16LE( position + 10 ) ,
+			mtime: fromDosTime( buffer.readUInt16LE( position + 14 ) , buffer.readUInt16LE( position + 12 ) ) ,
+			crc: buffer.readUInt32LE( position + 16 ) ,
+			compressedSize: buffer.readUInt32LE( position + 20 ) ,
+			size: buffer.readUInt32LE( position + 24 ) ,
+			offset: buffer.readUInt32LE( position + 42 ) ,
+			name: buffer.toString( 'utf8' , position + CENTRAL_HEADER_SIZE , position + CENTRAL_HEADER_SIZE + nameSize )
+		} ;
+
+		extra = buffer.slice( position + CENTRAL_HEADER_SIZE + nameSize , position + CENTRAL_HEADER_SIZE + nameSize + extraSize ) ;
+		parseExtra( extra , record ) ;
+
+		fileType = madeByUnix ? ( attributes >>> 16 ) & S_IFMT : 0 ;
+
+		if ( fileType === S_IFDIR || record.name.endsWith( '/' ) || ( ! madeByUnix && ( attributes & 0x10 ) ) ) { record.type = 'directory' ; }
+		else if ( fileType === S_IFLNK ) { record.type = 'symlink' ; }
+		else { record.type = 'file' ; }
+
+		record.mode = madeByUnix && ( attributes >>> 16 ) ? ( attributes >>> 16 ) & 0o7777 : record.type === 'directory' ? 0o755 : 0o644 ;
+
+		records.push( record ) ;
+		position += CENTRAL_HEADER_SIZE + nameSize + extraSize + commentSize ;
+	}
+
+	return records ;
+}
+
+
+
+// Zip64 sizes and offset, and the extended timestamp
+function parseExtra( extra , record ) {
+	var position = 0 , id , size , field ;
+
+	while ( position + 4 <= extra.length ) {
+		id = extra.readUInt16LE( position ) ;
+		size = extra.readUInt16LE( position + 2 ) ;
+		field = position + 4 ;
+
+		if ( id === EXTRA_ZIP64 ) {
+			// Only the fields that overflow are present, in this order
+			if ( record.size === MAX_32 && field + 8 <= extra.length ) { record.size = readUInt64LE( extra , field ) ; field += 8 ; }
+			if ( record.compressedSize === MAX_32 && field + 8 <= extra.length ) { record.compressedSize = readUInt64LE( extra , field ) ; field += 8 ; }
+			if ( record.offset === MAX_32 && field + 8 <= extra.length ) { record.offset = readUInt64LE( extra , field ) ; }
+		}
+		else if ( id === EXTRA_TIMESTAMP && size >= 5 && ( extra[ field ] & 1 ) ) {
+			record.mtime = new Date( extra.readUInt32LE( field + 1 ) * 1000 ) ;
+		}
+
+		position += 4 + size ;
+	}
+}
+
+
+
+async function readContent( fileHandle , record , dataOffset ) {
+	var buffer = await readBuffer( fileHandle , dataOffset , record.compressedSize ) ;
+	if ( record.method === METHOD_DEFLATED ) { buffer = zlib.inflateRawSync( buffer ) ; }
+	return buffer ;
+}
+
+
+
+async function readBuffer( fileHandle , position , size ) {
+	var buffer = Buffer.alloc( size ) ,
+		{ bytesRead } = await fileHandle.read( buffer , 0 , size , position ) ;
+
+	if ( bytesRead < size ) { throw new Error( 'Unexpected end of the zip archive' ) ; }
+	return buffer ;
+}
+
+
+
+function writeUInt64LE( buffer , value , offset ) {
+	buffer.writeUInt32LE( value % 0x100000000 , offset ) ;
+	buffer.writeUInt32LE( Math.floor( value / 0x100000000 ) , offset + 4 ) ;
+}
+
+
+
+function readUInt64LE( buffer , offset ) {
+	return buffer.readUInt32LE( offset ) + buffer.readUInt32LE( offset + 4 ) * 0x100000000 ;
+}
+
+
+
+const CRC_TABLE = new Int32Array( 256 ).map( ( value , index ) => {
+	var i ;
+	for ( i = 0 ; i < 8 ; i ++ ) { index = index & 1 ? 0xedb88320 ^ ( index >>> 1 ) : index >>> 1 ; }
+	return index ;
+} ) ;
+
+function crc32( buffer , crc = 0 ) {
+	var i ;
+	crc = ~ crc ;
+	for ( i = 0 ; i < buffer.length ; i ++ ) { crc = CRC_TABLE[ ( crc ^ buffer[ i ] ) & 0xff ] ^ ( crc >>> 8 ) ; }
+	return ~ crc >>> 0 ;
+}
+
+
+
+// Pass-through stream computing the CRC-32 and the size of the data, emitting an error at the end if an expected CRC doesn't match
+function Crc32Stream( expectedCrc = null ) {
+	stream.Transform.call( this ) ;
+	this.expectedCrc = expectedCrc ;
+	this.crc = 0 ;
+	this.size = 0 ;
+}
+
+Crc32Stream.prototype = Object.create( stream.Transform.prototype ) ;
+Crc32Stream.prototype.constructor = Crc32Stream ;
+
+
+
+Crc32Stream.prototype._transform = function( buffer , encoding , callback ) {
+	this.crc = crc32( buffer , this.crc ) ;
+	this.size += buffer.length ;
+	this.push( buffer ) ;
+	callback() ;
+} ;
+
+
+
+Crc32Stream.prototype._flush = function( callback ) {
+	if ( this.expectedCrc !== null && this.crc !== this.expectedCrc ) {
+		callback( new Error( 'Bad zip entry: CRC mismatch! The file is corrupted!' ) ) ;
+		return ;
+	}
+
+	callback() ;
+} ;
+
@@ -29,7 +29,11 @@
 
 
 const fs = require( 'fs' ) ;
-const jspak = require( '..' ) ;
+const crypto = require( 'crypto' ) ;
+const http = require( 'http' ) ;
+const fsKit = require( 'fs-kit' ) ;
+const JsPak = require( '..' ) ;
+const tar = require( '../lib/tar.js' ) ;
 //const string = require( 'string-kit' ) ;
 
 
@@ -55,11 +59,1603 @@ function deb( title , v ) {
 */
 
 
+
+const TMP_DIR = __dirname + '/tmp' ;
+
+async function cleanTmp() {
+	await fsKit.deltree( TMP_DIR ) ;
+	await fsKit.ensurePath( TMP_DIR + '/src/sub' ) ;
+	await fs.promises.writeFile( TMP_DIR + '/src/a.txt' , 'content of a' ) ;
+	await fs.promises.writeFile( TMP_DIR + '/src/sub/b.txt' , 'content of b' ) ;
+}
+
+
+
+async function reload( filePath , options ) {
+	var jsPak = new JsPak( filePath , options ) ;
+	await jsPak.open( false ) ;
+	await jsPak.load() ;
+	return jsPak ;
+}
+
+
+
 /* Tests */
 
 
 
-describe( "..." , () => {
-	it( "..." ) ;
+describe( "Reading files" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should read a file with an HMAC into a Buffer" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { hmac: true } ) ;
+		await jsPak.addMetaHmac() ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'pw' } ) ;
+		expect( ( await jsPak.getBuffer( 'src/a.txt' ) ).toString() ).to.be( 'content of a' ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'pw' , verify: true } ) ;
+		expect( ( await jsPak.getBuffer( 'src/a.txt' ) ).toString() ).to.be( 'content of a' ) ;
+		expect( ( await jsPak.getBuffer( 'src/a.txt' ) ).toString() ).to.be( 'content of a' ) ;
+	} ) ;
+} ) ;
+
+
+
+
+describe( "Delete and replace" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should delete files and directories using tombstones" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { gzip: true , encryption: true } ) ;
+		expect( jsPak.keys().sort() ).to.equal( [ 'src/a.txt' , 'src/sub/b.txt' ] ) ;
+
+		await jsPak.delete( 'src/sub' ) ;
+		expect( jsPak.keys() ).to.equal( [ 'src/a.txt' ] ) ;
+		expect( jsPak.directoryKeys() ).to.equal( [ 'src' ] ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'pw' } ) ;
+		expect( jsPak.keys() ).to.equal( [ 'src/a.txt' ] ) ;
+		expect( jsPak.directoryKeys() ).to.equal( [ 'src' ] ) ;
+		expect( [ ... jsPak.deletedKeys ] ).to.equal( [ 'src/sub/b.txt' ] ) ;
+		expect( ( await jsPak.getBuffer( 'src/a.txt' ) ).toString() ).to.be( 'content of a' ) ;
+	} ) ;
+
+	it( "should replace a directory, deleting files that are not present anymore" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+
+		await fsKit.deltree( TMP_DIR + '/src/sub' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/c.txt' , 'content of c' ) ;
+		await jsPak.replace( TMP_DIR + '/src' ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.keys().sort() ).to.equal( [ 'src/a.txt' , 'src/c.txt' ] ) ;
+		expect( jsPak.directoryKeys() ).to.equal( [ 'src' ] ) ;
+		expect( ( await jsPak.getBuffer( 'src/c.txt' ) ).toString() ).to.be( 'content of c' ) ;
+	} ) ;
+} ) ;
+
+
+
+
+describe( "Compaction" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should rewrite the archive without unreachable data" , async () => {
+		var stats ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			targetPath = TMP_DIR + '/compact.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { gzip: true , encryption: true , hmac: true } ) ;
+		await jsPak.add( TMP_DIR + '/src' , { gzip: true , encryption: true , hmac: true } ) ;
+		await jsPak.delete( 'src/a.txt' ) ;
+		await jsPak.addMetaHmac() ;
+
+		stats = await jsPak.compact( targetPath ) ;
+		expect( stats.reclaimed ).to.be.above( 0 ) ;
+		expect( stats.size ).to.be( ( await fs.promises.stat( targetPath ) ).size ) ;
+
+		jsPak = await reload( targetPath , { encryptionKey: 'pw' , verify: true } ) ;
+		expect( jsPak.keys() ).to.equal( [ 'src/sub/b.txt' ] ) ;
+		expect( jsPak.directoryKeys().sort() ).to.equal( [ 'src' , 'src/sub' ] ) ;
+		expect( [ ... jsPak.deletedKeys ] ).to.equal( [ 'src/a.txt' ] ) ;
+		expect( ( await jsPak.getBuffer( 'src/sub/b.txt' ) ).toString() ).to.be( 'content of b' ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Hijacking require()" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should require modules from the archive, with priority over local files" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			mountDirectory = TMP_DIR + '/mnt' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{ key: 'app/index.js' , buffer: Buffer.from( "module.exports = require( './lib' ) + require( 'dep' ).value + require( '../data.json' ).value ;" ) } ,
+			{ key: 'app/lib.js' , buffer: Buffer.from( "module.exports = 'lib-' ;" ) } ,
+			{ key: 'app/node_modules/dep/package.json' , buffer: Buffer.from( '{ "main": "main.js" }' ) } ,
+			{ key: 'app/node_modules/dep/main.js' , buffer: Buffer.from( "exports.value = 'dep-' ;" ) } ,
+			{ key: 'data.json' , buffer: Buffer.from( '{ "value": "json" }' ) }
+		] , { gzip: true , encryption: true , hmac: true } ) ;
+		await jsPak.addMetaHmac() ;
+
+		await fsKit.ensurePath( mountDirectory + '/app' ) ;
+		await fs.promises.writeFile( mountDirectory + '/app/lib.js' , "module.exports = 'local-' ;" ) ;
+		await fs.promises.writeFile( mountDirectory + '/local.js' , "module.exports = 'local only' ;" ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'pw' , verify: true } ) ;
+		await jsPak.mount( mountDirectory ) ;
+
+		try {
+			expect( require( mountDirectory + '/app' ) ).to.be( 'lib-dep-json' ) ;
+			expect( require( mountDirectory + '/local.js' ) ).to.be( 'local only' ) ;
+		}
+		finally {
+			jsPak.unmount() ;
+		}
+
+		expect( () => require.resolve( mountDirectory + '/data.json' ) ).to.throw() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Overlay" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should merge archives, the later superseding the earlier" , async () => {
+		var overlay ,
+			jsPak = new JsPak( TMP_DIR + '/pak0.jpk' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{ key: 'a.txt' , buffer: Buffer.from( 'a0' ) } ,
+			{ key: 'b.txt' , buffer: Buffer.from( 'b0' ) } ,
+			{ key: 'dir/c.txt' , buffer: Buffer.from( 'c0' ) } ,
+			{ key: 'dir' , directory: true }
+		] ) ;
+
+		jsPak = new JsPak( TMP_DIR + '/pak1.jpk' ) ;
+		await jsPak.open( true ) ;
+		await jsPak.add( { key: 'a.txt' , buffer: Buffer.from( 'a1' ) } ) ;
+		await jsPak.delete( [ 'b.txt' , 'dir/' ] , { force: true } ) ;
+
+		jsPak = new JsPak( TMP_DIR + '/pak10.jpk' ) ;
+		await jsPak.open( true ) ;
+		await jsPak.add( { key: 'b.txt' , buffer: Buffer.from( 'b10' ) } ) ;
+
+		overlay = new JsPak.Overlay( TMP_DIR + '/pak*.jpk' ) ;
+		await overlay.load() ;
+		expect( overlay.jsPaks.map( e => e.filePath.slice( TMP_DIR.length + 1 ) ) ).to.equal( [ 'pak0.jpk' , 'pak1.jpk' , 'pak10.jpk' ] ) ;
+		expect( overlay.keys().sort() ).to.equal( [ 'a.txt' , 'b.txt' ] ) ;
+		expect( overlay.directoryKeys() ).to.equal( [] ) ;
+		expect( overlay.has( 'dir/c.txt' ) ).to.be( false ) ;
+		expect( ( await overlay.getBuffer( 'a.txt' ) ).toString() ).to.be( 'a1' ) ;
+		expect( ( await overlay.getBuffer( 'b.txt' ) ).toString() ).to.be( 'b10' ) ;
+		await overlay.close() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Compression" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should compress with gzip or brotli, per add() call or per entry" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			content = 'body { color: red ; }\n'.repeat( 100 ) ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{ key: 'brotli.css' , buffer: Buffer.from( content ) } ,
+			{ key: 'gzip.css' , buffer: Buffer.from( content ) , gzip: true } ,
+			{ key: 'raw.css' , buffer: Buffer.from( content ) , compression: 'none' }
+		] , { brotli: true , encryption: true , hmac: true } ) ;
+
+		await expect( () => jsPak.add( { key: 'bad' , buffer: Buffer.from( content ) } , { compression: 'lzma' } ) ).to.reject() ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'pw' } ) ;
+		expect( jsPak.getMeta( 'brotli.css' ).compression ).to.be( 'brotli' ) ;
+		expect( jsPak.getMeta( 'gzip.css' ).compression ).to.be( 'gzip' ) ;
+		expect( jsPak.getMeta( 'raw.css' ).compression ).to.be( null ) ;
+		expect( jsPak.getMeta( 'brotli.css' ) ).to.partially.equal( { gzip: false , brotli: true } ) ;
+		expect( jsPak.getMeta( 'gzip.css' ) ).to.partially.equal( { gzip: true , brotli: false } ) ;
+		expect( jsPak.getMeta( 'raw.css' ) ).to.partially.equal( { gzip: false , brotli: false } ) ;
+		expect( jsPak.getMeta( 'brotli.css' ).size ).to.be.below( jsPak.getMeta( 'raw.css' ).size ) ;
+
+		for ( let key of [ 'brotli.css' , 'gzip.css' , 'raw.css' ] ) {
+			expect( ( await jsPak.getBuffer( key ) ).toString() ).to.be( content ) ;
+			expect( jsPak.getBufferSync( key ).toString() ).to.be( content ) ;
+		}
+	} ) ;
+} ) ;
+
+
+
+describe( "Compression level and auto-compression" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should skip compression for already compressed files, or when it does not shrink" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			text = Buffer.from( 'some text '.repeat( 100 ) ) ,
+			png = Buffer.concat( [ Buffer.from( [ 0x89 , 0x50 , 0x4e , 0x47 ] ) , Buffer.from( 'fake png '.repeat( 50 ) ) ] ) ,
+			random = require( 'crypto' ).randomBytes( 1000 ) ,
+			jsPak = new JsPak( filePath ) ;
+
+		await fs.promises.writeFile( TMP_DIR + '/random.bin' , random ) ;
+		await fs.promises.writeFile( TMP_DIR + '/image' , png ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{ key: 'text.txt' , buffer: text } ,
+			{ key: 'image.ogg' , buffer: text } ,
+			TMP_DIR + '/image' ,
+			TMP_DIR + '/random.bin' ,
+			{
+				key: 'level0.txt' , buffer: text , autoCompression: false , compressionLevel: 0
+			}
+		] , { gzip: true , compressionLevel: 9 , autoCompression: true } ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.getMeta( 'text.txt' ).compression ).to.be( 'gzip' ) ;
+		expect( jsPak.getMeta( 'image.ogg' ).compression ).to.be( null ) ;
+		expect( jsPak.getMeta( 'image' ).compression ).to.be( null ) ;
+		expect( jsPak.getMeta( 'random.bin' ).compression ).to.be( null ) ;
+		expect( jsPak.getMeta( 'random.bin' ).size ).to.be( 1000 ) ;
+		expect( jsPak.getMeta( 'level0.txt' ).compression ).to.be( 'gzip' ) ;
+		expect( jsPak.getMeta( 'level0.txt' ).size ).to.be.above( text.length ) ;
+		expect( await jsPak.getBuffer( 'random.bin' ) ).to.equal( random ) ;
+		expect( await jsPak.getBuffer( 'image' ) ).to.equal( png ) ;
+		expect( await jsPak.getBuffer( 'level0.txt' ) ).to.equal( text ) ;
+	} ) ;
+
+	it( "should reject a bad compression level before writing anything" , async () => {
+		var size ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( { key: 'a.txt' , buffer: Buffer.from( 'a' ) } ) ;
+		size = ( await fs.promises.stat( filePath ) ).size ;
+
+		await expect( () => jsPak.add( [
+			{ key: 'b.txt' , buffer: Buffer.from( 'b' ) , gzip: true } ,
+			{
+				key: 'c.txt' , buffer: Buffer.from( 'c' ) , brotli: true , compressionLevel: 42
+			}
+		] ) ).to.reject( RangeError ) ;
+
+		await expect( () => jsPak.add( { key: 'b.txt' , buffer: Buffer.from( 'b' ) } , { gzip: true , compressionLevel: 10 } ) ).to.reject( RangeError ) ;
+		expect( ( await fs.promises.stat( filePath ) ).size ).to.be( size ) ;
+		expect( jsPak.keys() ).to.equal( [ 'a.txt' ] ) ;
+
+		await jsPak.add( { key: 'b.txt' , buffer: Buffer.from( 'b' ) } , { brotli: true , compressionLevel: 11 } ) ;
+		expect( jsPak.keys().sort() ).to.equal( [ 'a.txt' , 'b.txt' ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Key derivation" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should derive the key with scrypt by default, PBKDF2 on demand, and still open legacy archives" , async () => {
+		var filePath , jsPak , kdfOptions ;
+
+		for ( kdfOptions of [ {} , { kdf: 'pbkdf2' , kdfCost: 1000 } , { kdf: 'legacy' , keyScheme: 'single' } ] ) {
+			filePath = TMP_DIR + '/' + ( kdfOptions.kdf || 'default' ) + '.jpk' ;
+			jsPak = new JsPak( filePath , Object.assign( { encryptionKey: 'pw' } , kdfOptions ) ) ;
+			await jsPak.open( true ) ;
+			await jsPak.add( { key: 'a.txt' , buffer: Buffer.from( 'secret' ) } , { encryption: true , hmac: true } ) ;
+			await jsPak.addMetaHmac() ;
+
+			jsPak = await reload( filePath , { encryptionKey: 'pw' , verify: true } ) ;
+			expect( ( await jsPak.getBuffer( 'a.txt' ) ).toString() ).to.be( 'secret' ) ;
+
+			if ( kdfOptions.kdf === 'legacy' ) {
+				expect( jsPak.headers.security ).to.only.have.own.keys( 'salt' ) ;
+				expect( jsPak.encryptionKey ).to.be( jsPak.salt + 'pw' ) ;
+			}
+			else if ( kdfOptions.kdf === 'pbkdf2' ) {
+				expect( jsPak.headers.security ).to.partially.equal( { kdf: 'pbkdf2' , pbkdf2Iterations: 1000 , pbkdf2Digest: 'sha512' } ) ;
+			}
+			else {
+				expect( jsPak.headers.security ).to.partially.equal( {
+					kdf: 'scrypt' , scryptN: 2 ** 15 , scryptR: 8 , scryptP: 1
+				} ) ;
+			}
+
+			jsPak = await reload( filePath , { encryptionKey: 'bad' , verify: true } ).catch( error => error ) ;
+			expect( jsPak ).to.be.an( Error ) ;
+		}
+	} ) ;
+
+	it( "should reject out of range KDF parameters, from options or from the security header" , async () => {
+		var content ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' , kdfCost: 30 } ) ;
+
+		await jsPak.open( true ) ;
+		await expect( () => jsPak.add( { key: 'a.txt' , buffer: Buffer.from( 'a' ) } ) ).to.reject( RangeError ) ;
+
+		for ( let [ kdfOptions , search , replace ] of [
+			[ { kdfCost: 10 } , 'scryptN\t1024' , 'scryptN\t9999' ] ,
+			[ { kdfCost: 10 } , 'scryptR\t8' , 'scryptR\t0' ] ,
+			[ { kdf: 'pbkdf2' , kdfCost: 1000 } , '"sha512"' , '"sha384"' ] ,
+			[ { kdf: 'pbkdf2' , kdfCost: 1000 } , 'pbkdf2Iterations\t1000' , 'pbkdf2Iterations\t999 ' ]
+		] ) {
+			await fsKit.deltree( filePath ) ;
+			jsPak = new JsPak( filePath , Object.assign( { encryptionKey: 'pw' } , kdfOptions ) ) ;
+			await jsPak.open( true ) ;
+			await jsPak.add( { key: 'a.txt' , buffer: Buffer.from( 'a' ) } , { encryption: true } ) ;
+
+			content = await fs.promises.readFile( filePath , 'latin1' ) ;
+			expect( content ).to.contain( search ) ;
+			await fs.promises.writeFile( filePath , content.replace( search , replace ) , 'latin1' ) ;
+			await expect( () => reload( filePath , { encryptionKey: 'pw' } ) ).to.reject( RangeError ) ;
+		}
+	} ) ;
+} ) ;
+
+
+
+describe( "Key scheme" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should use independent keys for the cipher and the HMAC, and always authenticate encrypted files" , async () => {
+		var index , byte ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' , kdfCost: 10 } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( { key: 'a.txt' , buffer: Buffer.from( 'secret' ) } , { encryption: true } ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'pw' } ) ;
+		expect( jsPak.headers.security.keyScheme ).to.be( 'hkdf' ) ;
+		expect( jsPak.cipherKey ).not.to.equal( jsPak.macKey ) ;
+		index = jsPak.getMeta( 'a.txt' ) ;
+		expect( index ).to.partially.equal( { encryption: true , hmac: true } ) ;
+		expect( ( await jsPak.getBuffer( 'a.txt' ) ).toString() ).to.be( 'secret' ) ;
+
+		// Tamper the data: it should be detected even without the verify option
+		byte = Buffer.alloc( 1 ) ;
+		await jsPak.file.read( byte , 0 , 1 , index.offset + 20 ) ;
+		byte[ 0 ] ^= 1 ;
+		await jsPak.file.write( byte , 0 , 1 , index.offset + 20 ) ;
+		jsPak = await reload( filePath , { encryptionKey: 'pw' } ) ;
+		await expect( () => jsPak.getBuffer( 'a.txt' ) ).to.reject() ;
+	} ) ;
+
+	it( "should read encrypted files whose stored size ends with a chunk smaller than the HMAC" , async () => {
+		var chunks = [] ,
+			content = crypto.randomBytes( 2 ** 16 + 16 - 48 ) ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' , kdfCost: 10 } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( { key: 'a.bin' , buffer: content } , { encryption: true } ) ;
+
+		// With the 16 bytes IV and the 32 bytes HMAC, it is read by chunks of 64KiB then 16 bytes
+		jsPak = await reload( filePath , { encryptionKey: 'pw' } ) ;
+		expect( jsPak.getMeta( 'a.bin' ).size ).to.be( 2 ** 16 + 16 ) ;
+		for await ( let chunk of jsPak.getStream( 'a.bin' ) ) { chunks.push( chunk ) ; }
+		expect( Buffer.concat( chunks ) ).to.equal( content ) ;
+		expect( ( await jsPak.verifyFiles() ).map( result => result.status ) ).to.equal( [ 'ok' ] ) ;
+	} ) ;
+
+	it( "should still decode archives using the single key scheme" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' , kdf: 'legacy' , keyScheme: 'single' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( { key: 'a.txt' , buffer: Buffer.from( 'secret' ) } , { encryption: true } ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'pw' } ) ;
+		expect( jsPak.headers.security ).to.only.have.own.keys( 'salt' ) ;
+		expect( jsPak.getMeta( 'a.txt' ) ).to.partially.equal( { encryption: true , hmac: false } ) ;
+		expect( ( await jsPak.getBuffer( 'a.txt' ) ).toString() ).to.be( 'secret' ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Asymmetric encryption" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should encrypt for recipients, and decrypt with any of their private keys" , async () => {
+		var index ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			rsa = crypto.generateKeyPairSync( 'rsa' , { modulusLength: 2048 } ) ,
+			x25519 = crypto.generateKeyPairSync( 'x25519' ) ,
+			other = crypto.generateKeyPairSync( 'x25519' ) ,
+			toPem = key => key.export( { type: key.type === 'public' ? 'spki' : 'pkcs8' , format: 'pem' } ) ,
+			jsPak = new JsPak( filePath , { recipients: [ toPem( rsa.publicKey ) , toPem( x25519.publicKey ) ] } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+
+		for ( let identity of [ rsa.privateKey , x25519.privateKey ] ) {
+			jsPak = await reload( filePath , { identity: toPem( identity ) } ) ;
+			expect( jsPak.headers.recipients ).to.have.length( 2 ) ;
+			expect( jsPak.getMeta( 'src/sub/b.txt' ) ).to.partially.equal( { encryption: true , asymmetric: true , hmac: true } ) ;
+			expect( ( await jsPak.getBuffer( 'src/sub/b.txt' ) ).toString() ).to.be( 'content of b' ) ;
+			await jsPak.close() ;
+		}
+
+		// Not a recipient
+		await expect( () => reload( filePath , { identity: toPem( other.privateKey ) } ) ).to.reject() ;
+
+		// No identity at all: keys are kept encrypted, files can't be read
+		jsPak = await reload( filePath ) ;
+		index = [ ... jsPak.indexMap.values() ][ 0 ] ;
+		expect( index.encryptedKey ).to.be( true ) ;
+		await expect( () => jsPak.getBuffer( index.key ) ).to.reject() ;
+	} ) ;
 } ) ;
 
+
+
+describe( "Signature" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should sign the archive, and verify it with the public key only" , async () => {
+		var index , byte ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			ed25519 = crypto.generateKeyPairSync( 'ed25519' ) ,
+			ecdsa = crypto.generateKeyPairSync( 'ec' , { namedCurve: 'P-256' } ) ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' , kdfCost: 10 } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { encryption: true } ) ;
+		await jsPak.sign( ed25519.privateKey ) ;
+		await jsPak.addMetaHmac() ;
+		await expect( () => jsPak.sign( ed25519.privateKey ) ).to.reject() ;
+
+		// No encryption key needed
+		jsPak = await reload( filePath , { publicKey: ed25519.publicKey } ) ;
+		expect( jsPak.headers.signature.type ).to.be( 'ed25519' ) ;
+		await expect( () => jsPak.verifySignature( ecdsa.publicKey ) ).to.reject() ;
+
+		// The meta HMAC is still valid
+		await reload( filePath , { encryptionKey: 'pw' , verify: true } ) ;
+
+		// Tamper the stored data of a file
+		index = jsPak.indexMap.values().next().value ;
+		byte = Buffer.alloc( 1 ) ;
+		await jsPak.file.read( byte , 0 , 1 , index.offset ) ;
+		byte[ 0 ] ^= 1 ;
+		await jsPak.file.write( byte , 0 , 1 , index.offset ) ;
+		await expect( () => reload( filePath , { publicKey: ed25519.publicKey } ) ).to.reject() ;
+
+		// ECDSA
+		filePath = TMP_DIR + '/test2.jpk' ;
+		jsPak = new JsPak( filePath ) ;
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+		await jsPak.sign( ecdsa.privateKey ) ;
+		jsPak = await reload( filePath , { publicKey: ecdsa.publicKey } ) ;
+
+		// Files added after the signature
+		await jsPak.add( { key: 'c.txt' , buffer: Buffer.from( 'content of c' ) } ) ;
+		await expect( () => reload( filePath , { publicKey: ecdsa.publicKey } ) ).to.reject() ;
+	} ) ;
+
+	it( "should verify an archive encrypted for recipients with the public key only" , async () => {
+		var index , byte ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			ed25519 = crypto.generateKeyPairSync( 'ed25519' ) ,
+			x25519 = crypto.generateKeyPairSync( 'x25519' ) ,
+			jsPak = new JsPak( filePath , { recipients: [ x25519.publicKey.export( { type: 'spki' , format: 'pem' } ) ] } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+		await jsPak.add( { key: 'src/a.txt' , buffer: Buffer.from( 'new content of a' ) } ) ;
+		await jsPak.delete( 'src/sub/b.txt' ) ;
+		await jsPak.sign( ed25519.privateKey ) ;
+
+		jsPak = await reload( filePath , { publicKey: ed25519.publicKey } ) ;
+		await jsPak.verifySignature() ;
+
+		// Tamper the stored data of a file
+		index = jsPak.indexMap.values().next().value ;
+		byte = Buffer.alloc( 1 ) ;
+		await jsPak.file.read( byte , 0 , 1 , index.offset ) ;
+		byte[ 0 ] ^= 1 ;
+		await jsPak.file.write( byte , 0 , 1 , index.offset ) ;
+		await expect( () => reload( filePath , { publicKey: ed25519.publicKey } ) ).to.reject() ;
+	} ) ;
+
+	it( "should cover the security header (KDF parameters, salt and key scheme)" , async () => {
+		var content ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			ed25519 = crypto.generateKeyPairSync( 'ed25519' ) ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'pw' , kdfCost: 10 } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { encryption: true } ) ;
+		await jsPak.sign( ed25519.privateKey ) ;
+		await reload( filePath , { publicKey: ed25519.publicKey } ) ;
+
+		content = await fs.promises.readFile( filePath , 'latin1' ) ;
+		expect( content ).to.contain( 'scryptP\t1' ) ;
+		await fs.promises.writeFile( filePath , content.replace( 'scryptP\t1' , 'scryptP\t2' ) , 'latin1' ) ;
+		await expect( () => reload( filePath , { publicKey: ed25519.publicKey } ) ).to.reject() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Format version and 64-bit offsets" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should create archives with 64-bit offsets and sizes" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.headers ).to.partially.equal( { majorVersion: 0 , minorVersion: 8 } ) ;
+		expect( jsPak.layout.indexFixedSize ).to.be( 37 ) ;
+		expect( ( await jsPak.getBuffer( 'src/sub/b.txt' ) ).toString() ).to.be( 'content of b' ) ;
+	} ) ;
+
+	it( "should keep reading and appending to archives using 32-bit offsets, and refuse to exceed their limit" , async () => {
+		var size ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		// Write the core headers of a v0.6 archive
+		await jsPak.open( true ) ;
+		jsPak.coreHeadersAdded = true ;
+		await jsPak.addHeader( 'security' , { salt: 'salt' } , true ) ;
+		await jsPak.addHeader( 'majorVersion' , 0 , true ) ;
+		await jsPak.addHeader( 'minorVersion' , 6 , true ) ;
+		jsPak.applyHeader( 'majorVersion' ) ;
+		jsPak.applyHeader( 'minorVersion' ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.layout.indexFixedSize ).to.be( 29 ) ;
+		await jsPak.add( { key: 'c.txt' , buffer: Buffer.from( 'content of c' ) } ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.keys() ).to.equal( [ 'src/a.txt' , 'src/sub/b.txt' , 'c.txt' ] ) ;
+		expect( ( await jsPak.getBuffer( 'c.txt' ) ).toString() ).to.be( 'content of c' ) ;
+
+		// Fake a lower limit, instead of writing 4 GiB
+		size = jsPak.eof ;
+		jsPak.layout = Object.assign( {} , jsPak.layout , { maxSize: size + 20 } ) ;
+		await expect( () => jsPak.add( [
+			{ key: 'dir' , directory: true } ,
+			{ key: 'c.txt' , buffer: Buffer.from( 'new c' ) } ,
+			{ key: 'd.txt' , buffer: Buffer.alloc( 100 ) }
+		] ) ).to.reject() ;
+		expect( ( await fs.promises.stat( filePath ) ).size ).to.be( size ) ;
+
+		// The instance is rolled back too
+		expect( jsPak.keys() ).to.equal( [ 'src/a.txt' , 'src/sub/b.txt' , 'c.txt' ] ) ;
+		expect( jsPak.directoryKeys() ).to.equal( [ 'src' , 'src/sub' ] ) ;
+		expect( ( await jsPak.getBuffer( 'c.txt' ) ).toString() ).to.be( 'content of c' ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.keys() ).to.equal( [ 'src/a.txt' , 'src/sub/b.txt' , 'c.txt' ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Symlinks and hardlinks" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should store symlinks and hardlinks as links, and recreate them on extraction" , async () => {
+		var stats , stats2 ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await fs.promises.symlink( 'sub' , TMP_DIR + '/src/current' ) ;
+		await fs.promises.link( TMP_DIR + '/src/a.txt' , TMP_DIR + '/src/sub/a-link.txt' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.getMeta( 'src/current' ).mode & 0o170000 ).to.be( 0o120000 ) ;
+		expect( ( await jsPak.getBuffer( 'src/current' ) ).toString() ).to.be( 'sub' ) ;
+		expect( jsPak.getMeta( 'src/sub/a-link.txt' ).offset ).to.be( jsPak.getMeta( 'src/a.txt' ).offset ) ;
+		expect( ( await jsPak.getBuffer( 'src/sub/a-link.txt' ) ).toString() ).to.be( 'content of a' ) ;
+
+		// Links are kept by compaction
+		await jsPak.compact( TMP_DIR + '/compact.jpk' ) ;
+		jsPak = await reload( TMP_DIR + '/compact.jpk' ) ;
+		await jsPak.extract( TMP_DIR + '/out' ) ;
+
+		expect( await fs.promises.readlink( TMP_DIR + '/out/src/current' ) ).to.be( 'sub' ) ;
+		stats = await fs.promises.stat( TMP_DIR + '/out/src/a.txt' ) ;
+		stats2 = await fs.promises.stat( TMP_DIR + '/out/src/sub/a-link.txt' ) ;
+		expect( stats.ino ).to.be( stats2.ino ) ;
+		expect( await fs.promises.readFile( TMP_DIR + '/out/src/current/a-link.txt' , 'utf8' ) ).to.be( 'content of a' ) ;
+	} ) ;
+
+	it( "should keep the target of hardlinks to a deduplicated file" , async () => {
+		var stats , chunks = [] ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ,
+			jsPak2 = new JsPak( TMP_DIR + '/imported.jpk' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ { key: 'b.txt' , buffer: Buffer.from( 'same' ) } ] ) ;
+		await jsPak.add( [ { key: 'a.txt' , buffer: Buffer.from( 'same' ) } , { key: 'h.txt' , hardlink: 'a.txt' } ] ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.getMeta( 'a.txt' ).offset ).to.be( jsPak.getMeta( 'b.txt' ).offset ) ;
+		expect( jsPak.getMeta( 'h.txt' ).hardlink ).to.be( 'a.txt' ) ;
+		expect( jsPak.getDeduplicationStats().sharedFiles ).to.be( 1 ) ;
+
+		await jsPak.extract( TMP_DIR + '/out' ) ;
+		stats = await fs.promises.stat( TMP_DIR + '/out/h.txt' ) ;
+		expect( stats.ino ).to.be( ( await fs.promises.stat( TMP_DIR + '/out/a.txt' ) ).ino ) ;
+		expect( stats.ino ).not.to.be( ( await fs.promises.stat( TMP_DIR + '/out/b.txt' ) ).ino ) ;
+
+		for await ( let chunk of jsPak.createExportStream( 'tar' ) ) { chunks.push( chunk ) ; }
+		await fs.promises.writeFile( TMP_DIR + '/test.tar' , Buffer.concat( chunks ) ) ;
+		await jsPak2.open( true ) ;
+		await jsPak2.import( TMP_DIR + '/test.tar' , { deduplicate: false } ) ;
+		expect( jsPak2.getMeta( 'h.txt' ).hardlink ).to.be( 'a.txt' ) ;
+		expect( jsPak2.getMeta( 'h.txt' ).offset ).to.be( jsPak2.getMeta( 'a.txt' ).offset ) ;
+		expect( jsPak2.getMeta( 'h.txt' ).offset ).not.to.be( jsPak2.getMeta( 'b.txt' ).offset ) ;
+	} ) ;
+
+	it( "should dereference links with the 'dereference' option" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await fs.promises.symlink( 'a.txt' , TMP_DIR + '/src/a-symlink.txt' ) ;
+		await fs.promises.link( TMP_DIR + '/src/a.txt' , TMP_DIR + '/src/sub/a-link.txt' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { dereference: true , deduplicate: false } ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.getMeta( 'src/a-symlink.txt' ).mode & 0o170000 ).to.be( 0o100000 ) ;
+		expect( jsPak.getMeta( 'src/sub/a-link.txt' ).mode & 0o170000 ).to.be( 0o100000 ) ;
+		expect( jsPak.getMeta( 'src/sub/a-link.txt' ).offset ).not.to.be( jsPak.getMeta( 'src/a.txt' ).offset ) ;
+		expect( ( await jsPak.getBuffer( 'src/a-symlink.txt' ) ).toString() ).to.be( 'content of a' ) ;
+	} ) ;
+
+	it( "should not write anything through symlinks on extraction" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			outsidePath = TMP_DIR + '/outside' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await fsKit.ensurePath( outsidePath ) ;
+		await fsKit.ensurePath( TMP_DIR + '/out' ) ;
+		await fs.promises.symlink( outsidePath + '/target.txt' , TMP_DIR + '/out/link.txt' ) ;
+		await fs.promises.symlink( outsidePath , TMP_DIR + '/out/dir' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{ key: 'evil/pwned.txt' , buffer: Buffer.from( 'pwned' ) } ,
+			{ key: 'evil' , symlink: outsidePath } ,
+			{ key: 'link.txt' , buffer: Buffer.from( 'link' ) } ,
+			{ key: 'dir/pwned.txt' , buffer: Buffer.from( 'pwned' ) } ,
+			{ key: 'safe.txt' , buffer: Buffer.from( 'safe' ) }
+		] ) ;
+
+		jsPak = await reload( filePath ) ;
+		await jsPak.extract( TMP_DIR + '/out' ) ;
+
+		expect( await fs.promises.readdir( outsidePath ) ).to.equal( [] ) ;
+		expect( await fs.promises.readlink( TMP_DIR + '/out/evil' ) ).to.be( outsidePath ) ;
+		expect( ( await fs.promises.lstat( TMP_DIR + '/out/link.txt' ) ).isFile() ).to.be.true() ;
+		expect( await fs.promises.readFile( TMP_DIR + '/out/link.txt' , 'utf8' ) ).to.be( 'link' ) ;
+		expect( await fs.promises.readFile( TMP_DIR + '/out/safe.txt' , 'utf8' ) ).to.be( 'safe' ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Ownership and extended attributes" , () => {
+
+	// Reported as skipped when they can't run here
+	const itAsRoot = process.getuid && process.getuid() === 0 ? it : it.skip ;
+	const itWithXattrs = ( () => {
+		try {
+			require( 'fs-xattr' ) ;
+			return it ;
+		}
+		catch ( error ) {
+			return it.skip ;
+		}
+	} )() ;
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should store and restore the ownership with the 'preserveOwnership' option" , async () => {
+		var stats ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		stats = await fs.promises.stat( TMP_DIR + '/src/a.txt' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { preserveOwnership: true } ) ;
+		await jsPak.add( [ {
+			key: 'owned.txt' , buffer: Buffer.from( 'owned' ) , uid: 12345 , gid: 12346
+		} ] ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.getMeta( 'src/a.txt' ) ).to.partially.equal( { uid: stats.uid , gid: stats.gid } ) ;
+		expect( jsPak.directoryMap.get( 'src/sub' ) ).to.partially.equal( { uid: stats.uid , gid: stats.gid } ) ;
+		expect( jsPak.getMeta( 'owned.txt' ) ).to.partially.equal( { uid: 12345 , gid: 12346 } ) ;
+	} ) ;
+
+	// Changing the owner needs to be root
+	itAsRoot( "should restore the ownership on extraction with the 'preserveOwnership' option" , async () => {
+		var stats ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ {
+			key: 'owned.txt' , buffer: Buffer.from( 'owned' ) , uid: 12345 , gid: 12346
+		} ] ) ;
+
+		jsPak = await reload( filePath ) ;
+		await jsPak.extract( TMP_DIR + '/out' , { preserveOwnership: true } ) ;
+		stats = await fs.promises.stat( TMP_DIR + '/out/owned.txt' ) ;
+		expect( stats.uid ).to.be( 12345 ) ;
+		expect( stats.gid ).to.be( 12346 ) ;
+	} ) ;
+
+	it( "should store extended attributes in the encrypted extension" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'secret' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ { key: 'attr.txt' , buffer: Buffer.from( 'attr' ) , xattrs: { 'user.comment': Buffer.from( 'hello' ) } } ] , { encryption: true } ) ;
+
+		expect( ( await fs.promises.readFile( filePath ) ).includes( 'user.comment' ) ).to.be( false ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'secret' } ) ;
+		expect( jsPak.getMeta( 'attr.txt' ).xattrs[ 'user.comment' ].toString() ).to.be( 'hello' ) ;
+	} ) ;
+
+	itWithXattrs( "should read and restore extended attributes of files with the 'xattrs' option" , async () => {
+		var xattr = require( 'fs-xattr' ) ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await xattr.set( TMP_DIR + '/src/a.txt' , 'user.comment' , 'hello' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { xattrs: true } ) ;
+
+		jsPak = await reload( filePath ) ;
+		await jsPak.extract( TMP_DIR + '/out' , { xattrs: true } ) ;
+		expect( ( await xattr.get( TMP_DIR + '/out/src/a.txt' , 'user.comment' ) ).toString() ).to.be( 'hello' ) ;
+	} ) ;
+
+	it( "should fail to load an archive with a corrupted record extension" , async () => {
+		var content ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ { key: 'a.txt' , buffer: Buffer.from( 'a' ) , uid: 12345 } ] ) ;
+
+		content = await fs.promises.readFile( filePath , 'latin1' ) ;
+		expect( content ).to.contain( 'sha256\t"' ) ;
+		await fs.promises.writeFile( filePath , content.replace( 'sha256\t"' , 'sha256\t!' ) , 'latin1' ) ;
+		await expect( () => reload( filePath ) ).to.reject.with.an( Error ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Read-only mode and in-memory archives" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should read but refuse to modify an archive opened read-only" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+		await jsPak.close() ;
+
+		jsPak = await reload( filePath , { readOnly: true } ) ;
+		expect( ( await jsPak.getBuffer( 'src/a.txt' ) ).toString() ).to.be( 'content of a' ) ;
+		await expect( () => jsPak.add( [ { key: 'new.txt' , buffer: Buffer.from( 'new' ) } ] ) ).to.reject.with.an( Error ) ;
+		await expect( () => jsPak.delete( 'src/a.txt' ) ).to.reject.with.an( Error ) ;
+
+		// Can't be created either
+		jsPak = new JsPak( TMP_DIR + '/missing.jpk' , { readOnly: true } ) ;
+		await expect( () => jsPak.open() ).to.reject.with.an( Error ) ;
+	} ) ;
+
+	it( "should load, read and extract an archive from a Buffer" , async () => {
+		var chunks = [] ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'secret' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { compression: 'gzip' , encryption: true , hmac: true } ) ;
+		await jsPak.addMetaHmac() ;
+		await jsPak.close() ;
+
+		jsPak = await reload( await fs.promises.readFile( filePath ) , { encryptionKey: 'secret' , verify: true } ) ;
+		expect( jsPak.readOnly ).to.be( true ) ;
+		expect( ( await jsPak.getBuffer( 'src/sub/b.txt' ) ).toString() ).to.be( 'content of b' ) ;
+
+		for await ( let chunk of jsPak.getStream( 'src/a.txt' ) ) { chunks.push( chunk ) ; }
+		expect( Buffer.concat( chunks ).toString() ).to.be( 'content of a' ) ;
+
+		await jsPak.extract( TMP_DIR + '/out' ) ;
+		expect( await fs.promises.readFile( TMP_DIR + '/out/src/sub/b.txt' , 'utf8' ) ).to.be( 'content of b' ) ;
+		await expect( () => jsPak.add( [ { key: 'new.txt' , buffer: Buffer.from( 'new' ) } ] ) ).to.reject.with.an( Error ) ;
+
+		// There is no directory where the archive lies
+		await expect( () => jsPak.mount() ).to.reject.with.an( Error , { message: 'In-memory and remote archives need a mount directory' } ) ;
+		await expect( () => new JsPak.Overlay( [ jsPak ] ).mount() ).to.reject.with.an( Error , { message: 'In-memory and remote archives need a mount directory' } ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Remote archives over HTTP" , () => {
+
+	var server , port , servedBytes , archiveBuffer ;
+
+	// A static file server supporting Range requests
+	before( async () => {
+		server = http.createServer( ( request , response ) => {
+			// A stalled server: never respond
+			if ( request.url === '/stalled.jpk' ) { return ; }
+
+			var match = ( request.headers.range || '' ).match( /^bytes=([0-9]+)-([0-9]+)$/ ) ;
+
+			if ( ! match ) {
+				response.writeHead( 200 ) ;
+				response.end( archiveBuffer ) ;
+				return ;
+			}
+
+			var start = parseInt( match[ 1 ] , 10 ) ,
+				end = Math.min( parseInt( match[ 2 ] , 10 ) , archiveBuffer.length - 1 ) ,
+				slice = archiveBuffer.slice( start , end + 1 ) ;
+
+			servedBytes += slice.length ;
+			response.writeHead( 206 , { 'Content-Range': 'bytes ' + start + '-' + end + '/' + archiveBuffer.length } ) ;
+			response.end( slice ) ;
+		} ) ;
+
+		await new Promise( resolve => server.listen( 0 , resolve ) ) ;
+		port = server.address().port ;
+	} ) ;
+
+	after( () => server.close() ) ;
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should load and read files of a remote archive using Range requests" , async () => {
+		var chunks = [] ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'secret' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { encryption: true , hmac: true } ) ;
+		// A large file, not needed by the client
+		await jsPak.add( [ { key: 'big.bin' , buffer: crypto.randomBytes( 500000 ) } ] , { encryption: true , hmac: true } ) ;
+		await jsPak.addMetaHmac() ;
+		await jsPak.close() ;
+
+		archiveBuffer = await fs.promises.readFile( filePath ) ;
+		servedBytes = 0 ;
+
+		jsPak = await reload( 'http://localhost:' + port + '/test.jpk' , { encryptionKey: 'secret' , verify: true } ) ;
+		expect( [ ... jsPak.keys() ].sort() ).to.equal( [ 'big.bin' , 'src/a.txt' , 'src/sub/b.txt' ] ) ;
+		expect( ( await jsPak.getBuffer( 'src/sub/b.txt' ) ).toString() ).to.be( 'content of b' ) ;
+
+		for await ( let chunk of jsPak.getStream( 'src/a.txt' ) ) { chunks.push( chunk ) ; }
+		expect( Buffer.concat( chunks ).toString() ).to.be( 'content of a' ) ;
+
+		expect( servedBytes ).to.be.below( archiveBuffer.length ) ;
+		await expect( () => jsPak.add( [ { key: 'new.txt' , buffer: Buffer.from( 'new' ) } ] ) ).to.reject.with.an( Error ) ;
+
+		// require() needs synchronous reads
+		await expect( () => jsPak.mount( TMP_DIR + '/mnt' ) ).to.reject.with.an( Error ) ;
+		await expect( () => new JsPak.Overlay( [ jsPak ] ).mount( TMP_DIR + '/mnt' ) ).to.reject.with.an( Error ) ;
+		await jsPak.close() ;
+	} ) ;
+
+	it( "should abort requests to a stalled server after the timeout" , async () => {
+		var jsPak = new JsPak( 'http://localhost:' + port + '/stalled.jpk' , { httpTimeout: 100 } ) ;
+
+		await expect( () => jsPak.load() ).to.reject.with.an( Error ) ;
+		await jsPak.close() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Range reads" , () => {
+
+	var content = crypto.randomBytes( 200000 ) ;
+
+	async function readRange( jsPak , key , start , end ) {
+		var chunks = [] ;
+		for await ( let chunk of jsPak.getStream( key , { start , end } ) ) { chunks.push( chunk ) ; }
+		return Buffer.concat( chunks ) ;
+	}
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should read ranges of raw, encrypted and compressed files" , async () => {
+		var key ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'secret' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ { key: 'raw.bin' , buffer: content } ] ) ;
+		await jsPak.add( [ { key: 'encrypted.bin' , buffer: content } ] , { encryption: true , hmac: true } ) ;
+		await jsPak.add( [ { key: 'gzip.bin' , buffer: content } ] , { compression: 'gzip' } ) ;
+		await jsPak.add( [ { key: 'chunked.bin' , buffer: content } ] , { compression: 'gzip-chunked' , encryption: true , hmac: true } ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'secret' } ) ;
+		expect( jsPak.getMeta( 'chunked.bin' ).compression ).to.be( 'gzip-chunked' ) ;
+
+		for ( key of [ 'raw.bin' , 'encrypted.bin' , 'gzip.bin' , 'chunked.bin' ] ) {
+			expect( await readRange( jsPak , key , 0 , 9 ) ).to.equal( content.slice( 0 , 10 ) ) ;
+			expect( await readRange( jsPak , key , 70001 , 140017 ) ).to.equal( content.slice( 70001 , 140018 ) ) ;
+			expect( await readRange( jsPak , key , 199990 ) ).to.equal( content.slice( 199990 ) ) ;
+			expect( await readRange( jsPak , key , 250000 , 260000 ) ).to.equal( Buffer.alloc( 0 ) ) ;
+		}
+
+		// Whole chunked files can still be read
+		expect( await jsPak.getBuffer( 'chunked.bin' ) ).to.equal( content ) ;
+		expect( await readRange( jsPak , 'chunked.bin' ) ).to.equal( content ) ;
+		expect( jsPak.getBufferSync( 'chunked.bin' ) ).to.equal( content ) ;
+	} ) ;
+
+	it( "should verify the HMAC before reading a range" , async () => {
+		var buffer ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'secret' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ { key: 'encrypted.bin' , buffer: content } ] , { encryption: true , hmac: true } ) ;
+		await jsPak.close() ;
+
+		// Tamper a byte far from the range
+		jsPak = await reload( filePath , { encryptionKey: 'secret' } ) ;
+		buffer = await fs.promises.readFile( filePath ) ;
+		buffer[ jsPak.getMeta( 'encrypted.bin' ).offset + 150000 ] ^= 1 ;
+		await fs.promises.writeFile( filePath , buffer ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'secret' } ) ;
+		await expect( () => readRange( jsPak , 'encrypted.bin' , 0 , 9 ) ).to.reject.with.an( Error ) ;
+	} ) ;
+
+	it( "should reject bad ranges, and never read outside of the file" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'secret' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{ key: 'a.txt' , buffer: Buffer.from( 'aaaa' ) } ,
+			{ key: 'b.txt' , buffer: Buffer.from( 'bbbb' ) } ,
+			{ key: 'c.txt' , buffer: Buffer.from( 'cccc' ) , encryption: true }
+		] ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'secret' } ) ;
+
+		for ( let key of [ 'b.txt' , 'c.txt' ] ) {
+			expect( () => jsPak.getStream( key , { start: -4 , end: 1 } ) ).to.throw( RangeError ) ;
+			expect( () => jsPak.getStream( key , { start: 3 , end: 1 } ) ).to.throw( RangeError ) ;
+			expect( () => jsPak.getStream( key , { start: 0.5 } ) ).to.throw( RangeError ) ;
+			expect( () => jsPak.getStream( key , { end: -1 } ) ).to.throw( RangeError ) ;
+			expect( ( await readRange( jsPak , key , 2 , 1000 ) ).toString() ).to.be( key[ 0 ].repeat( 2 ) ) ;
+			expect( ( await readRange( jsPak , key , 10 , 1000 ) ).toString() ).to.be( '' ) ;
+		}
+	} ) ;
+} ) ;
+
+
+
+describe( "Deduplication" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should share the stored data of identical files, in the same and later add() calls" , async () => {
+		var size ,
+			license = Buffer.from( 'Permission is hereby granted...\n'.repeat( 20 ) ) ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'secret' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{ key: 'a/LICENSE' , buffer: license } ,
+			{ key: 'b/LICENSE' , buffer: license } ,
+			{ key: 'c/LICENSE' , buffer: license , compression: 'gzip' }
+		] , { encryption: true , hmac: true } ) ;
+		size = jsPak.eof ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'secret' } ) ;
+		expect( jsPak.getMeta( 'b/LICENSE' ).offset ).to.be( jsPak.getMeta( 'a/LICENSE' ).offset ) ;
+		// Not stored with the same options
+		expect( jsPak.getMeta( 'c/LICENSE' ).offset ).not.to.be( jsPak.getMeta( 'a/LICENSE' ).offset ) ;
+
+		// Across append sessions, and when re-adding an unchanged file
+		await jsPak.add( [ { key: 'd/LICENSE' , buffer: license } , { key: 'a/LICENSE' , buffer: license } ] , { encryption: true , hmac: true } ) ;
+		expect( jsPak.eof - size ).to.be.below( license.length ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'secret' } ) ;
+		expect( jsPak.getMeta( 'd/LICENSE' ).offset ).to.be( jsPak.getMeta( 'b/LICENSE' ).offset ) ;
+		expect( jsPak.getMeta( 'a/LICENSE' ).offset ).to.be( jsPak.getMeta( 'b/LICENSE' ).offset ) ;
+		expect( await jsPak.getBuffer( 'd/LICENSE' ) ).to.equal( license ) ;
+		expect( jsPak.getDeduplicationStats() ).to.equal( { sharedFiles: 2 , savedSize: 2 * jsPak.getMeta( 'a/LICENSE' ).size } ) ;
+
+		// Shared data survive the deletion of one of the files and the compaction
+		await jsPak.delete( 'a/LICENSE' ) ;
+		await jsPak.compact( TMP_DIR + '/compact.jpk' ) ;
+		jsPak = await reload( TMP_DIR + '/compact.jpk' , { encryptionKey: 'secret' } ) ;
+		expect( jsPak.getMeta( 'd/LICENSE' ).offset ).to.be( jsPak.getMeta( 'b/LICENSE' ).offset ) ;
+		expect( await jsPak.getBuffer( 'b/LICENSE' ) ).to.equal( license ) ;
+	} ) ;
+
+	it( "should not deduplicate with the 'deduplicate: false' option" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ { key: 'a.txt' , buffer: Buffer.from( 'same' ) } , { key: 'b.txt' , buffer: Buffer.from( 'same' ) } ] , { deduplicate: false } ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.getMeta( 'b.txt' ).offset ).not.to.be( jsPak.getMeta( 'a.txt' ).offset ) ;
+		expect( jsPak.getDeduplicationStats().sharedFiles ).to.be( 0 ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Content digest" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should store the SHA-256 digest of the content, and verify it when asked" , async () => {
+		var buffer , error ,
+			content = Buffer.from( 'some public content' ) ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{ key: 'public.txt' , buffer: content } ,
+			{
+				key: 'gzip.txt' , buffer: content , compression: 'gzip' , deduplicate: false
+			}
+		] ) ;
+		await jsPak.close() ;
+
+		jsPak = await reload( filePath ) ;
+		expect( jsPak.getMeta( 'public.txt' ).sha256 ).to.be( crypto.createHash( 'sha256' ).update( content )
+			.digest( 'hex' ) ) ;
+		expect( jsPak.getMeta( 'gzip.txt' ).sha256 ).to.be( jsPak.getMeta( 'public.txt' ).sha256 ) ;
+
+		// Bit rot
+		buffer = await fs.promises.readFile( filePath ) ;
+		buffer[ jsPak.getMeta( 'public.txt' ).offset ] ^= 1 ;
+		await fs.promises.writeFile( filePath , buffer ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( ( await jsPak.getBuffer( 'public.txt' ) ).toString() ).not.to.be( content.toString() ) ;
+
+		jsPak = await reload( filePath , { verifyDigest: true } ) ;
+		await expect( () => jsPak.getBuffer( 'public.txt' ) ).to.reject.with.an( Error ) ;
+		expect( ( await jsPak.getBuffer( 'gzip.txt' ) ).toString() ).to.be( content.toString() ) ;
+
+		jsPak = await reload( filePath , { verifyDigest: true } ) ;
+
+		try {
+			for await ( let chunk of jsPak.getStream( 'public.txt' ) ) { buffer = chunk ; }
+		}
+		catch ( error_ ) {
+			error = error_ ;
+		}
+
+		expect( error ).to.be.an( Error ) ;
+		await expect( () => jsPak.extract( TMP_DIR + '/out' ) ).to.reject.with.an( Error ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Verification of all files" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should verify every file and report a result for each of them" , async () => {
+		var buffer , results ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'secret' } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ { key: 'encrypted.txt' , buffer: Buffer.from( 'secret content' ) } ] , { encryption: true , hmac: true } ) ;
+		await jsPak.add( [ { key: 'public.txt' , buffer: Buffer.from( 'public content' ) } , { key: 'other.txt' , buffer: Buffer.from( 'other content' ) } ] ) ;
+		await jsPak.close() ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'secret' } ) ;
+		buffer = await fs.promises.readFile( filePath ) ;
+		buffer[ jsPak.getMeta( 'public.txt' ).offset ] ^= 1 ;
+		await fs.promises.writeFile( filePath , buffer ) ;
+
+		jsPak = await reload( filePath , { encryptionKey: 'secret' } ) ;
+		// Nothing to check it against
+		delete jsPak.getMeta( 'other.txt' ).sha256 ;
+		results = await jsPak.verifyFiles() ;
+
+		expect( results.map( result => [ result.key , result.status ] ) ).to.equal( [
+			[ 'encrypted.txt' , 'ok' ] ,
+			[ 'public.txt' , 'failed' ] ,
+			[ 'other.txt' , 'unprotected' ]
+		] ) ;
+		expect( results[ 1 ].error ).to.be.an( Error ) ;
+		expect( jsPak.shouldVerifyDigest ).to.be( null ) ;
+	} ) ;
+
+	it( "should report files needing a key that is not loaded as unchecked" , async () => {
+		var results ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath , { encryptionKey: 'secret' , kdfCost: 10 } ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ { key: 'encrypted.txt' , buffer: Buffer.from( 'secret content' ) } ] , { encryption: true } ) ;
+		await jsPak.add( [ { key: 'hmac.txt' , buffer: Buffer.from( 'public content' ) } ] , { encryption: false , hmac: true } ) ;
+		await jsPak.close() ;
+
+		// The digest of a file that is not encrypted can still be checked
+		jsPak = await reload( filePath ) ;
+		results = await jsPak.verifyFiles() ;
+		expect( results.map( result => result.status ) ).to.equal( [ 'unchecked' , 'ok' ] ) ;
+		expect( results[ 1 ].key ).to.be( 'hmac.txt' ) ;
+		expect( jsPak.getMeta( results[ 0 ].key ).encryptedKey ).to.be( true ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Stored data" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should stream the stored data of a file without decoding it" , async () => {
+		var chunks = [] ,
+			content = Buffer.from( 'content '.repeat( 100 ) ) ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ { key: 'text.txt' , buffer: content } ] , { compression: 'gzip' } ) ;
+
+		jsPak = await reload( filePath ) ;
+		for await ( let chunk of jsPak.getStoredStream( 'text.txt' ) ) { chunks.push( chunk ) ; }
+		expect( Buffer.concat( chunks ).length ).to.be( jsPak.getMeta( 'text.txt' ).size ) ;
+		expect( require( 'zlib' ).gunzipSync( Buffer.concat( chunks ) ) ).to.equal( content ) ;
+		expect( jsPak.getStoredStream( 'missing.txt' ) ).to.be( undefined ) ;
+	} ) ;
+} ) ;
+
+
+
+
+describe( "Selective extraction" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should only extract the files matching the include and exclude patterns, and the directories they need" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await fsKit.ensurePath( TMP_DIR + '/src/assets/linux/icons' ) ;
+		await fsKit.ensurePath( TMP_DIR + '/src/assets/windows' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/assets/linux/icons/app.png' , 'png' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/assets/linux/app.js' , 'js' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/assets/linux/app.js.map' , 'map' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/assets/windows/app.png' , 'png' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+
+		jsPak = await reload( filePath ) ;
+		await jsPak.extract( TMP_DIR + '/out' , { include: [ 'src/assets/linux' , 'src/a.txt' , '!**/*.map' ] } ) ;
+		expect( await fs.promises.readdir( TMP_DIR + '/out/src' ) ).to.only.contain( 'a.txt' , 'assets' ) ;
+		expect( await fs.promises.readdir( TMP_DIR + '/out/src/assets' ) ).to.only.contain( 'linux' ) ;
+		expect( await fs.promises.readdir( TMP_DIR + '/out/src/assets/linux' ) ).to.only.contain( 'app.js' , 'icons' ) ;
+
+		await fsKit.deltree( TMP_DIR + '/out' ) ;
+		await jsPak.extract( TMP_DIR + '/out' , { include: 'src/assets/**/*.png' , exclude: 'src/assets/windows' } ) ;
+		expect( await fs.promises.readdir( TMP_DIR + '/out/src' ) ).to.only.contain( 'assets' ) ;
+		expect( await fs.promises.readdir( TMP_DIR + '/out/src/assets' ) ).to.only.contain( 'linux' ) ;
+		expect( await fs.promises.readdir( TMP_DIR + '/out/src/assets/linux' ) ).to.only.contain( 'icons' ) ;
+		expect( await fs.promises.readFile( TMP_DIR + '/out/src/assets/linux/icons/app.png' , 'utf8' ) ).to.be( 'png' ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Filters and ignore files when adding" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should only add files matching the include and exclude patterns, and the directories they need" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await fsKit.ensurePath( TMP_DIR + '/src/.git' ) ;
+		await fsKit.ensurePath( TMP_DIR + '/src/empty' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/.git/HEAD' , 'ref' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/sub/c.js' , 'js' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { include: '**/*.txt' , exclude: [ 'src/.git' , 'src/sub/b.txt' ] } ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( [ ... jsPak.indexMap.keys() ] ).to.equal( [ 'src/a.txt' ] ) ;
+		expect( [ ... jsPak.directoryMap.keys() ] ).to.equal( [ 'src' ] ) ;
+
+		await jsPak.add( TMP_DIR + '/src' , { prefix: 'copy' , include: '**/*.js' } ) ;
+		expect( [ ... jsPak.indexMap.keys() ] ).to.equal( [ 'src/a.txt' , 'copy/src/sub/c.js' ] ) ;
+		expect( [ ... jsPak.directoryMap.keys() ] ).to.equal( [ 'src' , 'copy/src' , 'copy/src/sub' ] ) ;
+	} ) ;
+
+	it( "should honor .jpkignore files at every directory level" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await fsKit.ensurePath( TMP_DIR + '/src/node_modules/.cache' ) ;
+		await fsKit.ensurePath( TMP_DIR + '/src/sub/build' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/node_modules/.cache/data' , 'cache' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/node_modules/module.js' , 'module' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/.a.txt.swp' , 'swap' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/sub/build/out.txt' , 'out' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/sub/keep.swp' , 'kept' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/.jpkignore' , '# Editor files\n*.swp\nnode_modules/.cache/\n/sub/build/\n' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/sub/.jpkignore' , '!keep.swp\nb.txt\n' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( [ ... jsPak.indexMap.keys() ].sort() ).to.equal( [
+			'src/.jpkignore' , 'src/a.txt' , 'src/node_modules/module.js' , 'src/sub/.jpkignore' , 'src/sub/keep.swp'
+		] ) ;
+		expect( [ ... jsPak.directoryMap.keys() ].sort() ).to.equal( [ 'src' , 'src/node_modules' , 'src/sub' ] ) ;
+
+		await jsPak.add( TMP_DIR + '/src' , { prefix: 'all' , ignoreFile: false } ) ;
+		expect( jsPak.indexMap.has( 'all/src/node_modules/.cache/data' ) ).to.be.ok() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Incremental update" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should only add new or modified files, and delete files that are gone with the 'delete' option" , async () => {
+		var size , result ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await fs.promises.writeFile( TMP_DIR + '/src/c.txt' , 'content of c' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+		size = ( await fs.promises.stat( filePath ) ).size ;
+
+		jsPak = await reload( filePath ) ;
+		result = await jsPak.update( TMP_DIR + '/src' ) ;
+		expect( result.keys ).to.equal( [] ) ;
+		expect( result.directoryKeys ).to.equal( [] ) ;
+		expect( result.unchangedKeys.sort() ).to.equal( [ 'src' , 'src/a.txt' , 'src/c.txt' , 'src/sub' , 'src/sub/b.txt' ] ) ;
+		expect( ( await fs.promises.stat( filePath ) ).size ).to.be( size ) ;
+
+		await fs.promises.writeFile( TMP_DIR + '/src/a.txt' , 'new content of a' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/sub/d.txt' , 'content of d' ) ;
+		await fs.promises.unlink( TMP_DIR + '/src/c.txt' ) ;
+
+		jsPak = await reload( filePath ) ;
+		result = await jsPak.update( TMP_DIR + '/src' , { delete: true } ) ;
+		expect( result.keys.sort() ).to.equal( [ 'src/a.txt' , 'src/sub/d.txt' ] ) ;
+		expect( result.deletedKeys ).to.equal( [ 'src/c.txt' ] ) ;
+
+		jsPak = await reload( filePath ) ;
+		expect( [ ... jsPak.indexMap.keys() ].sort() ).to.equal( [ 'src/a.txt' , 'src/sub/b.txt' , 'src/sub/d.txt' ] ) ;
+		expect( ( await jsPak.getBuffer( 'src/a.txt' ) ).toString() ).to.be( 'new content of a' ) ;
+	} ) ;
+
+	it( "should compare with entries added with a timestamp as mtime" , async () => {
+		var result ,
+			stats = await fs.promises.stat( TMP_DIR + '/src/a.txt' ) ,
+			jsPak = new JsPak( TMP_DIR + '/test.jpk' ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [ {
+			key: 'a.txt' , buffer: Buffer.from( 'content of a' ) , mode: stats.mode , mtime: stats.mtime.getTime()
+		} ] ) ;
+		result = await jsPak.update( TMP_DIR + '/src/a.txt' ) ;
+		expect( result.unchangedKeys ).to.equal( [ 'a.txt' ] ) ;
+	} ) ;
+
+	it( "should compare the content digest with the 'checksum' option" , async () => {
+		var result ,
+			filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' , { compression: 'gzip' } ) ;
+
+		// Rebuilt with the same content, and modified with the same mtime
+		await fs.promises.utimes( TMP_DIR + '/src/a.txt' , new Date( 1000000 ) , new Date( 1000000 ) ) ;
+		await fs.promises.writeFile( TMP_DIR + '/src/sub/b.txt' , 'CONTENT OF B' ) ;
+		await fs.promises.utimes( TMP_DIR + '/src/sub/b.txt' , jsPak.getMeta( 'src/sub/b.txt' ).atime , jsPak.getMeta( 'src/sub/b.txt' ).mtime ) ;
+
+		jsPak = await reload( filePath ) ;
+		result = await jsPak.update( TMP_DIR + '/src' , { compression: 'gzip' } ) ;
+		expect( result.keys ).to.equal( [ 'src/a.txt' ] ) ;
+
+		jsPak = await reload( filePath ) ;
+		result = await jsPak.update( TMP_DIR + '/src' , { compression: 'gzip' , checksum: true } ) ;
+		expect( result.keys ).to.equal( [ 'src/sub/b.txt' ] ) ;
+		expect( ( await jsPak.getBuffer( 'src/sub/b.txt' ) ).toString() ).to.be( 'CONTENT OF B' ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Diff" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	it( "should list added, removed, modified and metadata-only changes between two archives" , async () => {
+		var jsPak = new JsPak( TMP_DIR + '/a.jpk' ) ,
+			jsPak2 = new JsPak( TMP_DIR + '/b.jpk' ) ,
+			mtime = new Date( 1000000 ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{ key: 'same.txt' , buffer: Buffer.from( 'same' ) , mtime } ,
+			{ key: 'modified.txt' , buffer: Buffer.from( 'before' ) , mtime } ,
+			{ key: 'mode.txt' , buffer: Buffer.from( 'mode' ) , mtime } ,
+			{ key: 'removed.txt' , buffer: Buffer.from( 'removed' ) , mtime } ,
+			{
+				key: 'dir' , directory: true , mode: 0o40755 , mtime
+			}
+		] ) ;
+		await jsPak.close() ;
+
+		await jsPak2.open( true ) ;
+		await jsPak2.add( [
+			{ key: 'same.txt' , buffer: Buffer.from( 'same' ) , mtime } ,
+			{ key: 'modified.txt' , buffer: Buffer.from( 'after' ) , mtime } ,
+			{
+				key: 'mode.txt' , buffer: Buffer.from( 'mode' ) , mode: 0o600 , mtime: new Date()
+			} ,
+			{ key: 'added.txt' , buffer: Buffer.from( 'added' ) , mtime } ,
+			{
+				key: 'dir' , directory: true , mode: 0o40755 , mtime
+			}
+		] , { compression: 'gzip' } ) ;
+		await jsPak2.close() ;
+
+		expect( await JsPak.diff( TMP_DIR + '/a.jpk' , TMP_DIR + '/b.jpk' ) ).to.equal( [
+			{ key: 'added.txt' , directory: false , status: 'added' } ,
+			{
+				key: 'mode.txt' , directory: false , status: 'metadata' , changes: [ 'mode' , 'mtime' ]
+			} ,
+			{
+				key: 'modified.txt' , directory: false , status: 'modified' , changes: [ 'content' ]
+			} ,
+			{ key: 'removed.txt' , directory: false , status: 'removed' }
+		] ) ;
+
+		expect( await JsPak.diff( TMP_DIR + '/a.jpk' , TMP_DIR + '/b.jpk' , { content: false , include: 'm*' } ) ).to.equal( [
+			{
+				key: 'mode.txt' , directory: false , status: 'metadata' , changes: [ 'mode' , 'mtime' ]
+			}
+		] ) ;
+	} ) ;
+
+	it( "should compare an archive with a directory" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+		await jsPak.close() ;
+
+		jsPak = await reload( filePath ) ;
+		await jsPak.extract( TMP_DIR + '/out' ) ;
+		expect( await JsPak.diff( jsPak , TMP_DIR + '/out' ) ).to.equal( [] ) ;
+
+		await fs.promises.writeFile( TMP_DIR + '/out/src/sub/b.txt' , 'CONTENT OF B' ) ;
+		await fs.promises.writeFile( TMP_DIR + '/out/src/c.txt' , 'content of c' ) ;
+		await fs.promises.unlink( TMP_DIR + '/out/src/a.txt' ) ;
+		await fs.promises.utimes( TMP_DIR + '/out/src/sub/b.txt' , jsPak.getMeta( 'src/sub/b.txt' ).atime , jsPak.getMeta( 'src/sub/b.txt' ).mtime ) ;
+
+		expect( ( await JsPak.diff( jsPak , TMP_DIR + '/out' ) ).map( difference => [ difference.key , difference.status ] ) ).to.equal( [
+			[ 'src' , 'metadata' ] ,
+			[ 'src/a.txt' , 'removed' ] ,
+			[ 'src/c.txt' , 'added' ] ,
+			[ 'src/sub/b.txt' , 'modified' ]
+		] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Tar and zip import and export" , () => {
+
+	beforeEach( cleanTmp ) ;
+
+	async function createArchive( filePath ) {
+		var mtime = new Date( 1600000000000 ) ,
+			jsPak = new JsPak( filePath ) ;
+
+		await jsPak.open( true ) ;
+		await jsPak.add( [
+			{
+				key: 'dir' , directory: true , mode: 0o40750 , mtime
+			} ,
+			{
+				key: 'dir/text.txt' , buffer: Buffer.from( 'text '.repeat( 1000 ) ) , mode: 0o100640 , mtime
+			} ,
+			{
+				key: 'dir/' + 'long-name/'.repeat( 20 ) + 'file.txt' , buffer: Buffer.from( 'long' ) , mode: 0o100644 , mtime
+			} ,
+			{ key: 'dir/link' , symlink: 'text.txt' , mtime } ,
+			{
+				key: 'empty.txt' , buffer: Buffer.alloc( 0 ) , mode: 0o100644 , mtime
+			}
+		] , { compression: 'gzip' } ) ;
+		await jsPak.close() ;
+
+		return reload( filePath ) ;
+	}
+
+	async function writeStream( inputStream , filePath ) {
+		var chunks = [] ;
+		for await ( let chunk of inputStream ) { chunks.push( chunk ) ; }
+		await fs.promises.writeFile( filePath , Buffer.concat( chunks ) ) ;
+	}
+
+	it( "should export to tar and tgz, and import them back" , async () => {
+		var jsPak = await createArchive( TMP_DIR + '/test.jpk' ) ,
+			jsPak2 = new JsPak( TMP_DIR + '/imported.jpk' ) ;
+
+		await writeStream( jsPak.createExportStream( 'tgz' ) , TMP_DIR + '/test.tgz' ) ;
+
+		await jsPak2.open( true ) ;
+		await jsPak2.import( TMP_DIR + '/test.tgz' , { compression: 'brotli' } ) ;
+		await jsPak2.close() ;
+
+		jsPak2 = await reload( TMP_DIR + '/imported.jpk' ) ;
+		expect( jsPak2.getMeta( 'dir/text.txt' ).compression ).to.be( 'brotli' ) ;
+		expect( await JsPak.diff( jsPak , jsPak2 ) ).to.equal( [] ) ;
+
+		// Only some files, into a plain tar
+		await writeStream( jsPak.createExportStream( 'tar' , { include: 'dir/*.txt' } ) , TMP_DIR + '/test.tar' ) ;
+		jsPak2 = new JsPak( TMP_DIR + '/imported2.jpk' ) ;
+		await jsPak2.open( true ) ;
+		await jsPak2.import( TMP_DIR + '/test.tar' , { prefix: 'imported' } ) ;
+		expect( jsPak2.keys() ).to.equal( [ 'imported/dir/text.txt' ] ) ;
+		expect( ( await jsPak2.getBuffer( 'imported/dir/text.txt' ) ).toString() ).to.be( 'text '.repeat( 1000 ) ) ;
+	} ) ;
+
+	it( "should stream files when exporting to tar, instead of reading them into memory" , async () => {
+		var bufferedKeys = [] ,
+			jsPak = await createArchive( TMP_DIR + '/test.jpk' ) ,
+			getBuffer = jsPak.getBuffer ;
+
+		jsPak.getBuffer = function( key ) {
+			bufferedKeys.push( key ) ;
+			return getBuffer.call( this , key ) ;
+		} ;
+
+		await writeStream( jsPak.createExportStream( 'tar' ) , TMP_DIR + '/test.tar' ) ;
+		// Only the target of the symlink
+		expect( bufferedKeys ).to.equal( [ 'dir/link' ] ) ;
+	} ) ;
+
+	it( "should export tar hardlinks" , async () => {
+		var filePath = TMP_DIR + '/test.jpk' ,
+			jsPak = new JsPak( filePath ) ,
+			jsPak2 = new JsPak( TMP_DIR + '/imported.jpk' ) ;
+
+		await fs.promises.link( TMP_DIR + '/src/a.txt' , TMP_DIR + '/src/sub/a-link.txt' ) ;
+		await jsPak.open( true ) ;
+		await jsPak.add( TMP_DIR + '/src' ) ;
+
+		await writeStream( jsPak.createExportStream( 'tar' ) , TMP_DIR + '/test.tar' ) ;
+		await jsPak2.open( true ) ;
+		await jsPak2.import( TMP_DIR + '/test.tar' ) ;
+		expect( jsPak2.getMeta( 'src/sub/a-link.txt' ).mode & 0o170000 ).to.be( 0o110000 ) ;
+		expect( jsPak2.getMeta( 'src/sub/a-link.txt' ).offset ).to.be( jsPak2.getMeta( 'src/a.txt' ).offset ) ;
+	} ) ;
+
+	it( "should import an empty zip" , async () => {
+		var jsPak = await createArchive( TMP_DIR + '/test.jpk' ) ,
+			jsPak2 = new JsPak( TMP_DIR + '/imported.jpk' ) ;
+
+		await writeStream( jsPak.createExportStream( 'zip' , { include: 'nothing' } ) , TMP_DIR + '/empty.zip' ) ;
+		expect( ( await fs.promises.stat( TMP_DIR + '/empty.zip' ) ).size ).to.be( 22 ) ;
+
+		await jsPak2.open( true ) ;
+		await jsPak2.import( TMP_DIR + '/empty.zip' ) ;
+		expect( jsPak2.keys() ).to.equal( [] ) ;
+	} ) ;
+
+	it( "should skip entries with keys outside of the archive root" , async () => {
+		var mtime = new Date() ,
+			jsPak = new JsPak( TMP_DIR + '/test.jpk' ) ,
+			entries = [ '../evil.txt' , 'dir/../../evil.txt' , 'ok.txt' ].map( key => ( {
+				key , type: 'file' , mode: 0o644 , mtime , size: 2 , stream: [ Buffer.from( 'ok' ) ]
+			} ) ) ;
+
+		await writeStream( tar.pack( entries ) , TMP_DIR + '/test.tar' ) ;
+		await jsPak.open( true ) ;
+		await jsPak.import( TMP_DIR + '/test.tar' ) ;
+		await jsPak.add( [ { key: '/abs.txt' , buffer: Buffer.from( 'abs' ) } , { key: '~/home.txt' , buffer: Buffer.from( 'home' ) } ] ) ;
+		expect( jsPak.keys() ).to.equal( [ 'ok.txt' ] ) ;
+	} ) ;
+
+	it( "should export to zip, and import it back" , async () => {
+		var jsPak = await createArchive( TMP_DIR + '/test.jpk' ) ,
+			jsPak2 = new JsPak( TMP_DIR + '/imported.jpk' ) ;
+
+		await writeStream( jsPak.createExportStream( 'zip' ) , TMP_DIR + '/test.zip' ) ;
+
+		await jsPak2.open( true ) ;
+		await jsPak2.import( TMP_DIR + '/test.zip' ) ;
+		await jsPak2.close() ;
+
+		jsPak2 = await reload( TMP_DIR + '/imported.jpk' ) ;
+		expect( await JsPak.diff( jsPak , jsPak2 ) ).to.equal( [] ) ;
+		expect( ( await jsPak2.getBuffer( 'dir/link' ) ).toString() ).to.be( 'text.txt' ) ;
+	} ) ;
+} ) ;